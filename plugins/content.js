@@ -0,0 +1,212 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { SECTION_SCHEMAS } from '../src/content/schema.js';
+
+const VIRTUAL_ID = 'virtual:content';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+const ID = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isOptional = (kind) => (typeof kind === 'string' ? kind.endsWith('?') : Boolean(kind.optional));
+const baseKind = (kind) => (typeof kind === 'string' ? kind.replace(/\?$/, '') : kind);
+const placeholders = (text) => [...text.matchAll(PLACEHOLDER)].map(([, name]) => name).sort().join(',');
+
+// --- Validation ---
+
+const checkValue = (kind, value, at, context) => {
+  const { errors, iconExists } = context;
+  if (kind.list) {
+    const min = kind.min ?? 0;
+    if (!Array.isArray(value) || value.length < min) {
+      errors.push(`${at}: needs a list of at least ${min} item(s)`);
+      return;
+    }
+    value.forEach((item, index) => checkFields(kind.list, item, `${at}[${index}]`, context));
+    return;
+  }
+  if (kind.oneOf) {
+    if (!kind.oneOf.includes(value)) errors.push(`${at}: must be one of ${kind.oneOf.join(', ')}`);
+    return;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    errors.push(`${at}: must be non-empty text`);
+  } else if (kind === 'id' && !ID.test(value)) {
+    errors.push(`${at}: "${value}" must be lowercase words joined by dashes`);
+  } else if (kind === 'id' && context.ids.has(value)) {
+    errors.push(`${at}: "${value}" is already used on this page`);
+  } else if (kind === 'icon' && !iconExists(value)) {
+    errors.push(`${at}: there is no icon "${value}" (no ${value}.svg)`);
+  } else if (kind === 'path' && !value.startsWith('/')) {
+    errors.push(`${at}: "${value}" must be a path starting with /`);
+  }
+  if (kind === 'id') context.ids.add(value);
+};
+
+const checkFields = (fields, node, at, context) => {
+  if (!isObject(node)) {
+    context.errors.push(`${at}: must be an object with fields`);
+    return;
+  }
+  for (const key of Object.keys(node)) {
+    if (!(key in fields)) context.errors.push(`${at}.${key}: unknown field`);
+  }
+  for (const [key, kind] of Object.entries(fields)) {
+    if (node[key] === undefined) {
+      if (!isOptional(kind)) context.errors.push(`${at}.${key}: missing`);
+    } else {
+      checkValue(baseKind(kind), node[key], `${at}.${key}`, context);
+    }
+  }
+};
+
+const checkPage = (page, at, context) => {
+  if (!isObject(page) || !Array.isArray(page.sections)) {
+    context.errors.push(`${at}: must be an object with a "sections" list`);
+    return;
+  }
+  const pageContext = { ...context, ids: new Set() };
+  page.sections.forEach((section, index) => {
+    const where = `${at} sections[${index}]`;
+    const fields = SECTION_SCHEMAS[section?.type];
+    if (!fields) {
+      context.errors.push(`${where}.type: must be one of ${Object.keys(SECTION_SCHEMAS).join(', ')}`);
+      return;
+    }
+    const { type, ...rest } = section;
+    checkFields(fields, rest, `${where} (${type})`, pageContext);
+  });
+};
+
+// What has to match between locales: everything except the wording, plus
+// the {placeholders} each text uses
+const shapeOf = (kind, value) => {
+  if (kind.list) {
+    return Array.isArray(value) ? value.map((item) => shapeFields(kind.list, item)) : value;
+  }
+  return kind === 'text' && typeof value === 'string' ? `text{${placeholders(value)}}` : value;
+};
+
+const shapeFields = (fields, node) =>
+  Object.fromEntries(Object.entries(fields).map(([key, kind]) => [key, shapeOf(baseKind(kind), node?.[key])]));
+
+const shapeSection = (section) => {
+  const fields = SECTION_SCHEMAS[section?.type];
+  return fields ? JSON.stringify({ type: section.type, ...shapeFields(fields, section) }) : null;
+};
+
+// --- Module ---
+
+// Icon names become imports of the icon files, so only icons that content
+// uses end up in the build
+const toModule = (content, iconFile) => {
+  const icons = new Map();
+  const json = JSON.stringify(content, (key, value) => {
+    if (key !== 'icon' || typeof value !== 'string') return value;
+    if (!icons.has(value)) icons.set(value, `icon${icons.size}`);
+    return `\0${icons.get(value)}\0`;
+  });
+  const imports = [...icons].map(([name, local]) => `import ${local} from ${JSON.stringify(`${iconFile(name)}?icon`)};`);
+  return `${imports.join('\n')}\nexport default ${json.replace(/"\\u0000(icon\d+)\\u0000"/g, '$1')};\n`;
+};
+
+/**
+ * content - Loads the site's marketing copy from src/content as
+ * `import content from 'virtual:content'`.
+ *
+ * Every folder is a page and holds one <locale>.json per language. Files are
+ * checked against src/content/schema.js, and every locale must have the same
+ * sections, ids, icons and list lengths as the source locale and the same
+ * {placeholders} in each text. Problems fail `vite build`; in dev they show
+ * in the error overlay, and fixed or edited content reloads in place.
+ * @param {object} options
+ * @param {string} options.dir - Content directory, relative to the root
+ * @param {string} options.icons - Icon directory, relative to the root
+ * @param {string} options.sourceLocale - Locale the others are compared against
+ * @returns {import('vite').Plugin}
+ */
+export default function content({ dir = 'src/content', icons = 'src/icons', sourceLocale = 'en' } = {}) {
+  let root = process.cwd();
+
+  const contentDir = () => path.resolve(root, dir);
+  const iconFile = (name) => path.resolve(root, icons, `${name}.svg`);
+
+  const readContent = () => {
+    const pages = {};
+    const errors = [];
+    const files = [];
+    const context = { errors, iconExists: (name) => /^[\w-]+$/.test(name) && fs.existsSync(iconFile(name)) };
+
+    const pageDirs = fs.readdirSync(contentDir(), { withFileTypes: true }).filter((entry) => entry.isDirectory());
+    for (const { name: page } of pageDirs) {
+      const pageDir = path.join(contentDir(), page);
+      pages[page] = {};
+      for (const file of fs.readdirSync(pageDir).filter((name) => name.endsWith('.json'))) {
+        const full = path.join(pageDir, file);
+        const at = path.relative(root, full);
+        files.push(full);
+        try {
+          pages[page][path.basename(file, '.json')] = JSON.parse(fs.readFileSync(full, 'utf8'));
+        } catch (error) {
+          errors.push(`${at}: ${error.message}`);
+          continue;
+        }
+        checkPage(pages[page][path.basename(file, '.json')], at, context);
+      }
+
+      const source = pages[page][sourceLocale];
+      if (!source) {
+        errors.push(`${dir}/${page}: no ${sourceLocale}.json`);
+        continue;
+      }
+      const expected = (source.sections ?? []).map(shapeSection);
+      for (const [locale, translated] of Object.entries(pages[page])) {
+        if (locale === sourceLocale || !Array.isArray(translated?.sections)) continue;
+        const actual = translated.sections.map(shapeSection);
+        const length = Math.max(expected.length, actual.length);
+        for (let index = 0; index < length; index++) {
+          if (actual[index] !== expected[index]) {
+            errors.push(
+              `${dir}/${page}/${locale}.json sections[${index}]: must match ${sourceLocale}.json apart from the wording ` +
+                '(same sections, ids, icons, number of items and {placeholders})'
+            );
+          }
+        }
+      }
+    }
+
+    return { pages, errors, files };
+  };
+
+  return {
+    name: 'content',
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return null;
+      const { pages, errors, files } = readContent();
+      files.forEach((file) => this.addWatchFile(file));
+      if (errors.length > 0) this.error(`Content problems:\n  ${errors.join('\n  ')}`);
+      return toModule(pages, iconFile);
+    },
+
+    // Edits to loaded files reload through addWatchFile; new and deleted
+    // files (another locale, another page) aren't known to the module yet
+    configureServer(server) {
+      const reload = (file) => {
+        if (!file.startsWith(contentDir() + path.sep)) return;
+        const module = server.moduleGraph.getModuleById(RESOLVED_ID);
+        if (module) server.reloadModule(module);
+      };
+      server.watcher.on('add', reload);
+      server.watcher.on('unlink', reload);
+    },
+  };
+}
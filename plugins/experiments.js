@@ -0,0 +1,66 @@
+import { assignVariants } from '../src/experiments/assign.js';
+import { BUCKET_KEY, BUCKETS, EXPERIMENTS, OVERRIDE_PARAM } from '../src/experiments/config.js';
+
+const ID = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const checkExperiments = (experiments) => {
+  const errors = [];
+  const ids = new Set();
+  experiments.forEach(({ id, variants }) => {
+    if (!ID.test(id) || ids.has(id)) errors.push(`"${id}" must be a unique id of lowercase words and dashes`);
+    ids.add(id);
+    if (variants[0]?.id !== 'control') errors.push(`${id}: the first variant must be "control"`);
+    if (variants.some((variant) => !ID.test(variant.id))) errors.push(`${id}: variant ids must be lowercase words and dashes`);
+    const total = variants.reduce((sum, { weight }) => sum + weight, 0);
+    if (total !== BUCKETS) errors.push(`${id}: weights add up to ${total} instead of ${BUCKETS}`);
+  });
+  if (errors.length > 0) {
+    throw new Error(`src/experiments/config.js:\n${errors.map((error) => `  ${error}`).join('\n')}`);
+  }
+};
+
+// Every variant's copy is in the page, and all but the control's is hidden
+// until hydration (see src/experiments/useVariant.js); these rules show the
+// visitor's own in the meantime. The wrappers don't affect layout.
+const variantStyles = (experiments) =>
+  [
+    '[data-variant]:not([hidden]){display:contents}',
+    ...experiments.flatMap(({ id, variants: [control, ...others] }) =>
+      others.flatMap((variant) => {
+        const key = `${id}/${variant.id}`;
+        return [
+          `:root[data-experiments~="${key}"] [data-variant="${key}"]{display:contents}`,
+          `:root[data-experiments~="${key}"] [data-variant="${id}/${control.id}"]{display:none}`,
+        ];
+      })
+    ),
+  ].join('\n');
+
+/**
+ * experiments - Assigns A/B variants before the first paint. Injects into
+ * every page a script that records the visitor's variants on <html> (see
+ * src/experiments/assign.js) and the styles that show the copy for them, so
+ * prerendered pages never flash the wrong variant or shift when it changes.
+ * @returns {import('vite').Plugin}
+ */
+export default function experiments() {
+  return {
+    name: 'experiments',
+
+    buildStart() {
+      checkExperiments(EXPERIMENTS);
+    },
+
+    transformIndexHtml() {
+      const options = { buckets: BUCKETS, bucketKey: BUCKET_KEY, overrideParam: OVERRIDE_PARAM };
+      return [
+        { tag: 'style', children: variantStyles(EXPERIMENTS), injectTo: 'head' },
+        {
+          tag: 'script',
+          children: `(${assignVariants})(${JSON.stringify(EXPERIMENTS)}, ${JSON.stringify(options)})`,
+          injectTo: 'head',
+        },
+      ];
+    },
+  };
+}
@@ -0,0 +1,106 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const KEY_USAGE = /\bt\(\s*['"]([\w.]+)['"]/g;
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+const flatten = (node, prefix = '', out = {}) => {
+  for (const [key, value] of Object.entries(node)) {
+    const full = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object') {
+      flatten(value, full, out);
+    } else {
+      out[full] = value;
+    }
+  }
+  return out;
+};
+
+const placeholders = (message) => [...String(message).matchAll(PLACEHOLDER)].map(([, name]) => name).sort().join(',');
+
+const listSources = (dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listSources(full);
+    return /\.(js|jsx)$/.test(entry.name) ? [full] : [];
+  });
+
+/**
+ * i18nCheck - Verifies the message catalogs before anything is built.
+ *
+ * Every locale must define every key of the source locale with the same
+ * {placeholders}, and every literal t('key') in src must exist in the source
+ * catalog (as a message, or as the plural forms of one). Problems fail
+ * `vite build` and are logged as warnings in dev.
+ * @param {object} options
+ * @param {string} options.catalogs - Directory of <locale>.json files, relative to the root
+ * @param {string} options.sourceLocale - Locale the others are compared against
+ * @returns {import('vite').Plugin}
+ */
+export default function i18nCheck({ catalogs = 'src/i18n/messages', sourceLocale = 'en' } = {}) {
+  let root = process.cwd();
+  let command = 'build';
+  let logger;
+
+  const collectProblems = () => {
+    const dir = path.resolve(root, catalogs);
+    const files = fs.readdirSync(dir).filter((file) => file.endsWith('.json'));
+    const messages = Object.fromEntries(
+      files.map((file) => [
+        path.basename(file, '.json'),
+        flatten(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))),
+      ])
+    );
+
+    const source = messages[sourceLocale];
+    if (!source) return { errors: [`No ${sourceLocale}.json in ${catalogs}`], warnings: [] };
+
+    const errors = [];
+    const warnings = [];
+
+    for (const [locale, catalog] of Object.entries(messages)) {
+      if (locale === sourceLocale) continue;
+      for (const [key, message] of Object.entries(source)) {
+        if (typeof catalog[key] !== 'string' || catalog[key].trim() === '') {
+          errors.push(`${locale}: missing "${key}"`);
+        } else if (placeholders(catalog[key]) !== placeholders(message)) {
+          errors.push(`${locale}: "${key}" must use the placeholders {${placeholders(message)}}`);
+        }
+      }
+      for (const key of Object.keys(catalog)) {
+        if (!(key in source)) warnings.push(`${locale}: unused "${key}" (not in ${sourceLocale}.json)`);
+      }
+    }
+
+    for (const file of listSources(path.resolve(root, 'src'))) {
+      const code = fs.readFileSync(file, 'utf8');
+      for (const [, key] of code.matchAll(KEY_USAGE)) {
+        if (!(key in source) && !(`${key}.other` in source)) {
+          errors.push(`${path.relative(root, file)}: t('${key}') has no ${sourceLocale} message`);
+        }
+      }
+    }
+
+    return { errors, warnings };
+  };
+
+  return {
+    name: 'i18n-check',
+
+    configResolved(config) {
+      root = config.root;
+      command = config.command;
+      logger = config.logger;
+    },
+
+    buildStart() {
+      const { errors, warnings } = collectProblems();
+      warnings.forEach((warning) => this.warn(warning));
+      if (errors.length === 0) return;
+
+      const report = `Translation problems:\n  ${errors.join('\n  ')}`;
+      if (command === 'build') this.error(report);
+      logger.warn(report);
+    },
+  };
+}
@@ -0,0 +1,93 @@
+import { validateEvent } from '../src/analytics/events.js';
+
+// Batches are small; the tracker sends at most 20 events at a time
+const MAX_BODY_BYTES = 64 * 1024;
+// Oldest events are dropped beyond this, so a long dev session can't grow without bound
+const MAX_EVENTS = 10_000;
+
+const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+// Past the limit the rest of the body is read and dropped, and the request
+// fails once it has all arrived, so the client gets the 400 rather than a
+// reset connection
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) chunks.length = 0;
+      else chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) reject(new Error('too large'));
+      else resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+
+/**
+ * mockAnalytics - Local stand-in for the analytics collector, mounted on the
+ * dev and preview servers at `<base>__mock/analytics`.
+ *
+ * POST takes a batch ({ events: [...] }, sent as text/plain by
+ * navigator.sendBeacon), keeps the events that pass the same validation as
+ * the tracker and reports how many were rejected. GET lists what was
+ * received since the server started, which the /analytics dashboard reads;
+ * DELETE clears it.
+ * @returns {import('vite').Plugin}
+ */
+export default function mockAnalytics() {
+  let base = '/';
+  let events = [];
+
+  const handle = async (req, res, next) => {
+    if (req.url?.split('?')[0] !== `${base}__mock/analytics`) return next();
+
+    if (req.method === 'GET') return sendJson(res, 200, { events });
+    if (req.method === 'DELETE') {
+      events = [];
+      res.statusCode = 204;
+      return res.end();
+    }
+    if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+
+    let batch;
+    try {
+      batch = JSON.parse(await readBody(req));
+    } catch {
+      return sendJson(res, 400, { error: 'Expected a JSON body under 64 KB' });
+    }
+    if (!Array.isArray(batch?.events)) return sendJson(res, 400, { error: 'Expected an events array' });
+
+    const accepted = batch.events.filter((event) => {
+      const error = validateEvent(event);
+      if (error) console.warn(`[mock-analytics] rejected: ${error}`);
+      return !error;
+    });
+    events = [...events, ...accepted.map(({ name, props, path, time }) => ({ name, props, path, time }))].slice(
+      -MAX_EVENTS
+    );
+    sendJson(res, 202, { accepted: accepted.length, rejected: batch.events.length - accepted.length });
+  };
+
+  return {
+    name: 'mock-analytics',
+
+    configResolved(config) {
+      base = config.base;
+    },
+
+    configureServer(server) {
+      server.middlewares.use(handle);
+    },
+
+    configurePreviewServer(server) {
+      server.middlewares.use(handle);
+    },
+  };
+}
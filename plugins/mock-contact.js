@@ -0,0 +1,105 @@
+import { validateReport } from '../src/contact/report.js';
+
+const MAX_BODY_BYTES = 8 * 1024 * 1024;
+const RATE_LIMIT = 5;
+const RATE_WINDOW_MS = 10 * 60 * 1000;
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  res.end(JSON.stringify(body));
+};
+
+// Past the limit the rest of the body is read and dropped, and the request
+// fails once it has all arrived, so the client gets the 400 rather than a
+// reset connection
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) chunks.length = 0;
+      else chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) reject(new Error('too large'));
+      else resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+
+/**
+ * mockContact - Local stand-in for the contact form backend, mounted on the
+ * dev and preview servers at `<base>__mock/contact`.
+ *
+ * POST validates the report with the same rules as the form, applies a
+ * per-client rate limit and answers with a reference. GET lists what was
+ * received since the server started. Set MOCK_CONTACT_STATUS (e.g. 500) to
+ * force a failure response when working on error states.
+ * @returns {import('vite').Plugin}
+ */
+export default function mockContact() {
+  let base = '/';
+  const reports = [];
+  const hits = new Map();
+
+  const isRateLimited = (client, now) => {
+    const recent = (hits.get(client) ?? []).filter((stamp) => now - stamp < RATE_WINDOW_MS);
+    hits.set(client, recent);
+    if (recent.length >= RATE_LIMIT) return Math.ceil((recent[0] + RATE_WINDOW_MS - now) / 1000);
+    recent.push(now);
+    return 0;
+  };
+
+  const handle = async (req, res, next) => {
+    if (req.url?.split('?')[0] !== `${base}__mock/contact`) return next();
+
+    if (req.method === 'GET') return sendJson(res, 200, reports);
+    if (req.method !== 'POST') return sendJson(res, 405, { error: 'Method not allowed' });
+
+    const forced = Number(process.env.MOCK_CONTACT_STATUS);
+    if (forced) return sendJson(res, forced, { error: 'Forced by MOCK_CONTACT_STATUS' });
+
+    const retryAfter = isRateLimited(req.socket.remoteAddress, Date.now());
+    if (retryAfter) return sendJson(res, 429, { error: 'Rate limited' }, { 'Retry-After': retryAfter });
+
+    let report;
+    try {
+      report = JSON.parse(await readBody(req));
+    } catch {
+      return sendJson(res, 400, { error: 'Expected a JSON body under 8 MB' });
+    }
+
+    const errors = validateReport(report);
+    if (Object.keys(errors).length > 0) return sendJson(res, 422, { errors });
+
+    const reference = `MOCK-${String(reports.length + 1).padStart(4, '0')}`;
+    reports.push({
+      reference,
+      receivedAt: new Date().toISOString(),
+      ...report,
+      // Keep the listing readable; the image itself isn't needed locally
+      attachment: report.attachment && { ...report.attachment, dataUrl: undefined },
+    });
+    console.log(`[mock-contact] ${reference} ${report.category} from ${report.browser}`);
+    sendJson(res, 201, { reference });
+  };
+
+  return {
+    name: 'mock-contact',
+
+    configResolved(config) {
+      base = config.base;
+    },
+
+    configureServer(server) {
+      server.middlewares.use(handle);
+    },
+
+    configurePreviewServer(server) {
+      server.middlewares.use(handle);
+    },
+  };
+}
@@ -0,0 +1,73 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * ocrAssets - Serves and bundles the Tesseract worker, WASM core and
+ * language data from node_modules so the capture demo never touches a CDN.
+ *
+ * Files are exposed under `<base>ocr/` both by the dev server and in the
+ * production build. Nothing is fetched until a capture needs it.
+ * @param {object} options
+ * @param {string[]} options.languages - Tesseract language codes to ship
+ * @param {boolean} options.detection - Also ship script detection (OSD), which
+ *   only runs on the legacy engine and so needs its own core builds
+ * @returns {import('vite').Plugin}
+ */
+export default function ocrAssets({ languages = ['eng'], detection = false } = {}) {
+  let root = process.cwd();
+  let base = '/';
+
+  const assets = () => [
+    { from: 'tesseract.js/dist/worker.min.js', to: 'worker.min.js' },
+    // Recognition only ever asks for the LSTM builds (OEM.LSTM_ONLY).
+    ...['lstm', 'simd-lstm', 'relaxedsimd-lstm'].map((flavor) => ({
+      from: `tesseract.js-core/tesseract-core-${flavor}.wasm.js`,
+      to: `core/tesseract-core-${flavor}.wasm.js`,
+    })),
+    ...languages.map((lang) => ({
+      from: `@tesseract.js-data/${lang}/4.0.0_best_int/${lang}.traineddata.gz`,
+      to: `lang/${lang}.traineddata.gz`,
+    })),
+    ...(detection
+      ? [
+        ...['', '-simd', '-relaxedsimd'].map((flavor) => ({
+          from: `tesseract.js-core/tesseract-core${flavor}.wasm.js`,
+          to: `core/tesseract-core${flavor}.wasm.js`,
+        })),
+        { from: '@tesseract.js-data/osd/4.0.0/osd.traineddata.gz', to: 'lang/osd.traineddata.gz' },
+      ]
+      : []),
+  ].map(({ from, to }) => ({
+    file: path.resolve(root, 'node_modules', from),
+    fileName: `ocr/${to}`,
+  }));
+
+  return {
+    name: 'ocr-assets',
+
+    configResolved(config) {
+      root = config.root;
+      base = config.base;
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const url = req.url?.split('?')[0];
+        const asset = assets().find(({ fileName }) => url === `${base}${fileName}`);
+        if (!asset) return next();
+
+        res.setHeader(
+          'Content-Type',
+          asset.fileName.endsWith('.js') ? 'text/javascript' : 'application/octet-stream'
+        );
+        fs.createReadStream(asset.file).pipe(res);
+      });
+    },
+
+    generateBundle() {
+      for (const { file, fileName } of assets()) {
+        this.emitFile({ type: 'asset', fileName, source: fs.readFileSync(file) });
+      }
+    },
+  };
+}
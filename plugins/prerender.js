@@ -0,0 +1,107 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import react from '@vitejs/plugin-react';
+import { build } from 'vite';
+import content from './content.js';
+import { renderShareImage } from './share-image.js';
+import svgIcons from './svg-icons.js';
+
+const escapeHtml = (value) =>
+  value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * prerender - Renders every page to static HTML after the client build, so
+ * crawlers and link previews see real content and any static host can serve
+ * it (/docs is written as docs/index.html, unknown URLs get 404.html).
+ *
+ * The server entry is bundled into a temporary directory and decides what to
+ * render (see src/entry-server.jsx); this plugin only fills the built
+ * index.html with each page and writes sitemap.xml, robots.txt and the share
+ * image next to it.
+ * @param {object} options
+ * @param {string} options.entry - Server entry, relative to the project root
+ * @param {string} options.logo - Image the share card is built from
+ * @returns {import('vite').Plugin}
+ */
+export default function prerender({ entry = 'src/entry-server.jsx', logo = 'public/logo.png' } = {}) {
+  let config;
+
+  const fillTemplate = (template, path, { html, title, lang, dir, head }) =>
+    template
+      .replace(/<html[^>]*>/, `<html lang="${lang}" dir="${dir}">`)
+      .replace(/<title>.*<\/title>/, `<title>${escapeHtml(title)}</title>\n    ${head}`)
+      .replace(
+        '<div id="root"></div>',
+        `<div id="root" data-prerendered="${escapeHtml(path)}">${html}</div>`
+      );
+
+  return {
+    name: 'prerender',
+    // The nested server build loads this config too; it must not prerender again
+    apply: (_, { command, isSsrBuild }) => command === 'build' && !isSsrBuild,
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    async closeBundle() {
+      const outDir = path.resolve(config.root, config.build.outDir);
+      const serverDir = path.resolve(config.root, 'node_modules/.prerender');
+
+      await build({
+        configFile: false,
+        root: config.root,
+        base: config.base,
+        mode: config.mode,
+        logLevel: 'warn',
+        plugins: [react(), svgIcons(), content()],
+        build: {
+          ssr: entry,
+          outDir: serverDir,
+          emptyOutDir: true,
+          copyPublicDir: false,
+          rollupOptions: {
+            // Components import React for JSX; the server bundle keeps react external
+            onwarn: (warning, warn) => warning.code !== 'UNUSED_EXTERNAL_IMPORT' && warn(warning),
+          },
+        },
+      });
+
+      try {
+        const serverEntry = path.join(serverDir, `${path.parse(entry).name}.js`);
+        const server = await import(pathToFileURL(serverEntry).href);
+        const template = fs.readFileSync(path.join(outDir, 'index.html'), 'utf8');
+
+        const pages = server.getPrerenderPages();
+        for (const page of pages) {
+          const file = path.join(outDir, page.file);
+          fs.mkdirSync(path.dirname(file), { recursive: true });
+          fs.writeFileSync(file, fillTemplate(template, page.path, server.render(page.path)));
+        }
+
+        const sitemap = server.buildSitemap();
+        if (sitemap) {
+          fs.writeFileSync(path.join(outDir, 'sitemap.xml'), sitemap);
+        } else {
+          config.logger.warn(
+            'prerender: VITE_SITE_URL is not set, so sitemap.xml was skipped and canonical and share URLs are relative.'
+          );
+        }
+        fs.writeFileSync(path.join(outDir, 'robots.txt'), server.buildRobots());
+
+        const { fileName, width, height } = server.SHARE_IMAGE;
+        const image = renderShareImage({
+          logo: fs.readFileSync(path.resolve(config.root, logo)),
+          width,
+          height,
+        });
+        fs.writeFileSync(path.join(outDir, fileName), image);
+
+        config.logger.info(`prerender: wrote ${pages.length} pages, robots.txt and ${fileName}`);
+      } finally {
+        fs.rmSync(serverDir, { recursive: true, force: true });
+      }
+    },
+  };
+}
@@ -0,0 +1,205 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  MANIFEST_FILE,
+  SERVICE_WORKER_FILE,
+  SHARED_FILE_PATH,
+  SHARED_FILES_CACHE,
+  SHARE_TARGET_PATH,
+} from '../src/pwa/config.js';
+import { renderAppIcon } from './share-image.js';
+
+// The dark theme's page background, behind the icons and the splash screen
+const BACKGROUND_COLOR = '#0a0a0a';
+
+const ICONS = [
+  { fileName: 'icons/icon-192.png', size: 192 },
+  { fileName: 'icons/icon-512.png', size: 512 },
+];
+const APPLE_TOUCH_ICON = { fileName: 'icons/apple-touch-icon.png', size: 180 };
+
+// What the capture demo opens (see src/ocr/inputs.js), by the extensions
+// the operating system offers the installed app for
+const FILE_TYPES = {
+  'image/png': ['.png'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/webp': ['.webp'],
+  'image/gif': ['.gif'],
+  'image/bmp': ['.bmp'],
+  'video/mp4': ['.mp4', '.m4v'],
+  'video/webm': ['.webm'],
+  'video/quicktime': ['.mov'],
+  'video/ogg': ['.ogv'],
+};
+
+// Build output the app never needs offline
+const SKIPPED_FILES = [/\.map$/, /^sitemap\.xml$/, /^robots\.txt$/, /^og-image\.png$/];
+
+const walk = (dir, root = dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    return entry.isDirectory() ? walk(file, root) : [path.relative(root, file).split(path.sep).join('/')];
+  });
+
+// docs/index.html is served as /docs, index.html as the base URL itself
+const pageUrl = (base, file) => `${base}${file.replace(/(^|\/)index\.html$/, '')}`;
+
+/**
+ * pwa - Makes the site an installable app that works offline: writes the web
+ * manifest (with file handlers and a share target for images and videos) and
+ * icons built from the logo, links them from index.html and, once the build
+ * and prerender are done, writes the service worker with a precache list of
+ * the output.
+ *
+ * OCR files are big and most captures only need some of them: the worker,
+ * the LSTM cores and the listed languages are precached, everything else
+ * under ocr/ is cached on first use.
+ * @param {object} options
+ * @param {string} options.logo - Image the icons are built from
+ * @param {string} options.catalog - Message catalog with the app's name and description
+ * @param {string} options.serviceWorker - Service worker source; __PRECACHE__ is filled in
+ * @param {string[]} options.ocrLanguages - Tesseract language codes to precache
+ * @returns {import('vite').Plugin}
+ */
+export default function pwa({
+  logo = 'public/logo.png',
+  catalog = 'src/i18n/messages/en.json',
+  serviceWorker = 'src/pwa/service-worker.js',
+  ocrLanguages = ['eng'],
+} = {}) {
+  let config;
+
+  const resolve = (file) => path.resolve(config.root, file);
+
+  const buildManifest = () => {
+    const { meta } = JSON.parse(fs.readFileSync(resolve(catalog), 'utf8'));
+    const { base } = config;
+    return {
+      id: base,
+      name: meta.siteName,
+      short_name: meta.siteName,
+      description: meta.descriptions.home,
+      start_url: base,
+      scope: base,
+      display: 'standalone',
+      background_color: BACKGROUND_COLOR,
+      theme_color: BACKGROUND_COLOR,
+      icons: ICONS.flatMap(({ fileName, size }) =>
+        // The logo sits well inside the icon, so one image serves both purposes
+        ['any', 'maskable'].map((purpose) => ({
+          src: `${base}${fileName}`,
+          sizes: `${size}x${size}`,
+          type: 'image/png',
+          purpose,
+        }))
+      ),
+      file_handlers: [{ action: base, accept: FILE_TYPES }],
+      share_target: {
+        action: `${base}${SHARE_TARGET_PATH}`,
+        method: 'POST',
+        enctype: 'multipart/form-data',
+        params: { files: [{ name: 'media', accept: Object.keys(FILE_TYPES) }] },
+      },
+      // Files opened with the app land in the window that is already open
+      launch_handler: { client_mode: 'focus-existing' },
+    };
+  };
+
+  const assets = () => [
+    { fileName: MANIFEST_FILE, source: () => `${JSON.stringify(buildManifest(), null, 2)}\n` },
+    ...[...ICONS, APPLE_TOUCH_ICON].map(({ fileName, size }) => ({
+      fileName,
+      source: () => renderAppIcon({ logo: fs.readFileSync(resolve(logo)), size }),
+    })),
+  ];
+
+  const precached = (file) => {
+    if (SKIPPED_FILES.some((pattern) => pattern.test(file))) return false;
+    if (!file.startsWith('ocr/')) return true;
+    return (
+      file === 'ocr/worker.min.js' ||
+      /^ocr\/core\/tesseract-core-(simd-|relaxedsimd-)?lstm\.wasm\.js$/.test(file) ||
+      ocrLanguages.some((lang) => file === `ocr/lang/${lang}.traineddata.gz`)
+    );
+  };
+
+  return {
+    name: 'pwa',
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    transformIndexHtml() {
+      const { base } = config;
+      return [
+        { tag: 'link', attrs: { rel: 'manifest', href: `${base}${MANIFEST_FILE}` }, injectTo: 'head' },
+        { tag: 'meta', attrs: { name: 'theme-color', content: BACKGROUND_COLOR }, injectTo: 'head' },
+        {
+          tag: 'link',
+          attrs: { rel: 'apple-touch-icon', href: `${base}${APPLE_TOUCH_ICON.fileName}` },
+          injectTo: 'head',
+        },
+      ];
+    },
+
+    // The manifest and icons work in development too; the service worker
+    // would fight with hot reloading, so it only exists in builds
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const url = req.url?.split('?')[0];
+        const asset = assets().find(({ fileName }) => url === `${config.base}${fileName}`);
+        if (!asset) return next();
+
+        res.setHeader('Content-Type', asset.fileName.endsWith('.png') ? 'image/png' : 'application/manifest+json');
+        res.end(asset.source());
+      });
+    },
+
+    generateBundle() {
+      for (const { fileName, source } of assets()) {
+        this.emitFile({ type: 'asset', fileName, source: source() });
+      }
+    },
+
+    // Runs after the prerender plugin has written the pages
+    closeBundle: {
+      sequential: true,
+      order: 'post',
+      handler() {
+        const outDir = resolve(config.build.outDir);
+        const { base } = config;
+
+        const files = walk(outDir).filter(precached).sort();
+        const entries = files.map((file) => ({
+          url: file.endsWith('.html') ? pageUrl(base, file) : `${base}${file}`,
+          revision: crypto
+            .createHash('sha256')
+            .update(fs.readFileSync(path.join(outDir, file)))
+            .digest('hex')
+            .slice(0, 16),
+        }));
+
+        const settings = {
+          entries,
+          start: base,
+          fallback: `${base}404.html`,
+          ocr: `${base}ocr/`,
+          shareTarget: `${base}${SHARE_TARGET_PATH}`,
+          sharedFilesCache: SHARED_FILES_CACHE,
+          sharedFile: `${base}${SHARED_FILE_PATH}`,
+        };
+        const source = fs
+          .readFileSync(resolve(serviceWorker), 'utf8')
+          .replace('__PRECACHE__', JSON.stringify(settings));
+        fs.writeFileSync(path.join(outDir, SERVICE_WORKER_FILE), source);
+
+        const bytes = files.reduce((total, file) => total + fs.statSync(path.join(outDir, file)).size, 0);
+        config.logger.info(
+          `pwa: wrote ${SERVICE_WORKER_FILE} precaching ${entries.length} files (${(bytes / 1024 / 1024).toFixed(1)} MB)`
+        );
+      },
+    },
+  };
+}
@@ -0,0 +1,236 @@
+import zlib from 'node:zlib';
+
+// --- Share Image ---
+// Builds the Open Graph / Twitter card image from the site logo: the logo
+// centered on the page background with the same red glow and faint grid as
+// the site itself. The app icons (see plugins/pwa.js) are the same picture
+// cropped square. Only what that needs is implemented: reading 8-bit,
+// non-interlaced RGB(A) PNGs, scaling them down and writing RGB ones.
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 2: 3, 6: 4 };
+
+const BACKGROUND = [10, 10, 10];
+const GLOW = [220, 38, 38];
+const GLOW_STRENGTH = 0.25;
+const GRID_SIZE = 100;
+const GRID_STRENGTH = 0.04;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+};
+
+/**
+ * decodePng - Reads an 8-bit, non-interlaced RGB or RGBA PNG
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number, pixels: Uint8Array}} RGBA pixels
+ */
+export const decodePng = (buffer) => {
+  if (!buffer.subarray(0, 8).equals(SIGNATURE)) throw new Error('Not a PNG file');
+
+  let header = null;
+  const data = [];
+  for (let offset = 8; offset < buffer.length; ) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === 'IDAT') {
+      data.push(chunk);
+    }
+    offset += length + 12;
+  }
+
+  const channels = CHANNELS[header?.colorType];
+  if (!channels || header.bitDepth !== 8 || header.interlace !== 0) {
+    throw new Error('Only 8-bit, non-interlaced RGB or RGBA PNGs are supported');
+  }
+
+  const { width, height } = header;
+  const raw = zlib.inflateSync(Buffer.concat(data));
+  const stride = width * channels;
+  const rows = new Uint8Array(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? rows[row + x - channels] : 0;
+      const up = y > 0 ? rows[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? rows[row - stride + x - channels] : 0;
+      const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+      rows[row + x] = (line[x] + predictor) & 0xff;
+    }
+  }
+
+  const pixels = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    pixels.set(rows.subarray(i * channels, i * channels + 3), i * 4);
+    pixels[i * 4 + 3] = channels === 4 ? rows[i * channels + 3] : 255;
+  }
+  return { width, height, pixels };
+};
+
+const chunk = (type, data) => {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * encodePng - Writes an 8-bit RGB PNG
+ * @param {{width: number, height: number, pixels: Uint8Array}} image - RGB pixels
+ * @returns {Buffer}
+ */
+export const encodePng = ({ width, height, pixels }) => {
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // Filter type 0 (none) leads each row
+    raw.set(pixels.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+};
+
+/**
+ * scaleImage - Resizes RGBA pixels by averaging a grid of samples per pixel,
+ * which keeps edges smooth when shrinking
+ * @param {{width: number, height: number, pixels: Uint8Array}} image - RGBA pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {{width: number, height: number, pixels: Uint8Array}} RGBA pixels
+ */
+export const scaleImage = (image, width, height) => {
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+  const samples = Math.max(2, Math.ceil(Math.max(scaleX, scaleY)) * 2);
+  const pixels = new Uint8Array(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Colors are weighted by alpha so transparent pixels don't darken edges
+      const sum = [0, 0, 0, 0];
+      for (let sy = 0; sy < samples; sy++) {
+        for (let sx = 0; sx < samples; sx++) {
+          const srcX = Math.min(image.width - 1, Math.floor((x + (sx + 0.5) / samples) * scaleX));
+          const srcY = Math.min(image.height - 1, Math.floor((y + (sy + 0.5) / samples) * scaleY));
+          const source = (srcY * image.width + srcX) * 4;
+          const alpha = image.pixels[source + 3];
+          for (let i = 0; i < 3; i++) sum[i] += image.pixels[source + i] * alpha;
+          sum[3] += alpha;
+        }
+      }
+      const target = (y * width + x) * 4;
+      for (let i = 0; i < 3; i++) pixels[target + i] = sum[3] ? Math.round(sum[i] / sum[3]) : 0;
+      pixels[target + 3] = Math.round(sum[3] / (samples * samples));
+    }
+  }
+  return { width, height, pixels };
+};
+
+const compose = ({ mark, width, height, grid }) => {
+  const pixels = new Uint8Array(width * height * 3);
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const radius = width * 0.6;
+  const markLeft = Math.round((width - mark.width) / 2);
+  const markTop = Math.round((height - mark.height) / 2);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const distance = Math.hypot(x - centerX, y - centerY) / radius;
+      const glow = GLOW_STRENGTH * Math.max(0, 1 - distance) ** 2;
+      const line = grid && (x % GRID_SIZE === 0 || y % GRID_SIZE === 0) ? GRID_STRENGTH : 0;
+      const color = BACKGROUND.map((base, i) => {
+        const lit = base + (GLOW[i] - base) * glow;
+        return lit + (255 - lit) * line;
+      });
+
+      const markX = x - markLeft;
+      const markY = y - markTop;
+      if (markX >= 0 && markX < mark.width && markY >= 0 && markY < mark.height) {
+        const source = (markY * mark.width + markX) * 4;
+        const alpha = mark.pixels[source + 3] / 255;
+        for (let i = 0; i < 3; i++) color[i] = color[i] * (1 - alpha) + mark.pixels[source + i] * alpha;
+      }
+
+      pixels.set(color.map(Math.round), (y * width + x) * 3);
+    }
+  }
+
+  return encodePng({ width, height, pixels });
+};
+
+/**
+ * renderShareImage - Composes the share card
+ * @param {object} options
+ * @param {Buffer} options.logo - PNG file contents
+ * @param {number} options.width
+ * @param {number} options.height
+ * @returns {Buffer} PNG file contents
+ */
+export const renderShareImage = ({ logo, width, height }) =>
+  compose({ mark: decodePng(logo), width, height, grid: true });
+
+// Maskable icons may be cropped to a circle 80% of their size; the logo stays inside it
+const ICON_LOGO_SHARE = 0.6;
+
+/**
+ * renderAppIcon - Composes a square app icon: the logo on the page
+ * background, small enough to survive any platform's mask
+ * @param {object} options
+ * @param {Buffer} options.logo - PNG file contents
+ * @param {number} options.size - Width and height
+ * @returns {Buffer} PNG file contents
+ */
+export const renderAppIcon = ({ logo, size }) => {
+  const mark = decodePng(logo);
+  const markSize = Math.round(size * ICON_LOGO_SHARE);
+  const scale = markSize / Math.max(mark.width, mark.height);
+  return compose({
+    mark: scaleImage(mark, Math.round(mark.width * scale), Math.round(mark.height * scale)),
+    width: size,
+    height: size,
+    grid: false,
+  });
+};
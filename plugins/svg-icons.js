@@ -0,0 +1,48 @@
+import fs from 'node:fs';
+
+const QUERY = '?icon';
+const ROOT = /<svg\b([^>]*)>([\s\S]*)<\/svg>\s*$/;
+const VIEW_BOX = /\bviewBox="([^"]+)"/;
+
+/**
+ * compileIcon - Reduces an SVG file to what <Icon> needs: its viewBox and
+ * the markup inside <svg>. Size, stroke and colour come from the component,
+ * so whatever the file sets on its root element is dropped.
+ * @param {string} source - SVG file contents
+ * @param {string} file - Path, for error messages
+ * @returns {{viewBox: string, body: string}}
+ */
+const compileIcon = (source, file) => {
+  const match = source.replace(/<!--[\s\S]*?-->/g, '').match(ROOT);
+  if (!match) throw new Error(`${file} is not an <svg> element`);
+  const viewBox = match[1].match(VIEW_BOX)?.[1];
+  if (!viewBox) throw new Error(`${file} has no viewBox`);
+  if (/<script\b|\son\w+=/i.test(match[2])) throw new Error(`${file} contains scripts`);
+  return { viewBox, body: match[2].replace(/>\s+</g, '><').trim() };
+};
+
+/**
+ * svgIcons - Imports SVG files as icon data for src/components/Icon.jsx:
+ *
+ *   import zapIcon from '../icons/zap.svg?icon';
+ *   <Icon icon={zapIcon} />
+ *
+ * Each file becomes a tiny module, so a build only carries the icons
+ * something imports. New icons are just new files in src/icons.
+ * @returns {import('vite').Plugin}
+ */
+export default function svgIcons() {
+  return {
+    name: 'svg-icons',
+    // Before Vite's asset handling, which would turn the .svg into a URL
+    enforce: 'pre',
+
+    load(id) {
+      if (!id.endsWith(QUERY)) return null;
+      const file = id.slice(0, -QUERY.length);
+      this.addWatchFile(file);
+      const icon = compileIcon(fs.readFileSync(file, 'utf8'), file);
+      return `export default ${JSON.stringify(icon)};`;
+    },
+  };
+}
@@ -0,0 +1,74 @@
+import React, { Profiler, act } from 'react';
+import { createRoot } from 'react-dom/client';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import App from './App';
+
+// jsdom has neither media queries nor intersection observers
+const stubBrowserApis = () => {
+  vi.stubGlobal('matchMedia', (query) => ({
+    matches: false,
+    media: query,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+  }));
+  vi.stubGlobal(
+    'IntersectionObserver',
+    class {
+      observe() {}
+      unobserve() {}
+      disconnect() {}
+    }
+  );
+};
+
+describe('App', () => {
+  let container;
+  let root;
+  let commits;
+
+  beforeEach(async () => {
+    globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+    vi.useFakeTimers();
+    stubBrowserApis();
+    container = document.createElement('div');
+    document.body.append(container);
+    commits = 0;
+    root = createRoot(container);
+    await act(async () => {
+      root.render(
+        <Profiler id="App" onRender={() => (commits += 1)}>
+          <App />
+        </Profiler>
+      );
+    });
+    // Let the extension handshake and anything else started on mount finish
+    await act(async () => {
+      vi.advanceTimersByTime(5000);
+    });
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('moves the spotlight without re-rendering', async () => {
+    const before = commits;
+
+    // One act() per frame, so React can't batch the moves into one commit
+    for (let frame = 0; frame < 120; frame++) {
+      const position = { clientX: frame * 8, clientY: frame * 4, bubbles: true };
+      await act(async () => {
+        container.firstElementChild.dispatchEvent(new MouseEvent('pointermove', position));
+        container.firstElementChild.dispatchEvent(new MouseEvent('mousemove', position));
+        vi.advanceTimersToNextFrame();
+      });
+    }
+
+    expect(commits - before).toBe(0);
+    const spotlight = container.querySelector('[style*="--spotlight-x"]');
+    expect(spotlight.style.getPropertyValue('--spotlight-x')).not.toBe('50%');
+  });
+});
@@ -0,0 +1,162 @@
+// @vitest-environment node
+import axe from 'axe-core';
+import { JSDOM } from 'jsdom';
+import fs from 'node:fs';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { getPrerenderPages, render } from './entry-server';
+
+// --- Accessibility Check ---
+// Renders every page in every locale the way the prerender does, loads it
+// into a DOM and runs axe against WCAG 2.1 A and AA. Any violation fails.
+// Pages are built from the sections, so each section is covered in every
+// language and direction.
+//
+// axe's color-contrast rule is the one left out: jsdom neither lays pages out
+// nor resolves the var() colors of src/theme/tokens.css, so axe can only
+// report every text node as "incomplete". contrastViolations() below checks
+// the same thing from the Tailwind color classes instead, in every theme.
+
+const TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+
+// --- Contrast ---
+
+const THEMES = { dark: ':root', light: "[data-theme='light']", contrast: "[data-theme='contrast']" };
+
+// "--neutral-400: 163 163 163;" lines of one selector's block
+const readTokens = (css, selector) => {
+  const block = css.slice(css.indexOf(`${selector} {`), css.indexOf('}', css.indexOf(`${selector} {`)));
+  return Object.fromEntries(
+    [...block.matchAll(/--([\w-]+):\s*(\d+) (\d+) (\d+);/g)].map(([, name, ...channels]) => [name, channels.map(Number)])
+  );
+};
+
+const loadPalettes = () => {
+  const css = fs.readFileSync(new URL('./theme/tokens.css', import.meta.url), 'utf8');
+  const base = readTokens(css, THEMES.dark);
+  return Object.fromEntries(
+    Object.entries(THEMES).map(([theme, selector]) => {
+      const tokens = { ...base, ...readTokens(css, selector) };
+      // Tailwind class names for the tokens, as tailwind.config.js maps them
+      const colors = { white: [255, 255, 255], black: [0, 0, 0] };
+      Object.entries(tokens).forEach(([name, rgb]) => {
+        colors[name.replace(/^color-/, '')] = rgb;
+      });
+      return [theme, colors];
+    })
+  );
+};
+
+const luminance = (rgb) => {
+  const [r, g, b] = rgb.map((channel) => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+const contrastRatio = (a, b) => {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+};
+
+const blend = (top, alpha, bottom) => top.map((channel, index) => channel * alpha + bottom[index] * (1 - alpha));
+
+// The color of an unprefixed utility such as text-neutral-400 or bg-neutral-900/50;
+// variants like hover: or sm: don't apply to the resting state at every width
+const colorClass = (element, property, colors) => {
+  for (const name of element.classList) {
+    const match = name.match(new RegExp(`^${property}-([a-z]+(?:-[a-z]+)?(?:-\\d+)?)(?:/(\\d+))?$`));
+    if (match && colors[match[1]]) return { rgb: colors[match[1]], alpha: match[2] ? Number(match[2]) / 100 : 1 };
+  }
+  return null;
+};
+
+// Painted backdrop of an element, or null when an image or gradient is involved
+const backgroundOf = (element, colors) => {
+  const layers = [];
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    if ([...node.classList].some((name) => /^bg-(gradient|\[)/.test(name))) return null;
+    const layer = colorClass(node, 'bg', colors);
+    if (layer) {
+      layers.push(layer);
+      if (layer.alpha === 1) break;
+    }
+  }
+  return layers.reduceRight((bottom, { rgb, alpha }) => blend(rgb, alpha, bottom), colors.background);
+};
+
+const closest = (element, test) => {
+  for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+    const found = test(node);
+    if (found) return found;
+  }
+  return null;
+};
+
+// WCAG large text: 24px, or 18.66px when bold; Tailwind's text-xl is 20px
+const isLarge = (element) => {
+  const size = closest(element, (node) => [...node.classList].find((name) => /^text-(xs|sm|base|lg|\d?xl)$/.test(name)));
+  const bold = closest(element, (node) => [...node.classList].find((name) => /^font-(bold|extrabold|black)$/.test(name)));
+  if (/^text-\dxl$/.test(size ?? '')) return true;
+  return size === 'text-xl' && Boolean(bold);
+};
+
+const isHidden = (element) =>
+  Boolean(closest(element, (node) => node.hasAttribute('hidden') || node.classList.contains('sr-only') || node.disabled));
+
+/**
+ * contrastViolations - Text whose color class doesn't reach WCAG AA contrast
+ * (4.5:1, 3:1 for large text) against the backgrounds behind it
+ * @returns {string[]} One line per failing element
+ */
+const contrastViolations = (document, colors) => {
+  const failures = [];
+  document.body.querySelectorAll('*').forEach((element) => {
+    const hasText = [...element.childNodes].some((node) => node.nodeType === 3 && node.textContent.trim());
+    if (!hasText || isHidden(element) || ['SCRIPT', 'STYLE', 'TITLE'].includes(element.tagName)) return;
+
+    const background = backgroundOf(element, colors);
+    if (!background) return;
+    const text = closest(element, (node) => colorClass(node, 'text', colors)) ?? { rgb: colors.foreground, alpha: 1 };
+    const ratio = contrastRatio(blend(text.rgb, text.alpha, background), background);
+    const required = isLarge(element) ? 3 : 4.5;
+    if (ratio < required) {
+      failures.push(`${ratio.toFixed(2)}:1 < ${required}:1 "${element.textContent.trim().slice(0, 40)}" <${element.tagName.toLowerCase()} class="${element.className}">`);
+    }
+  });
+  return failures;
+};
+
+// --- Pages ---
+
+const PALETTES = loadPalettes();
+
+describe.each(getPrerenderPages().map(({ path }) => path))('%s', (path) => {
+  let dom;
+
+  beforeAll(() => {
+    const { html, title, lang, dir } = render(path);
+    dom = new JSDOM(
+      `<!doctype html><html lang="${lang}" dir="${dir}"><head><title>${title}</title></head><body><div id="root">${html}</div></body></html>`,
+      { runScripts: 'outside-only', pretendToBeVisual: true }
+    );
+    dom.window.eval(axe.source);
+  });
+
+  afterAll(() => dom.window.close());
+
+  it('has no WCAG 2.1 AA violations', async () => {
+    const { violations } = await dom.window.axe.run(dom.window.document, {
+      runOnly: { type: 'tag', values: TAGS },
+      rules: { 'color-contrast': { enabled: false } },
+    });
+    const report = violations.flatMap(({ id, impact, help, nodes }) =>
+      [`${impact}: ${help} (${id})`, ...nodes.map(({ target }) => `  ${target.join(' ')}`)]
+    );
+    expect(report).toEqual([]);
+  }, 30000);
+
+  it.each(Object.keys(THEMES))('has enough text contrast in the %s theme', (theme) => {
+    expect(contrastViolations(dom.window.document, PALETTES[theme])).toEqual([]);
+  });
+});
@@ -0,0 +1,47 @@
+// --- Analytics Backends ---
+// The tracker sends batches only through an adapter:
+//
+//   { name: string, send(events) => void }
+//
+// send() is fire-and-forget: it runs while the page is being hidden or
+// closed, when nothing can wait for an answer. getAnalyticsAdapter() decides
+// once which one is used, so the tracker never knows about endpoints.
+
+/**
+ * createBeaconAdapter - Posts batches as JSON to an endpoint with
+ * navigator.sendBeacon, which the browser delivers even after the page is gone
+ * @param {object} options
+ * @param {string} options.endpoint - URL accepting POST requests
+ */
+export const createBeaconAdapter = ({ endpoint }) => ({
+  name: 'beacon',
+  send(events) {
+    // text/plain keeps cross-origin beacons free of a CORS preflight
+    const body = new Blob([JSON.stringify({ events })], { type: 'text/plain' });
+    if (navigator.sendBeacon?.(endpoint, body)) return;
+    // Refused (e.g. over the size limit) or unsupported: a keepalive fetch also outlives the page
+    fetch(endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+  },
+});
+
+/**
+ * createMockCollectorAdapter - Sends batches to the mock collector served by
+ * the Vite dev and preview servers (plugins/mock-analytics.js)
+ */
+export const createMockCollectorAdapter = () => ({
+  ...createBeaconAdapter({ endpoint: `${import.meta.env.BASE_URL}__mock/analytics` }),
+  name: 'mock-collector',
+});
+
+/**
+ * getAnalyticsAdapter - Picks the backend for this build:
+ * VITE_ANALYTICS_ENDPOINT when set, the local mock collector in development,
+ * none otherwise, in which case nothing is tracked at all
+ * @returns {{name: string, send: (events: object[]) => void} | null}
+ */
+export const getAnalyticsAdapter = () => {
+  const endpoint = import.meta.env.VITE_ANALYTICS_ENDPOINT;
+  if (endpoint) return createBeaconAdapter({ endpoint });
+  if (import.meta.env.DEV) return createMockCollectorAdapter();
+  return null;
+};
@@ -0,0 +1,90 @@
+import { EXPERIMENTS } from '../experiments/config.js';
+
+// --- Analytics Events ---
+// Every event the site may send, shared by the tracker and the mock
+// collector so both sides agree on what a valid event is. Events carry no
+// identifiers: nothing ties two events to the same visitor.
+
+/**
+ * Where an install button sits
+ * @typedef {'hero' | 'header' | 'mobile-menu' | 'cta'} CtaLocation
+ */
+export const CTA_LOCATIONS = ['hero', 'header', 'mobile-menu', 'cta'];
+
+/**
+ * What an install button offered when it was clicked
+ * @typedef {'install' | 'update' | 'open' | 'view-project'} CtaAction
+ */
+export const CTA_ACTIONS = ['install', 'update', 'open', 'view-project'];
+
+/**
+ * What was done in the capture demo
+ * @typedef {'open-file' | 'open-sample' | 'capture' | 'transcribe' | 'copy'} DemoAction
+ */
+export const DEMO_ACTIONS = ['open-file', 'open-sample', 'capture', 'transcribe', 'copy'];
+
+/**
+ * What the demo was working on
+ * @typedef {'image' | 'video' | 'sample'} DemoSource
+ */
+export const DEMO_SOURCES = ['image', 'video', 'sample'];
+
+/**
+ * What counts as a conversion in an experiment
+ * @typedef {'install'} ConversionGoal
+ */
+export const CONVERSION_GOALS = ['install'];
+
+const EXPERIMENT_IDS = EXPERIMENTS.map(({ id }) => id);
+
+/**
+ * Properties per event name
+ * @typedef {object} EventProps
+ * @property {{location: CtaLocation, action: CtaAction}} cta-click - An install button was clicked
+ * @property {{section: string}} section-view - A home page section scrolled into view, by its id
+ * @property {{action: DemoAction, source: DemoSource}} demo-use - The capture demo was used
+ * @property {{experiment: string, variant: string}} experiment-exposure - Experiment copy was shown (src/experiments)
+ * @property {{experiment: string, variant: string, goal: ConversionGoal}} experiment-conversion - A visitor exposed to it reached a goal
+ */
+
+// Allowed values, or a pattern they must match
+const SECTION_ID = /^[a-z][a-z0-9-]{0,39}$/;
+const VARIANT_ID = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+export const EVENTS = {
+  'cta-click': { location: CTA_LOCATIONS, action: CTA_ACTIONS },
+  'section-view': { section: SECTION_ID },
+  'demo-use': { action: DEMO_ACTIONS, source: DEMO_SOURCES },
+  'experiment-exposure': { experiment: EXPERIMENT_IDS, variant: VARIANT_ID },
+  'experiment-conversion': { experiment: EXPERIMENT_IDS, variant: VARIANT_ID, goal: CONVERSION_GOALS },
+};
+
+// App paths only; a query string or hash could carry anything
+const PATH_PATTERN = /^\/[a-z0-9/-]{0,80}$/;
+
+const isAllowed = (rule, value) =>
+  Array.isArray(rule) ? rule.includes(value) : typeof value === 'string' && rule.test(value);
+
+/**
+ * validateEvent - Checks an event before it is queued or stored
+ * @param {object} event
+ * @param {keyof EventProps} event.name
+ * @param {object} event.props - Exactly the properties EVENTS lists for the name
+ * @param {string} event.path - App path the event happened on, e.g. "/es/docs"
+ * @param {number} event.time - Milliseconds since the epoch
+ * @returns {string | null} What is wrong with it; null when valid
+ */
+export const validateEvent = (event) => {
+  const rules = EVENTS[event?.name];
+  if (!rules) return `Unknown event "${event?.name}"`;
+
+  const props = event.props ?? {};
+  const unexpected = Object.keys(props).find((key) => !(key in rules));
+  if (unexpected) return `Unexpected property "${unexpected}" on ${event.name}`;
+  const invalid = Object.keys(rules).find((key) => !isAllowed(rules[key], props[key]));
+  if (invalid) return `Invalid ${invalid} "${props[invalid]}" on ${event.name}`;
+
+  if (typeof event.path !== 'string' || !PATH_PATTERN.test(event.path)) return `Invalid path on ${event.name}`;
+  if (!Number.isFinite(event.time)) return `Invalid time on ${event.name}`;
+  return null;
+};
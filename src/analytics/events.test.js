@@ -0,0 +1,48 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+import { EXPERIMENTS } from '../experiments/config.js';
+import { validateEvent } from './events';
+
+const event = (fields) => ({
+  name: 'cta-click',
+  props: { location: 'hero', action: 'install' },
+  path: '/es/docs',
+  time: 1_700_000_000_000,
+  ...fields,
+});
+
+describe('validateEvent', () => {
+  it('accepts every known event with allowed values', () => {
+    expect(validateEvent(event())).toBeNull();
+    expect(validateEvent(event({ name: 'section-view', props: { section: 'how-it-works' } }))).toBeNull();
+    expect(
+      validateEvent(event({ name: 'experiment-exposure', props: { experiment: EXPERIMENTS[0].id, variant: 'control' } }))
+    ).toBeNull();
+  });
+
+  it('rejects unknown names and unlisted or invalid properties', () => {
+    expect(validateEvent(event({ name: 'page-view' }))).toBe('Unknown event "page-view"');
+    expect(validateEvent(null)).toBe('Unknown event "undefined"');
+    expect(validateEvent(event({ props: { location: 'hero', action: 'install', email: 'a@b.c' } }))).toBe(
+      'Unexpected property "email" on cta-click'
+    );
+    expect(validateEvent(event({ props: { location: 'footer', action: 'install' } }))).toBe(
+      'Invalid location "footer" on cta-click'
+    );
+    expect(validateEvent(event({ name: 'section-view', props: { section: 'Hero Section' } }))).toBe(
+      'Invalid section "Hero Section" on section-view'
+    );
+    expect(validateEvent(event({ props: { location: 'hero' } }))).toBe('Invalid action "undefined" on cta-click');
+  });
+
+  it('only takes app paths, without a query string or hash', () => {
+    expect(validateEvent(event({ path: '/docs?email=a@b.c' }))).toBe('Invalid path on cta-click');
+    expect(validateEvent(event({ path: '/docs#token' }))).toBe('Invalid path on cta-click');
+    expect(validateEvent(event({ path: 'https://example.com/' }))).toBe('Invalid path on cta-click');
+  });
+
+  it('needs a finite time', () => {
+    expect(validateEvent(event({ time: '2025-03-01' }))).toBe('Invalid time on cta-click');
+    expect(validateEvent(event({ time: NaN }))).toBe('Invalid time on cta-click');
+  });
+});
@@ -0,0 +1,75 @@
+import { getLocation } from '../router/history';
+import { getAnalyticsAdapter } from './adapters';
+import { validateEvent } from './events';
+
+// --- Event Tracker ---
+// Queues events in memory and sends them in batches: when enough have
+// gathered, a few seconds after the first, and when the page is hidden.
+// Nothing is written to cookies or storage, and browsers asking not to be
+// tracked (Do Not Track, Global Privacy Control) send nothing.
+
+const FLUSH_DELAY = 5000;
+const MAX_BATCH = 20;
+
+let adapter;
+let queue = [];
+let timer = null;
+
+/**
+ * isTrackingAllowed - False when the browser sends Do Not Track or Global
+ * Privacy Control
+ * @returns {boolean}
+ */
+export const isTrackingAllowed = () => {
+  if (navigator.globalPrivacyControl === true) return false;
+  // Older browsers expose the setting elsewhere, and some as "yes"
+  const doNotTrack = navigator.doNotTrack ?? window.doNotTrack ?? navigator.msDoNotTrack;
+  return doNotTrack !== '1' && doNotTrack !== 'yes';
+};
+
+const flush = () => {
+  clearTimeout(timer);
+  timer = null;
+  if (queue.length === 0) return;
+  const batch = queue;
+  queue = [];
+  adapter.send(batch);
+};
+
+const flushWhenHidden = () => {
+  if (document.visibilityState === 'hidden') flush();
+};
+
+// Decided on the first event, so pages nobody interacts with do no work
+const getAdapter = () => {
+  if (adapter !== undefined) return adapter;
+  adapter = isTrackingAllowed() ? getAnalyticsAdapter() : null;
+  if (adapter) {
+    // Mobile browsers may discard a hidden page without a pagehide
+    document.addEventListener('visibilitychange', flushWhenHidden);
+    window.addEventListener('pagehide', flush);
+  }
+  return adapter;
+};
+
+/**
+ * track - Records an event. Does nothing during prerendering, without a
+ * backend, or when the browser asks not to be tracked.
+ * @template {keyof import('./events').EventProps} Name
+ * @param {Name} name
+ * @param {import('./events').EventProps[Name]} props
+ */
+export const track = (name, props) => {
+  if (typeof window === 'undefined' || !getAdapter()) return;
+
+  const event = { name, props, path: getLocation().path, time: Date.now() };
+  const error = validateEvent(event);
+  if (error) {
+    if (import.meta.env.DEV) console.warn(`Analytics event dropped: ${error}`);
+    return;
+  }
+
+  queue.push(event);
+  if (queue.length >= MAX_BATCH) flush();
+  else timer ??= setTimeout(flush, FLUSH_DELAY);
+};
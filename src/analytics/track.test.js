@@ -0,0 +1,88 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const send = vi.fn();
+
+vi.mock('./adapters', () => ({ getAnalyticsAdapter: () => ({ name: 'test', send }) }));
+
+// The tracker decides on its adapter once per page, so every test loads a fresh copy
+const loadTracker = async (navigatorFields = {}) => {
+  vi.stubGlobal('navigator', { ...navigatorFields });
+  vi.resetModules();
+  return import('./track');
+};
+
+const click = { location: 'hero', action: 'install' };
+
+describe('track', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    send.mockClear();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('sends a batch a few seconds after the first event', async () => {
+    const { track } = await loadTracker();
+    track('cta-click', click);
+    track('section-view', { section: 'features' });
+    vi.advanceTimersByTime(4999);
+    expect(send).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(1);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send.mock.calls[0][0].map(({ name }) => name)).toEqual(['cta-click', 'section-view']);
+  });
+
+  it('sends straight away once 20 events have gathered', async () => {
+    const { track } = await loadTracker();
+    for (let count = 0; count < 21; count++) track('cta-click', click);
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send.mock.calls[0][0]).toHaveLength(20);
+
+    vi.advanceTimersByTime(5000);
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send.mock.calls[1][0]).toHaveLength(1);
+  });
+
+  it('sends what is queued when the page is hidden', async () => {
+    const { track } = await loadTracker();
+    track('cta-click', click);
+    window.dispatchEvent(new Event('pagehide'));
+    expect(send).toHaveBeenCalledTimes(1);
+
+    // Nothing left for the timer to send
+    vi.advanceTimersByTime(5000);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('drops invalid events', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const { track } = await loadTracker();
+    track('cta-click', { ...click, email: 'a@b.c' });
+    vi.advanceTimersByTime(5000);
+    expect(send).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it.each([
+    ['Global Privacy Control', { globalPrivacyControl: true }],
+    ['Do Not Track', { doNotTrack: '1' }],
+    ['an older Do Not Track', { doNotTrack: 'yes' }],
+    ['Internet Explorer\'s Do Not Track', { msDoNotTrack: '1' }],
+  ])('sends nothing under %s', async (_, navigatorFields) => {
+    const { isTrackingAllowed, track } = await loadTracker(navigatorFields);
+    expect(isTrackingAllowed()).toBe(false);
+    track('cta-click', click);
+    window.dispatchEvent(new Event('pagehide'));
+    vi.advanceTimersByTime(5000);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('tracks when Do Not Track is off', async () => {
+    const { isTrackingAllowed } = await loadTracker({ doNotTrack: '0', globalPrivacyControl: false });
+    expect(isTrackingAllowed()).toBe(true);
+  });
+});
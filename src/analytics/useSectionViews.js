@@ -0,0 +1,36 @@
+import { useEffect } from 'react';
+import { observeIntersection } from '../motion/observerPool';
+import { track } from './track';
+
+// A section counts as viewed once it reaches the upper half of the viewport
+const VIEW_BAND = '0px 0px -50% 0px';
+
+/**
+ * useSectionViews - Tracks a section-view event the first time each of the
+ * given sections scrolls into view while the page is open
+ * @param {string[]} ids - Section element ids
+ */
+export const useSectionViews = (ids) => {
+  const key = ids.join(' ');
+
+  useEffect(() => {
+    if (!key) return undefined;
+
+    const stops = key.split(' ').map((id) => {
+      const element = document.getElementById(id);
+      if (!element) return () => {};
+      const stop = observeIntersection(
+        element,
+        (entry) => {
+          if (!entry.isIntersecting) return;
+          stop();
+          track('section-view', { section: id });
+        },
+        { rootMargin: VIEW_BAND }
+      );
+      return stop;
+    });
+
+    return () => stops.forEach((stop) => stop());
+  }, [key]);
+};
@@ -0,0 +1,89 @@
+// --- Capture Storage ---
+// IndexedDB in this browser is the only place captures live; nothing here
+// talks to a server.
+
+const DB_NAME = 'video-text-ocr';
+const DB_VERSION = 1;
+const STORE = 'captures';
+
+let dbPromise = null;
+
+const request = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const openDb = () => {
+  if (!dbPromise) {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: 'id' });
+      store.createIndex('capturedAt', 'capturedAt');
+    };
+    dbPromise = request(req).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Runs `work` against the store in one transaction and resolves once it commits
+ */
+const withStore = async (mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    let result;
+    Promise.resolve(work(transaction.objectStore(STORE))).then((value) => {
+      result = value;
+    }, reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * loadCaptures - Every stored capture, oldest first
+ * @returns {Promise<object[]>}
+ */
+export const loadCaptures = () =>
+  withStore('readonly', (store) => request(store.index('capturedAt').getAll()));
+
+/**
+ * saveCaptures - Inserts or replaces captures by id
+ * @param {object[]} captures
+ */
+export const saveCaptures = (captures) =>
+  withStore('readwrite', (store) => {
+    captures.forEach((capture) => store.put(capture));
+  });
+
+/**
+ * replaceCaptures - Removes and saves captures in one transaction, so a
+ * merge can't leave half its inputs behind
+ * @param {string[]} removeIds
+ * @param {object[]} captures
+ */
+export const replaceCaptures = (removeIds, captures) =>
+  withStore('readwrite', (store) => {
+    removeIds.forEach((id) => store.delete(id));
+    captures.forEach((capture) => store.put(capture));
+  });
+
+/**
+ * deleteCaptures - Removes captures by id
+ * @param {string[]} ids
+ */
+export const deleteCaptures = (ids) =>
+  withStore('readwrite', (store) => {
+    ids.forEach((id) => store.delete(id));
+  });
+
+/**
+ * clearCaptures - Removes every stored capture
+ */
+export const clearCaptures = () => withStore('readwrite', (store) => store.clear());
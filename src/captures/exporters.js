@@ -0,0 +1,89 @@
+import { formatClock } from '../ocr/transcript';
+
+// --- Capture Exporters ---
+
+const heading = (capture) => capture.sourceTitle || capture.sourceUrl || 'Untitled capture';
+
+const position = (capture) => (capture.timestamp !== null ? formatClock(capture.timestamp) : null);
+
+const sourceLine = (capture) =>
+  [capture.sourceUrl, position(capture) && `at ${position(capture)}`].filter(Boolean).join(' ');
+
+const toMarkdown = (captures) =>
+  `# My Captures\n\n${captures
+    .map((capture) => {
+      const meta = [
+        sourceLine(capture) && `Source: ${sourceLine(capture)}`,
+        `Captured: ${capture.capturedAt}`,
+        capture.tags.length > 0 && `Tags: ${capture.tags.map((tag) => `#${tag}`).join(' ')}`,
+      ].filter(Boolean);
+      return `## ${heading(capture)}\n\n${meta.join('  \n')}\n\n${capture.text}\n`;
+    })
+    .join('\n')}`;
+
+const toPlainText = (captures) =>
+  captures
+    .map((capture) => `${heading(capture)}\n${sourceLine(capture) || capture.capturedAt}\n\n${capture.text}\n`)
+    .join('\n----------\n\n');
+
+const csvCell = (value) => {
+  // Neutralize spreadsheet formulas hidden in captured text
+  const text = String(value ?? '').replace(/^[=+\-@]/, "'$&");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (captures) => {
+  const header = ['id', 'captured_at', 'source_title', 'source_url', 'timestamp', 'tags', 'text'];
+  const rows = captures.map((capture) => [
+    capture.id,
+    capture.capturedAt,
+    capture.sourceTitle,
+    capture.sourceUrl,
+    capture.timestamp,
+    capture.tags.join(' '),
+    capture.text,
+  ]);
+  // CRLF per RFC 4180, which is what spreadsheet apps expect
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\r\n');
+};
+
+// Anki's plain-text import: tab-separated fields, HTML allowed in fields,
+// directives in the leading # lines
+const escapeHtml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const ankiField = (text) => escapeHtml(text).replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+
+const toAnki = (captures) =>
+  [
+    '#separator:tab',
+    '#html:true',
+    '#tags column:3',
+    ...captures.map((capture) => {
+      const front = [heading(capture), position(capture)].filter(Boolean).join(' · ');
+      const tags = capture.tags.map((tag) => tag.replace(/\s+/g, '_')).join(' ');
+      return [ankiField(front), ankiField(capture.text), tags].join('\t');
+    }),
+  ].join('\n');
+
+/**
+ * Supported capture export formats
+ */
+// Labelled by captures.formats in the message catalogs
+export const CAPTURE_EXPORT_FORMATS = {
+  md: { extension: 'md', mimeType: 'text/markdown', build: toMarkdown },
+  txt: { extension: 'txt', mimeType: 'text/plain', build: toPlainText },
+  csv: { extension: 'csv', mimeType: 'text/csv', build: toCsv },
+  anki: { extension: 'txt', mimeType: 'text/plain', build: toAnki },
+};
+
+/**
+ * exportCaptures - Serializes captures into one of CAPTURE_EXPORT_FORMATS
+ * @param {object[]} captures
+ * @param {keyof CAPTURE_EXPORT_FORMATS} format
+ * @returns {Blob}
+ */
+export const exportCaptures = (captures, format) => {
+  const { build, mimeType } = CAPTURE_EXPORT_FORMATS[format];
+  return new Blob([build(captures)], { type: `${mimeType};charset=utf-8` });
+};
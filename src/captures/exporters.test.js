@@ -0,0 +1,44 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+import { exportCaptures } from './exporters';
+
+const capture = (fields) => ({
+  id: 'c1',
+  text: 'Hello',
+  sourceUrl: 'https://example.com/video',
+  sourceTitle: 'Lecture',
+  timestamp: 65,
+  capturedAt: '2025-03-01T12:00:00.000Z',
+  thumbnail: null,
+  tags: [],
+  ...fields,
+});
+
+const exported = (captures, format) => exportCaptures(captures, format).text();
+
+describe('exportCaptures', () => {
+  it('neutralizes spreadsheet formulas in CSV cells', async () => {
+    const csv = await exported([capture({ text: '=HYPERLINK("http://evil")', sourceTitle: '+1', tags: ['-x'] })], 'csv');
+    const [, row] = csv.split('\r\n');
+    expect(row).toBe('c1,2025-03-01T12:00:00.000Z,\'+1,https://example.com/video,65,\'-x,"\'=HYPERLINK(""http://evil"")"');
+  });
+
+  it('quotes CSV cells with commas and line breaks', async () => {
+    const csv = await exported([capture({ text: 'a, b\nc' })], 'csv');
+    expect(csv.endsWith(',"a, b\nc"')).toBe(true);
+  });
+
+  it('escapes HTML and keeps each Anki note on one line', async () => {
+    const anki = await exported([capture({ text: '<b>x</b> & "y"\n\tz', tags: ['two words'] })], 'anki');
+    const lines = anki.split('\n');
+    expect(lines.slice(0, 3)).toEqual(['#separator:tab', '#html:true', '#tags column:3']);
+    expect(lines[3]).toBe('Lecture · 1:05\t&lt;b&gt;x&lt;/b&gt; &amp; &quot;y&quot;<br> z\ttwo_words');
+    expect(lines).toHaveLength(4);
+  });
+
+  it('falls back to the link or a placeholder heading in Markdown', async () => {
+    const markdown = await exported([capture({ sourceTitle: '' }), capture({ sourceTitle: '', sourceUrl: null, timestamp: null })], 'md');
+    expect(markdown).toContain('## https://example.com/video\n\nSource: https://example.com/video at 1:05');
+    expect(markdown).toContain('## Untitled capture\n\nCaptured: 2025-03-01T12:00:00.000Z\n\nHello');
+  });
+});
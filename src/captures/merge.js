@@ -0,0 +1,27 @@
+// --- Merging Captures ---
+
+/**
+ * mergeCaptures - Combines several captures into one, e.g. a code listing
+ * captured across a few frames. Text is joined in video order (or capture
+ * order when timestamps are missing); the earliest capture supplies the
+ * source, time and thumbnail; tags are combined.
+ * @param {object[]} captures - At least two captures
+ * @returns {object} The merged capture, keeping the first capture's id
+ */
+export const mergeCaptures = (captures) => {
+  const ordered = [...captures].sort((a, b) => {
+    if (a.sourceUrl === b.sourceUrl && a.timestamp !== null && b.timestamp !== null) {
+      return a.timestamp - b.timestamp;
+    }
+    return a.capturedAt.localeCompare(b.capturedAt);
+  });
+  const [first] = ordered;
+
+  return {
+    ...first,
+    text: ordered.map((capture) => capture.text).join('\n\n'),
+    thumbnail: ordered.find((capture) => capture.thumbnail)?.thumbnail ?? null,
+    tags: [...new Set(ordered.flatMap((capture) => capture.tags))],
+    mergedFrom: ordered.map((capture) => capture.id),
+  };
+};
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { mergeCaptures } from './merge';
+
+const capture = (id, fields) => ({
+  id,
+  text: id,
+  sourceUrl: 'https://example.com/video',
+  sourceTitle: 'Lecture',
+  timestamp: null,
+  capturedAt: '2025-03-01T12:00:00.000Z',
+  thumbnail: null,
+  tags: [],
+  ...fields,
+});
+
+describe('mergeCaptures', () => {
+  it('joins text in video order and keeps the earliest capture\'s id', () => {
+    const merged = mergeCaptures([
+      capture('b', { timestamp: 30, capturedAt: '2025-03-01T12:00:00.000Z', tags: ['code'] }),
+      capture('a', { timestamp: 10, capturedAt: '2025-03-01T12:05:00.000Z', tags: ['code', 'js'] }),
+    ]);
+    expect(merged).toMatchObject({ id: 'a', text: 'a\n\nb', timestamp: 10, tags: ['code', 'js'], mergedFrom: ['a', 'b'] });
+  });
+
+  it('falls back to capture order across videos', () => {
+    const merged = mergeCaptures([
+      capture('late', { sourceUrl: 'https://example.com/other', timestamp: 5, capturedAt: '2025-03-02T00:00:00.000Z' }),
+      capture('early', { timestamp: 50, capturedAt: '2025-03-01T00:00:00.000Z' }),
+    ]);
+    expect(merged.text).toBe('early\n\nlate');
+  });
+
+  it('takes the first thumbnail there is', () => {
+    const merged = mergeCaptures([
+      capture('a', { timestamp: 1 }),
+      capture('b', { timestamp: 2, thumbnail: 'data:image/png;base64,BB' }),
+    ]);
+    expect(merged.thumbnail).toBe('data:image/png;base64,BB');
+  });
+});
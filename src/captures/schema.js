@@ -0,0 +1,114 @@
+// --- Capture Import Format ---
+// The extension's JSON export, normalized into the shape the viewer stores:
+//
+//   { id, text, sourceUrl, sourceTitle, timestamp, capturedAt, thumbnail, tags }
+//
+// Older exports used different field names, so a few aliases are accepted.
+// Thumbnails must be inline data URLs; remote images are dropped so viewing
+// a capture never makes a network request.
+
+export const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+
+/**
+ * CaptureError - An import or storage failure the page can explain to the
+ * user, as a message it translates (see src/i18n/translate.js)
+ * @param {string} messageKey - Catalog key of the explanation
+ * @param {Object<string, string | number>} params - Its placeholder values
+ */
+export class CaptureError extends Error {
+  constructor(messageKey, params = {}) {
+    super(`Capture import failed (${messageKey})`);
+    this.name = 'CaptureError';
+    this.messageKey = messageKey;
+    this.params = params;
+  }
+}
+
+const pick = (entry, ...names) => names.map((name) => entry[name]).find((value) => value != null);
+
+/**
+ * Parses "83", 83, "1:23" or "1:02:03" into seconds
+ */
+const parseTimestamp = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) return null;
+  return value.trim().split(':').reduce((total, part) => total * 60 + Number(part), 0);
+};
+
+const parseDate = (value) => {
+  const date = typeof value === 'number' || typeof value === 'string' ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+const parseUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+export const normalizeTags = (tags) =>
+  [...new Set((Array.isArray(tags) ? tags : [])
+    .filter((tag) => typeof tag === 'string')
+    .map((tag) => tag.trim().toLowerCase())
+    .filter(Boolean))];
+
+// Stable across re-imports of the same capture, so importing twice doesn't duplicate
+const fallbackId = ({ sourceUrl, timestamp, capturedAt, text }) => {
+  const key = `${sourceUrl}|${timestamp}|${capturedAt}|${text}`;
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) hash = (Math.imul(31, hash) + key.charCodeAt(i)) | 0;
+  return `capture-${(hash >>> 0).toString(36)}`;
+};
+
+/**
+ * normalizeCapture - Validates one exported capture
+ * @param {object} entry - Raw entry from the export
+ * @returns {object | null} Normalized capture, or null when it has no text
+ */
+export const normalizeCapture = (entry) => {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const text = pick(entry, 'text', 'content');
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const thumbnail = pick(entry, 'thumbnail', 'image', 'frame');
+  const capture = {
+    text: text.trim(),
+    sourceUrl: parseUrl(pick(entry, 'sourceUrl', 'url', 'pageUrl')),
+    sourceTitle: String(pick(entry, 'sourceTitle', 'title', 'pageTitle') ?? '').trim(),
+    timestamp: parseTimestamp(pick(entry, 'timestamp', 'videoTime', 'time')),
+    capturedAt: parseDate(pick(entry, 'capturedAt', 'createdAt', 'date')) ?? new Date(0).toISOString(),
+    thumbnail: typeof thumbnail === 'string' && thumbnail.startsWith('data:image/') ? thumbnail : null,
+    tags: normalizeTags(entry.tags),
+  };
+  const id = pick(entry, 'id');
+  return { id: id != null ? String(id) : fallbackId(capture), ...capture };
+};
+
+/**
+ * parseCaptureExport - Reads an extension export file's JSON. An export can
+ * list a capture more than once; the last copy wins.
+ * @param {string} json - File contents
+ * @returns {{captures: object[], skipped: number}} captures have unique ids
+ * @throws {CaptureError} When the file isn't an export at all
+ */
+export const parseCaptureExport = (json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new CaptureError('captures.errors.invalidJson');
+  }
+
+  const entries = Array.isArray(data) ? data : data?.captures;
+  if (!Array.isArray(entries)) {
+    throw new CaptureError('captures.errors.noCaptures');
+  }
+
+  const valid = entries.map(normalizeCapture).filter(Boolean);
+  const captures = [...new Map(valid.map((capture) => [capture.id, capture])).values()];
+  return { captures, skipped: entries.length - valid.length };
+};
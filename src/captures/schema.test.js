@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { CaptureError, normalizeCapture, parseCaptureExport } from './schema';
+
+describe('normalizeCapture', () => {
+  it('accepts the older field names', () => {
+    expect(
+      normalizeCapture({
+        id: 7,
+        content: '  Hello  ',
+        url: 'https://www.youtube.com/watch?v=abc',
+        title: 'Intro',
+        videoTime: '1:02:03',
+        createdAt: '2025-03-01T12:00:00Z',
+        image: 'data:image/png;base64,AAAA',
+        tags: ['Notes', ' notes ', 3, ''],
+      })
+    ).toEqual({
+      id: '7',
+      text: 'Hello',
+      sourceUrl: 'https://www.youtube.com/watch?v=abc',
+      sourceTitle: 'Intro',
+      timestamp: 3723,
+      capturedAt: '2025-03-01T12:00:00.000Z',
+      thumbnail: 'data:image/png;base64,AAAA',
+      tags: ['notes'],
+    });
+  });
+
+  it('drops remote thumbnails, non-web links and unreadable times', () => {
+    expect(
+      normalizeCapture({
+        text: 'x',
+        sourceUrl: 'javascript:alert(1)',
+        timestamp: '-5',
+        capturedAt: 'yesterday',
+        thumbnail: 'https://example.com/frame.png',
+      })
+    ).toMatchObject({ sourceUrl: null, timestamp: null, capturedAt: new Date(0).toISOString(), thumbnail: null });
+  });
+
+  it('rejects entries without text', () => {
+    expect(normalizeCapture({ text: '   ' })).toBeNull();
+    expect(normalizeCapture('text')).toBeNull();
+  });
+
+  it('gives captures without an id the same id on every import', () => {
+    const entry = { text: 'Same', url: 'https://example.com/', time: 12 };
+    expect(normalizeCapture(entry).id).toBe(normalizeCapture({ ...entry }).id);
+    expect(normalizeCapture(entry).id).not.toBe(normalizeCapture({ ...entry, time: 13 }).id);
+  });
+});
+
+describe('parseCaptureExport', () => {
+  it('reads a bare list or a captures field, counting unreadable entries', () => {
+    expect(parseCaptureExport(JSON.stringify([{ text: 'a' }, { text: '' }, null])).skipped).toBe(2);
+    expect(parseCaptureExport(JSON.stringify({ captures: [{ text: 'a' }] })).captures).toHaveLength(1);
+  });
+
+  it('keeps the last copy of a capture listed twice', () => {
+    const { captures, skipped } = parseCaptureExport(
+      JSON.stringify([
+        { id: 'a', text: 'first' },
+        { id: 'b', text: 'other' },
+        { id: 'a', text: 'second' },
+      ])
+    );
+    expect(captures.map(({ id, text }) => [id, text])).toEqual([
+      ['a', 'second'],
+      ['b', 'other'],
+    ]);
+    expect(skipped).toBe(0);
+  });
+
+  it('explains files that are not exports', () => {
+    expect(() => parseCaptureExport('{')).toThrow(CaptureError);
+    expect(() => parseCaptureExport('{')).toThrow(expect.objectContaining({ messageKey: 'captures.errors.invalidJson' }));
+    expect(() => parseCaptureExport('{"items": []}')).toThrow(
+      expect.objectContaining({ messageKey: 'captures.errors.noCaptures' })
+    );
+  });
+});
@@ -0,0 +1,90 @@
+// --- Capture Search ---
+
+/**
+ * siteOf - Host name a capture came from, without "www."
+ * @param {object} capture
+ * @returns {string | null}
+ */
+export const siteOf = (capture) => {
+  if (!capture.sourceUrl) return null;
+  return new URL(capture.sourceUrl).hostname.replace(/^www\./, '');
+};
+
+const fold = (text) =>
+  text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * localDay - Capture day in the visitor's time zone, "YYYY-MM-DD"
+ * @param {string} iso - ISO date string
+ */
+export const localDay = (iso) => {
+  const date = new Date(iso);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Splits a query into terms; "quoted phrases" stay together
+ */
+const parseQuery = (query) =>
+  [...fold(query).matchAll(/"([^"]+)"|(\S+)/g)].map(([, phrase, word]) => phrase ?? word);
+
+/**
+ * filterCaptures - Full-text search plus site, tag and date filters.
+ * Every query term must appear in the text, title, URL or tags.
+ * @param {object[]} captures
+ * @param {object} filters
+ * @param {string} filters.query - Search terms
+ * @param {string} filters.site - Host name from siteOf, or '' for any
+ * @param {string} filters.tag - Tag, or '' for any
+ * @param {string} filters.from - Earliest capture day, "YYYY-MM-DD", or ''
+ * @param {string} filters.to - Latest capture day, "YYYY-MM-DD", or ''
+ * @returns {object[]} Matching captures, newest first
+ */
+export const filterCaptures = (captures, { query = '', site = '', tag = '', from = '', to = '' } = {}) => {
+  const terms = parseQuery(query);
+
+  return captures
+    .filter((capture) => {
+      const day = localDay(capture.capturedAt);
+      if (site && siteOf(capture) !== site) return false;
+      if (tag && !capture.tags.includes(tag)) return false;
+      if (from && day < from) return false;
+      if (to && day > to) return false;
+      if (terms.length === 0) return true;
+
+      const haystack = fold([capture.text, capture.sourceTitle, capture.sourceUrl ?? '', ...capture.tags].join('\n'));
+      return terms.every((term) => haystack.includes(term));
+    })
+    .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+};
+
+/**
+ * groupByDay - Buckets captures (already sorted) by their local capture day
+ * @param {object[]} captures
+ * @returns {Array<{day: string, captures: object[]}>}
+ */
+export const groupByDay = (captures) => {
+  const groups = [];
+  for (const capture of captures) {
+    const day = localDay(capture.capturedAt);
+    const last = groups[groups.length - 1];
+    if (last?.day === day) {
+      last.captures.push(capture);
+    } else {
+      groups.push({ day, captures: [capture] });
+    }
+  }
+  return groups;
+};
+
+/**
+ * collectFacets - Distinct sites and tags for the filter menus
+ * @param {object[]} captures
+ * @returns {{sites: string[], tags: string[]}}
+ */
+export const collectFacets = (captures) => ({
+  sites: [...new Set(captures.map(siteOf).filter(Boolean))].sort(),
+  tags: [...new Set(captures.flatMap((capture) => capture.tags))].sort(),
+});
@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { collectFacets, filterCaptures, groupByDay, localDay } from './search';
+
+// Midday local time, so the day is the same in every time zone
+const at = (day, hour = 12) => new Date(`${day}T${String(hour).padStart(2, '0')}:00:00`).toISOString();
+
+const CAPTURES = [
+  {
+    id: 'a',
+    text: 'const café = require("crème")',
+    sourceUrl: 'https://www.youtube.com/watch?v=1',
+    sourceTitle: 'Node basics',
+    capturedAt: at('2025-03-01'),
+    tags: ['code'],
+  },
+  {
+    id: 'b',
+    text: 'Chapter two: closures',
+    sourceUrl: 'https://vimeo.com/2',
+    sourceTitle: 'JavaScript deep dive',
+    capturedAt: at('2025-03-03'),
+    tags: ['notes'],
+  },
+  { id: 'c', text: 'Two chapters later', sourceUrl: null, sourceTitle: '', capturedAt: at('2025-03-03', 9), tags: [] },
+];
+
+const ids = (captures) => captures.map(({ id }) => id);
+
+describe('filterCaptures', () => {
+  it('matches every term, ignoring case and accents, newest first', () => {
+    expect(ids(filterCaptures(CAPTURES, { query: 'CAFE creme' }))).toEqual(['a']);
+    expect(ids(filterCaptures(CAPTURES, { query: 'two' }))).toEqual(['b', 'c']);
+  });
+
+  it('keeps quoted phrases together', () => {
+    expect(ids(filterCaptures(CAPTURES, { query: '"chapter two"' }))).toEqual(['b']);
+  });
+
+  it('searches titles, links and tags too', () => {
+    expect(ids(filterCaptures(CAPTURES, { query: 'vimeo notes' }))).toEqual(['b']);
+  });
+
+  it('filters by site, tag and an inclusive date range', () => {
+    expect(ids(filterCaptures(CAPTURES, { site: 'youtube.com' }))).toEqual(['a']);
+    expect(ids(filterCaptures(CAPTURES, { tag: 'notes' }))).toEqual(['b']);
+    expect(ids(filterCaptures(CAPTURES, { from: '2025-03-02', to: '2025-03-03' }))).toEqual(['b', 'c']);
+    expect(ids(filterCaptures(CAPTURES, { to: '2025-03-01' }))).toEqual(['a']);
+  });
+});
+
+describe('groupByDay', () => {
+  it('buckets sorted captures by local day', () => {
+    expect(groupByDay(filterCaptures(CAPTURES)).map(({ day, captures }) => [day, ids(captures)])).toEqual([
+      ['2025-03-03', ['b', 'c']],
+      ['2025-03-01', ['a']],
+    ]);
+    expect(localDay(CAPTURES[0].capturedAt)).toBe('2025-03-01');
+  });
+});
+
+describe('collectFacets', () => {
+  it('lists each site without www and each tag once', () => {
+    expect(collectFacets(CAPTURES)).toEqual({ sites: ['vimeo.com', 'youtube.com'], tags: ['code', 'notes'] });
+  });
+});
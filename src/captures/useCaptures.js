@@ -0,0 +1,89 @@
+import { useCallback, useEffect, useState } from 'react';
+import { clearCaptures, deleteCaptures, loadCaptures, replaceCaptures, saveCaptures } from './db';
+import { mergeCaptures } from './merge';
+import { CaptureError, MAX_IMPORT_BYTES, normalizeTags, parseCaptureExport } from './schema';
+
+/**
+ * useCaptures - Captures stored in this browser, with import and editing
+ * @returns {object} { status, captures, error, importFile, setTags, merge, remove, clear }
+ *   status is 'loading' | 'ready' | 'error'; error is a message to translate
+ *   (see src/i18n/translate.js). Mutations resolve once IndexedDB has
+ *   committed; imports reject with a CaptureError when the file is unusable.
+ */
+export const useCaptures = () => {
+  const [status, setStatus] = useState('loading');
+  const [captures, setCaptures] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadCaptures().then(
+      (stored) => {
+        if (cancelled) return;
+        setCaptures(stored);
+        setStatus('ready');
+      },
+      () => {
+        if (cancelled) return;
+        setError({ key: 'captures.errors.storageBlocked' });
+        setStatus('error');
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const replace = useCallback((removedIds, added) => {
+    setCaptures((current) => {
+      const addedIds = new Set(added.map((capture) => capture.id));
+      return [
+        ...current.filter((capture) => !removedIds.includes(capture.id) && !addedIds.has(capture.id)),
+        ...added,
+      ];
+    });
+  }, []);
+
+  /**
+   * Imports an extension export; resolves with { added, replaced, skipped },
+   * where replaced counts captures that were already stored
+   */
+  const importFile = useCallback(async (file) => {
+    if (file.size > MAX_IMPORT_BYTES) {
+      throw new CaptureError('captures.errors.tooLarge', { name: file.name, size: MAX_IMPORT_BYTES / 1024 / 1024 });
+    }
+    const { captures: imported, skipped } = parseCaptureExport(await file.text());
+    const storedIds = new Set(captures.map((capture) => capture.id));
+    const replaced = imported.filter((capture) => storedIds.has(capture.id)).length;
+
+    await saveCaptures(imported);
+    replace([], imported);
+    return { added: imported.length - replaced, replaced, skipped };
+  }, [captures, replace]);
+
+  const setTags = useCallback(async (capture, tags) => {
+    const updated = { ...capture, tags: normalizeTags(tags) };
+    await saveCaptures([updated]);
+    replace([], [updated]);
+  }, [replace]);
+
+  const merge = useCallback(async (selected) => {
+    const merged = mergeCaptures(selected);
+    const removedIds = selected.map((capture) => capture.id).filter((id) => id !== merged.id);
+    await replaceCaptures(removedIds, [merged]);
+    replace(removedIds, [merged]);
+    return merged;
+  }, [replace]);
+
+  const remove = useCallback(async (ids) => {
+    await deleteCaptures(ids);
+    replace(ids, []);
+  }, [replace]);
+
+  const clear = useCallback(async () => {
+    await clearCaptures();
+    setCaptures([]);
+  }, []);
+
+  return { status, captures, error, importFile, setTags, merge, remove, clear };
+};
@@ -0,0 +1,33 @@
+import React, { useEffect, useRef } from 'react';
+import { attachSpotlight } from './spotlight';
+
+const GRID_STYLE = {
+  backgroundImage:
+    'linear-gradient(rgb(var(--color-grid) / 0.1) 1px, transparent 1px), linear-gradient(90deg, rgb(var(--color-grid) / 0.1) 1px, transparent 1px)',
+  backgroundSize: '100px 100px',
+};
+
+const SPOTLIGHT_STYLE = {
+  background:
+    'radial-gradient(800px circle at var(--spotlight-x, 50%) var(--spotlight-y, 50%), var(--spotlight), transparent 70%)',
+};
+
+/**
+ * BackgroundEffects - Fixed grid and mouse-follow spotlight behind the page.
+ * Renders once; the spotlight moves through CSS custom properties (see
+ * spotlight.js), so pointer movement never re-renders the app.
+ */
+export const BackgroundEffects = () => {
+  const spotlightRef = useRef(null);
+
+  useEffect(() => attachSpotlight(spotlightRef.current), []);
+
+  return (
+    <div aria-hidden="true" className="pointer-events-none fixed inset-0 overflow-hidden">
+      {/* Subtle grid pattern */}
+      <div className="absolute inset-0 opacity-[0.02]" style={GRID_STYLE} />
+      {/* Atmospheric spotlight effect - soft ambient light following the pointer */}
+      <div ref={spotlightRef} className="absolute inset-0" style={SPOTLIGHT_STYLE} />
+    </div>
+  );
+};
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { siteOf } from '../captures/search';
+import { useCopyToClipboard } from '../hooks/useCopyToClipboard';
+import { useTranslation } from '../i18n/useTranslation';
+import checkIcon from '../icons/check.svg?icon';
+import clipboardCopyIcon from '../icons/clipboard-copy.svg?icon';
+import tagIcon from '../icons/tag.svg?icon';
+import trashIcon from '../icons/trash.svg?icon';
+import xIcon from '../icons/x.svg?icon';
+import { formatClock } from '../ocr/transcript';
+import { Icon } from './Icon';
+
+/**
+ * Source link that opens the video at the captured moment where the site
+ * supports it (YouTube's t parameter, media fragments elsewhere)
+ */
+const linkAtTimestamp = (url, seconds) => {
+  if (seconds === null) return url;
+  const target = new URL(url);
+  const whole = Math.floor(seconds);
+  if (/(^|\.)youtube\.com$|^youtu\.be$/.test(target.hostname)) {
+    target.searchParams.set('t', `${whole}s`);
+  } else if (!target.hash) {
+    target.hash = `t=${whole}`;
+  }
+  return target.href;
+};
+
+/**
+ * CaptureCard - One saved capture in the My Captures timeline
+ * @param {object} props
+ * @param {object} props.capture - Normalized capture (see captures/schema)
+ * @param {boolean} props.selected - Whether it is selected for merge/export
+ * @param {(selected: boolean) => void} props.onSelect
+ * @param {(tags: string[]) => void} props.onTagsChange
+ * @param {() => void} props.onDelete
+ */
+export const CaptureCard = ({ capture, selected, onSelect, onTagsChange, onDelete }) => {
+  const { locale, t } = useTranslation();
+  const [newTag, setNewTag] = useState('');
+  const [copyState, copy] = useCopyToClipboard();
+  const site = siteOf(capture);
+  const title = capture.sourceTitle || site || t('captures.card.untitled');
+  const time = new Date(capture.capturedAt).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
+
+  const addTag = () => {
+    const tags = newTag.split(',').map((tag) => tag.trim()).filter(Boolean);
+    if (tags.length > 0) onTagsChange([...capture.tags, ...tags]);
+    setNewTag('');
+  };
+
+  const handleTagKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag();
+    }
+  };
+
+  return (
+    <article
+      className={`rounded-lg border bg-neutral-900/50 p-4 transition-colors ${
+        selected ? 'border-accent-600' : 'border-neutral-800'
+      }`}
+    >
+      <div className="flex gap-3">
+        <input
+          type="checkbox"
+          checked={selected}
+          onChange={(e) => onSelect(e.target.checked)}
+          aria-label={t('captures.card.select', { title })}
+          className="mt-1 h-4 w-4 flex-shrink-0 accent-accent-600"
+        />
+        {capture.thumbnail && (
+          <img
+            src={capture.thumbnail}
+            alt=""
+            className="h-16 w-28 flex-shrink-0 rounded border border-neutral-700 object-cover"
+          />
+        )}
+        <div className="min-w-0 flex-1">
+          <h3 className="truncate text-sm font-semibold text-foreground">{title}</h3>
+          <p className="mt-0.5 flex flex-wrap items-center gap-x-2 text-xs text-neutral-500">
+            <span>{time}</span>
+            {capture.sourceUrl && (
+              <a
+                href={linkAtTimestamp(capture.sourceUrl, capture.timestamp)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="truncate text-neutral-400 underline hover:text-foreground"
+              >
+                {site}
+                {capture.timestamp !== null && ` @ ${formatClock(capture.timestamp)}`}
+              </a>
+            )}
+            {capture.mergedFrom && <span>{t('captures.card.mergedFrom', { count: capture.mergedFrom.length })}</span>}
+          </p>
+        </div>
+        <div className="flex flex-shrink-0 items-start gap-1">
+          <button
+            type="button"
+            onClick={() => copy(capture.text)}
+            aria-label={copyState === 'copied' ? t('captures.card.copied') : t('captures.card.copy')}
+            className="rounded-md bg-transparent p-1.5 text-neutral-400 hover:bg-neutral-800 hover:text-foreground"
+          >
+            {copyState === 'copied' ? <Icon icon={checkIcon} className="h-4 w-4" /> : <Icon icon={clipboardCopyIcon} className="h-4 w-4" />}
+          </button>
+          <button
+            type="button"
+            onClick={onDelete}
+            aria-label={t('captures.card.delete')}
+            className="rounded-md bg-transparent p-1.5 text-neutral-400 hover:bg-neutral-800 hover:text-accent-400"
+          >
+            <Icon icon={trashIcon} className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <pre
+        dir="auto"
+        className="mt-3 max-h-48 overflow-auto whitespace-pre-wrap break-words rounded-md bg-neutral-950/60 p-3 font-mono text-xs text-neutral-200 [unicode-bidi:plaintext]"
+      >
+        {capture.text}
+      </pre>
+
+      <div className="mt-3 flex flex-wrap items-center gap-1.5">
+        <Icon icon={tagIcon} className="h-3.5 w-3.5 text-neutral-500" />
+        {capture.tags.map((tag) => (
+          <span
+            key={tag}
+            className="flex items-center gap-1 rounded-full bg-neutral-800 py-0.5 ps-2 pe-1 text-xs text-neutral-300"
+          >
+            {tag}
+            <button
+              type="button"
+              onClick={() => onTagsChange(capture.tags.filter((existing) => existing !== tag))}
+              aria-label={t('captures.card.removeTag', { tag })}
+              className="rounded-full bg-transparent p-0.5 hover:bg-neutral-700 hover:text-foreground"
+            >
+              <Icon icon={xIcon} className="h-3 w-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          type="text"
+          value={newTag}
+          onChange={(e) => setNewTag(e.target.value)}
+          onKeyDown={handleTagKeyDown}
+          onBlur={addTag}
+          placeholder={t('captures.card.addTag')}
+          aria-label={t('captures.card.addTagTo', { title })}
+          className="w-24 rounded-md border border-transparent bg-transparent px-1.5 py-0.5 text-xs text-neutral-300 placeholder-neutral-600 focus:border-neutral-700 focus:outline-none"
+        />
+      </div>
+    </article>
+  );
+};
@@ -0,0 +1,569 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { track } from '../analytics/track';
+import { useCopyToClipboard } from '../hooks/useCopyToClipboard';
+import { useTranslation } from '../i18n/useTranslation';
+import alertCircleIcon from '../icons/alert-circle.svg?icon';
+import cameraIcon from '../icons/camera.svg?icon';
+import checkIcon from '../icons/check.svg?icon';
+import clipboardCopyIcon from '../icons/clipboard-copy.svg?icon';
+import cropIcon from '../icons/crop.svg?icon';
+import fileTextIcon from '../icons/file-text.svg?icon';
+import filmIcon from '../icons/film.svg?icon';
+import infoIcon from '../icons/info.svg?icon';
+import loaderIcon from '../icons/loader.svg?icon';
+import playIcon from '../icons/play.svg?icon';
+import uploadIcon from '../icons/upload.svg?icon';
+import { analyzeCapture } from '../ocr/code';
+import { captureFrame } from '../ocr/engine';
+import { subscribeToHandOff, takeHandedOffFile } from '../ocr/handoff';
+import { checkImageDimensions, classifyFile } from '../ocr/inputs';
+import { defaultLanguages, languageName, textAttributes } from '../ocr/languages';
+import { createSampleClip } from '../ocr/sampleClip';
+import { formatClock } from '../ocr/transcript';
+import { useFrameOcr } from '../ocr/useFrameOcr';
+import { useTranscript } from '../ocr/useTranscript';
+import { CodeResult } from './CodeResult';
+import { Icon } from './Icon';
+import { OcrLanguagePicker } from './OcrLanguagePicker';
+import { RegionSelector } from './RegionSelector';
+import { TranscriptPanel } from './TranscriptPanel';
+
+// Analytics name for what the demo is working on; the sample clip is a stream
+const trackedSource = (source) => (source.kind === 'stream' ? 'sample' : source.kind);
+
+const COPY_LABELS = {
+  idle: 'demo.copy',
+  copied: 'demo.copied',
+  failed: 'demo.copyFailed',
+};
+
+const formatPercent = (locale, progress) => new Intl.NumberFormat(locale, { style: 'percent' }).format(progress);
+
+/**
+ * Builds the status row content for the current demo state
+ * @param {{t: Function, locale: string}} i18n - From useTranslation
+ */
+const describeStatus = ({ t, locale }, { hasSource, hasRegion, status, progress, text, languages, error }) => {
+  switch (status) {
+    case 'loading':
+    case 'recognizing':
+      return {
+        icon: loaderIcon,
+        spin: true,
+        message: t(`demo.status.${status}`, { percent: formatPercent(locale, progress) }),
+      };
+    case 'done': {
+      if (!text) return { icon: checkIcon, message: t('demo.status.noText') };
+      const captured = t('demo.status.captured', { count: text.length });
+      return {
+        icon: checkIcon,
+        message: languages ? `${captured} · ${languages.map(languageName).join(' + ')}` : captured,
+      };
+    }
+    case 'error':
+      return { icon: alertCircleIcon, tone: 'error', message: t(error.key, error.params) };
+    default:
+      return {
+        icon: infoIcon,
+        message: !hasSource
+          ? t('demo.status.noSource')
+          : hasRegion
+            ? t('demo.status.readyRegion')
+            : t('demo.status.ready'),
+      };
+  }
+};
+
+/**
+ * Builds the status row content while generating a whole-video transcript
+ * @param {{t: Function, locale: string}} i18n - From useTranslation
+ */
+const describeTranscriptStatus = ({ t, locale }, { source, status, progress, position, segments, error }) => {
+  const found = t('demo.status.segments', { count: segments.length });
+  const time = formatClock(position);
+
+  switch (status) {
+    case 'loading':
+      return { icon: loaderIcon, spin: true, message: t('demo.status.loadingEngine') };
+    case 'scanning':
+      return {
+        icon: loaderIcon,
+        spin: true,
+        message: `${t('demo.status.scanning', { time, percent: formatPercent(locale, progress) })} · ${found}`,
+      };
+    case 'cancelling':
+      return { icon: loaderIcon, spin: true, message: t('demo.status.cancelling') };
+    case 'done':
+      return { icon: checkIcon, message: `${t('demo.status.transcriptReady')} · ${found}` };
+    case 'cancelled':
+      return { icon: infoIcon, message: `${t('demo.status.stopped', { time })} · ${found}` };
+    case 'error':
+      return { icon: alertCircleIcon, tone: 'error', message: t(error.key, error.params) };
+    default:
+      if (!source) return { icon: infoIcon, message: t('demo.status.noSource') };
+      if (source.kind !== 'video') {
+        return { icon: infoIcon, message: t('demo.status.needsVideo') };
+      }
+      return { icon: infoIcon, message: t('demo.status.readyToScan') };
+  }
+};
+
+const CAPTURE_MODES = ['frame', 'transcript'];
+
+// Seconds between samples, or scene-change sampling
+const SAMPLING_OPTIONS = ['2', '5', '10', '30', 'scene'];
+
+/**
+ * CaptureDemo - Working version of the extension popup shown in the Hero.
+ * Plays a local video (or the generated sample clip) and runs OCR on the
+ * paused frame, or on a selected region of it, entirely in the browser.
+ * Transcript mode repeats that across the whole video. Images (and videos)
+ * handed off from a page-wide paste or drop are loaded the same way as
+ * picked files.
+ */
+export const CaptureDemo = () => {
+  const rootRef = useRef(null);
+  const videoRef = useRef(null);
+  const imageRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [source, setSource] = useState(null);
+  const [copyState, copy] = useCopyToClipboard();
+  const [region, setRegion] = useState(null);
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [mode, setMode] = useState('frame');
+  const [sampling, setSampling] = useState('5');
+  const [captureId, setCaptureId] = useState(0);
+  const { locale, t } = useTranslation();
+  const [languages, setLanguages] = useState(() => defaultLanguages([locale]));
+  const { status, progress, text, result, error, run, fail, reset } = useFrameOcr();
+  const transcript = useTranscript(videoRef);
+
+  const isScanning = ['loading', 'scanning', 'cancelling'].includes(transcript.status);
+  const isBusy = status === 'loading' || status === 'recognizing' || isScanning;
+  const canScan = source?.kind === 'video';
+  const mediaRef = source?.kind === 'image' ? imageRef : videoRef;
+  const codeAnalysis = useMemo(() => (result ? analyzeCapture(result) : null), [result]);
+
+  // Attach the current source to the player and release it when replaced
+  useEffect(() => {
+    if (!source) return;
+    const video = source.kind === 'image' ? null : videoRef.current;
+
+    if (video) {
+      if (source.stream) {
+        video.srcObject = source.stream;
+      } else {
+        video.src = source.url;
+      }
+      video.play().catch(() => {
+        // Autoplay can be refused; the native controls still work
+      });
+    }
+
+    return () => {
+      if (video) {
+        video.pause();
+        video.srcObject = null;
+        video.removeAttribute('src');
+      }
+      source.release();
+    };
+  }, [source]);
+
+  // A new source starts from a clean slate; the region only sticks within one source
+  const startSource = () => {
+    reset();
+    transcript.clear();
+    setRegion(null);
+    setIsSelecting(false);
+    setPreview(null);
+  };
+
+  const handleSelectToggle = () => {
+    if (!isSelecting) videoRef.current?.pause();
+    setIsSelecting(!isSelecting);
+  };
+
+  const loadFile = (file) => {
+    const { kind, error: fileError } = classifyFile(file);
+    if (fileError) {
+      fail({
+        ...fileError,
+        params: {
+          name: file.name || t('demo.errors.pastedItem'),
+          type: file.type || t('demo.errors.unknownType'),
+          ...fileError.params,
+        },
+      });
+      return;
+    }
+
+    const url = URL.createObjectURL(file);
+    track('demo-use', { action: 'open-file', source: kind });
+    startSource();
+    setMode('frame');
+    setSource({
+      kind,
+      name: file.name || t('demo.pastedImage'),
+      url,
+      release: () => URL.revokeObjectURL(url),
+    });
+  };
+
+  const loadFileRef = useRef(loadFile);
+  useEffect(() => {
+    loadFileRef.current = loadFile;
+  });
+
+  // Files pasted or dropped anywhere on the site land here, including ones
+  // dropped on another page before the demo mounted
+  useEffect(() => {
+    const pickUp = () => {
+      const file = takeHandedOffFile();
+      if (!file) return;
+      loadFileRef.current(file);
+      rootRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    };
+
+    pickUp();
+    return subscribeToHandOff(pickUp);
+  }, []);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) loadFile(file);
+  };
+
+  const handleSampleClick = () => {
+    const clip = createSampleClip();
+    track('demo-use', { action: 'open-sample', source: 'sample' });
+    startSource();
+    setSource({ kind: 'stream', name: t('demo.sampleClip'), stream: clip.stream, release: clip.stop });
+  };
+
+  const handleCapture = () => {
+    const media = mediaRef.current;
+    if (!media || !source) return;
+
+    if (source.kind !== 'image') media.pause();
+    setIsSelecting(false);
+    let frame;
+    try {
+      frame = captureFrame(media, region);
+    } catch {
+      fail({ key: 'demo.errors.noFrame' });
+      return;
+    }
+    setPreview(frame.toDataURL('image/png'));
+    setCaptureId((id) => id + 1);
+    track('demo-use', { action: 'capture', source: trackedSource(source) });
+    run(frame, languages);
+  };
+
+  // Images are recognized as soon as they decode
+  const handleImageLoad = (e) => {
+    const sizeError = checkImageDimensions(e.currentTarget);
+    if (sizeError) {
+      fail(sizeError);
+      return;
+    }
+    handleCapture();
+  };
+
+  const handleScan = () => {
+    setIsSelecting(false);
+    track('demo-use', { action: 'transcribe', source: trackedSource(source) });
+    transcript.start({
+      mode: sampling === 'scene' ? 'scene' : 'interval',
+      interval: Number(sampling),
+      region,
+      languages,
+    });
+  };
+
+  const handleSeek = (time) => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.pause();
+    video.currentTime = time;
+  };
+
+  const statusView = mode === 'transcript'
+    ? describeTranscriptStatus({ t, locale }, { source, ...transcript })
+    : describeStatus({ t, locale }, {
+      hasSource: Boolean(source),
+      hasRegion: Boolean(region),
+      status,
+      progress,
+      text,
+      languages: result?.languages,
+      error,
+    });
+  const textProps = textAttributes(result?.languages ?? []);
+  return (
+    <div ref={rootRef} className="space-y-4 p-2">
+      <div className="text-center">
+        <h2 className="text-lg font-semibold text-foreground">{t('meta.siteName')}</h2>
+        <p className="text-sm text-neutral-400">
+          {t('demo.tagline')}
+        </p>
+      </div>
+
+      <div
+        role="group"
+        aria-label={t('demo.mode')}
+        className="grid grid-cols-2 gap-1 rounded-lg bg-neutral-800/60 p-1"
+      >
+        {CAPTURE_MODES.map((value) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setMode(value)}
+            disabled={isBusy}
+            aria-pressed={mode === value}
+            className={`rounded-md py-1.5 px-2 text-xs font-medium transition-colors disabled:cursor-not-allowed ${
+              mode === value
+                ? 'bg-neutral-700 text-foreground'
+                : 'bg-transparent text-neutral-400 hover:text-foreground'
+            }`}
+          >
+            {t(`demo.modes.${value}`)}
+          </button>
+        ))}
+      </div>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="video/*,image/*"
+        aria-label={t('demo.openFile')}
+        tabIndex={-1}
+        className="hidden"
+        onChange={handleFileChange}
+      />
+
+      {source ? (
+        <div className="space-y-2">
+          <div className="relative">
+            {source.kind === 'image' ? (
+              <img
+                ref={imageRef}
+                src={source.url}
+                alt={source.name}
+                onLoad={handleImageLoad}
+                onError={() => fail({ key: 'demo.errors.undecodable', params: { name: source.name } })}
+                className="aspect-video w-full rounded-lg bg-black object-contain"
+              />
+            ) : (
+              <video
+                ref={videoRef}
+                controls={!isSelecting && !isScanning}
+                muted
+                playsInline
+                className="aspect-video w-full rounded-lg bg-black"
+              />
+            )}
+            <RegionSelector
+              mediaRef={mediaRef}
+              region={region}
+              onChange={setRegion}
+              editing={isSelecting}
+              onDone={() => setIsSelecting(false)}
+            />
+          </div>
+          <div className="flex items-center gap-3 text-xs text-neutral-400">
+            <span className="me-auto truncate">{source.name}</span>
+            <button
+              type="button"
+              onClick={handleSelectToggle}
+              disabled={isScanning}
+              aria-pressed={isSelecting}
+              className={`flex flex-shrink-0 items-center gap-1 rounded-md bg-transparent p-0 hover:text-foreground disabled:opacity-50 ${
+                isSelecting ? 'text-accent-400' : 'text-neutral-300'
+              }`}
+            >
+              <Icon icon={cropIcon} className="h-3.5 w-3.5" />
+              {isSelecting ? t('demo.doneSelecting') : t('demo.selectRegion')}
+            </button>
+            {region && (
+              <button
+                type="button"
+                onClick={() => setRegion(null)}
+                className="flex-shrink-0 rounded-md bg-transparent p-0 text-neutral-300 hover:text-foreground"
+              >
+                {t('demo.clearRegion')}
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              className="flex-shrink-0 rounded-md bg-transparent p-0 text-neutral-300 hover:text-foreground"
+            >
+              {t('demo.changeFile')}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex aspect-video flex-col items-center justify-center gap-3 rounded-lg border border-neutral-700 bg-neutral-800/30">
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            className="flex items-center gap-2 rounded-md bg-neutral-800 py-2 px-3 text-sm text-neutral-100 transition-colors hover:bg-neutral-700"
+          >
+            <Icon icon={uploadIcon} className="h-4 w-4" />
+            {t('demo.openFile')}
+          </button>
+          <button
+            type="button"
+            onClick={handleSampleClick}
+            className="flex items-center gap-2 rounded-md bg-transparent py-1 px-3 text-xs text-neutral-400 transition-colors hover:text-foreground"
+          >
+            <Icon icon={filmIcon} className="h-4 w-4" />
+            {t('demo.playSample')}
+          </button>
+          <p className="text-[11px] text-neutral-500">
+            {t('demo.pasteHint')}
+          </p>
+        </div>
+      )}
+
+      <OcrLanguagePicker value={languages} onChange={setLanguages} disabled={isBusy} />
+
+      {mode === 'transcript' ? (
+        <div className="flex gap-2">
+          <label className="sr-only" htmlFor="transcript-sampling">
+            {t('demo.sampling')}
+          </label>
+          <select
+            id="transcript-sampling"
+            value={sampling}
+            onChange={(e) => setSampling(e.target.value)}
+            disabled={isBusy}
+            className="rounded-lg border border-neutral-700 bg-neutral-800 px-2 text-xs text-neutral-200"
+          >
+            {SAMPLING_OPTIONS.map((value) => (
+              <option key={value} value={value}>
+                {value === 'scene' ? t('demo.onSceneChange') : t('demo.every', { count: Number(value) })}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={handleScan}
+            disabled={!canScan || isBusy}
+            className="flex flex-1 items-center justify-center gap-2 rounded-lg bg-accent-600 py-3 px-4 text-on-accent transition-colors hover:bg-accent-700 disabled:cursor-not-allowed disabled:opacity-50"
+          >
+            <Icon icon={fileTextIcon} className="h-5 w-5" />
+            <span className="font-medium">{t('demo.generateTranscript')}</span>
+          </button>
+        </div>
+      ) : (
+        <button
+          type="button"
+          onClick={handleCapture}
+          disabled={!source || isBusy}
+          className="flex w-full items-center justify-center gap-2 rounded-lg bg-accent-600 py-3 px-4 text-on-accent transition-colors hover:bg-accent-700 disabled:cursor-not-allowed disabled:opacity-50"
+        >
+          <Icon icon={cameraIcon} className="h-5 w-5" />
+          <span className="font-medium">{t('demo.captureFrame')}</span>
+        </button>
+      )}
+
+      <div className="flex items-center gap-3 rounded-lg border border-neutral-700 bg-neutral-800/50 py-3 px-4">
+        <Icon
+          icon={statusView.icon}
+          className={`h-5 w-5 flex-shrink-0 ${
+            statusView.tone === 'error' ? 'text-accent-400' : 'text-neutral-400'
+          } ${statusView.spin ? 'animate-spin' : ''}`}
+        />
+        <span
+          role="status"
+          aria-live="polite"
+          className={`me-auto text-sm ${
+            statusView.tone === 'error' ? 'text-accent-300' : 'text-neutral-300'
+          }`}
+        >
+          {statusView.message}
+        </span>
+        {mode === 'transcript' && isScanning && (
+          <button
+            type="button"
+            onClick={transcript.cancel}
+            disabled={transcript.status === 'cancelling'}
+            className="flex-shrink-0 rounded-md bg-neutral-700 py-1 px-2 text-xs text-neutral-100 transition-colors hover:bg-neutral-600 disabled:opacity-50"
+          >
+            {t('demo.cancel')}
+          </button>
+        )}
+      </div>
+
+      {mode === 'transcript' && transcript.segments.length > 0 ? (
+        <TranscriptPanel
+          segments={transcript.segments}
+          title={source?.name ?? 'transcript'}
+          exportable={!isScanning}
+          onSeek={handleSeek}
+          onChange={transcript.updateSegment}
+        />
+      ) : mode === 'frame' && status === 'done' && codeAnalysis ? (
+        <CodeResult key={captureId} analysis={codeAnalysis} preview={preview} />
+      ) : mode === 'frame' && status === 'done' && text ? (
+        <div className="rounded-lg border border-neutral-700 bg-neutral-800/30 text-start">
+          <div className="flex items-center justify-between border-b border-neutral-700 py-2 px-3">
+            <span className="text-xs font-medium uppercase tracking-wide text-neutral-400">
+              {t('demo.extractedText')}
+            </span>
+            <button
+              type="button"
+              onClick={() => {
+                copy(text);
+                track('demo-use', { action: 'copy', source: trackedSource(source) });
+              }}
+              className="flex items-center gap-1 rounded-md bg-transparent py-1 px-2 text-xs text-neutral-300 transition-colors hover:bg-neutral-700 hover:text-foreground"
+            >
+              {copyState === 'copied' ? (
+                <Icon icon={checkIcon} className="h-4 w-4" />
+              ) : (
+                <Icon icon={clipboardCopyIcon} className="h-4 w-4" />
+              )}
+              {t(COPY_LABELS[copyState])}
+            </button>
+          </div>
+          <div className="flex gap-3 p-3">
+            {preview && (
+              <img
+                src={preview}
+                alt={t('demo.capturedRegion')}
+                className="h-fit max-h-24 w-20 flex-shrink-0 rounded border border-neutral-700 object-contain"
+              />
+            )}
+            <pre
+              {...textProps}
+              className="max-h-48 min-w-0 flex-1 overflow-auto whitespace-pre-wrap break-words font-mono text-xs text-neutral-200 [unicode-bidi:plaintext]"
+            >
+              {text}
+            </pre>
+          </div>
+        </div>
+      ) : (
+        <div className="flex h-48 items-center justify-center rounded-lg border-2 border-dashed border-neutral-700 bg-neutral-800/30">
+          <div className="text-center text-neutral-500">
+            <div className="mx-auto flex h-12 w-12 items-center justify-center rounded-full bg-neutral-700/50">
+              <Icon icon={playIcon} className="h-6 w-6 text-neutral-400" />
+            </div>
+            <p className="mt-3 font-medium">{t('demo.empty')}</p>
+            <p className="mt-1 text-xs">
+              {mode === 'transcript' ? t('demo.emptyTranscriptHint') : t('demo.emptyFrameHint')}
+            </p>
+          </div>
+        </div>
+      )}
+
+      <p className="text-center text-xs text-neutral-500">
+        {t('demo.local')}
+      </p>
+    </div>
+  );
+};
@@ -0,0 +1,201 @@
+import React, { useMemo, useState } from 'react';
+import { useCopyToClipboard } from '../hooks/useCopyToClipboard';
+import { useTranslation } from '../i18n/useTranslation';
+import checkIcon from '../icons/check.svg?icon';
+import clipboardCopyIcon from '../icons/clipboard-copy.svg?icon';
+import { LANGUAGES, applyCorrections } from '../ocr/code';
+import { tokenize } from '../ocr/highlight';
+import { Icon } from './Icon';
+
+const TOKEN_STYLES = {
+  plain: 'text-neutral-200',
+  keyword: 'text-info',
+  string: 'text-success-400',
+  number: 'text-warning',
+  comment: 'italic text-neutral-500',
+};
+
+const CONTEXT = 12;
+
+/**
+ * Renders one correction as an inline before/after diff of its line
+ */
+const CorrectionDiff = ({ line, correction }) => {
+  const { start, end, before, after } = correction;
+  return (
+    <code className="font-mono text-xs text-neutral-400">
+      {start > CONTEXT && '…'}
+      {line.slice(Math.max(0, start - CONTEXT), start)}
+      <del className="rounded-sm bg-accent-900/50 text-accent-300">{before}</del>
+      <ins className="rounded-sm bg-success-900/50 text-success-300 no-underline">{after}</ins>
+      {line.slice(end, end + CONTEXT)}
+      {line.length > end + CONTEXT && '…'}
+    </code>
+  );
+};
+
+/**
+ * CodeResult - Results view for captures that look like source code.
+ * Shows the cleaned-up code with syntax highlighting and lets the user
+ * accept or reject each suggested correction.
+ * @param {object} props
+ * @param {object} props.analysis - Output of analyzeCapture
+ * @param {string | null} props.preview - Data URL of the captured frame or region
+ */
+export const CodeResult = ({ analysis, preview }) => {
+  const { language, rawLines, indentedLines, corrections } = analysis;
+  const { t } = useTranslation();
+  const [rejected, setRejected] = useState(() => new Set());
+  const [keepIndentation, setKeepIndentation] = useState(true);
+  const [copyState, copy] = useCopyToClipboard();
+  const [copiedAs, setCopiedAs] = useState(null);
+
+  const code = useMemo(() => {
+    const accepted = corrections.filter((correction) => !rejected.has(correction.id));
+    const lines = applyCorrections(indentedLines, accepted);
+    return (keepIndentation ? lines : lines.map((line) => line.trimStart())).join('\n');
+  }, [corrections, indentedLines, rejected, keepIndentation]);
+
+  const tokens = useMemo(() => tokenize(code, language), [code, language]);
+  const indentedCount = indentedLines.filter((line) => /^\s/.test(line)).length;
+
+  const toggleCorrection = (id) => {
+    setRejected((current) => {
+      const next = new Set(current);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const handleCopy = (asBlock) => {
+    const fence = language ?? '';
+    setCopiedAs(asBlock ? 'block' : 'code');
+    copy(asBlock ? `\`\`\`${fence}\n${code}\n\`\`\`` : code);
+  };
+
+  const copyLabel = (kind, idle) => {
+    if (copiedAs !== kind || copyState === 'idle') return idle;
+    return copyState === 'copied' ? t('demo.copied') : t('demo.copyFailed');
+  };
+
+  const decisions = [
+    ...(indentedCount > 0
+      ? [{
+        id: 'indent',
+        accepted: keepIndentation,
+        toggle: () => setKeepIndentation(!keepIndentation),
+        content: (
+          <span className="text-xs text-neutral-400">
+            {t('demo.code.indentation', { count: indentedCount })}
+          </span>
+        ),
+        reason: t('demo.code.indentationReason'),
+      }]
+      : []),
+    ...corrections.map((correction) => ({
+      id: correction.id,
+      accepted: !rejected.has(correction.id),
+      toggle: () => toggleCorrection(correction.id),
+      content: <CorrectionDiff line={indentedLines[correction.line]} correction={correction} />,
+      reason: t('demo.code.line', {
+        line: correction.line + 1,
+        reason: t(`demo.code.reasons.${correction.reason}`),
+      }),
+    })),
+  ];
+
+  return (
+    <div className="rounded-lg border border-neutral-700 bg-neutral-800/30 text-start">
+      <div className="flex items-center justify-between gap-2 border-b border-neutral-700 py-2 px-3">
+        <span className="text-xs font-medium uppercase tracking-wide text-neutral-400">
+          {language ? t('demo.code.title', { language: LANGUAGES[language].label }) : t('demo.code.untitled')}
+        </span>
+        <div className="flex items-center gap-1">
+          <button
+            type="button"
+            onClick={() => handleCopy(false)}
+            className="flex items-center gap-1 rounded-md bg-transparent py-1 px-2 text-xs text-neutral-300 transition-colors hover:bg-neutral-700 hover:text-foreground"
+          >
+            {copiedAs === 'code' && copyState === 'copied' ? (
+              <Icon icon={checkIcon} className="h-4 w-4" />
+            ) : (
+              <Icon icon={clipboardCopyIcon} className="h-4 w-4" />
+            )}
+            {copyLabel('code', t('demo.copy'))}
+          </button>
+          <button
+            type="button"
+            onClick={() => handleCopy(true)}
+            className="rounded-md bg-transparent py-1 px-2 text-xs text-neutral-300 transition-colors hover:bg-neutral-700 hover:text-foreground"
+          >
+            {copyLabel('block', t('demo.code.copyBlock'))}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex gap-3 p-3">
+        {preview && (
+          <img
+            src={preview}
+            alt={t('demo.capturedRegion')}
+            className="h-fit max-h-24 w-20 flex-shrink-0 rounded border border-neutral-700 object-contain"
+          />
+        )}
+        <pre dir="ltr" className="max-h-48 min-w-0 flex-1 overflow-auto whitespace-pre font-mono text-xs">
+          {tokens.map((token, index) => (
+            <span key={index} className={TOKEN_STYLES[token.type]}>
+              {token.value}
+            </span>
+          ))}
+        </pre>
+      </div>
+
+      {decisions.length > 0 && (
+        <details className="border-t border-neutral-700">
+          <summary className="cursor-pointer py-2 px-3 text-xs text-neutral-400 hover:text-foreground">
+            {t('demo.code.corrections', { count: decisions.length })}
+            {' · '}
+            {t('demo.code.accepted', { count: decisions.filter((decision) => decision.accepted).length })}
+          </summary>
+          <ul className="max-h-40 space-y-2 overflow-auto px-3 pb-3">
+            {decisions.map((decision) => (
+              <li key={decision.id} className="flex items-start gap-2">
+                <div className="min-w-0 flex-1">
+                  <div className={`truncate ${decision.accepted ? '' : 'opacity-50 line-through'}`}>
+                    {decision.content}
+                  </div>
+                  <p className="text-[11px] text-neutral-500">{decision.reason}</p>
+                </div>
+                <button
+                  type="button"
+                  onClick={decision.toggle}
+                  aria-pressed={decision.accepted}
+                  className={`flex-shrink-0 rounded-md py-0.5 px-2 text-[11px] transition-colors ${
+                    decision.accepted
+                      ? 'bg-success-900/40 text-success-300 hover:bg-success-900/70'
+                      : 'bg-neutral-700 text-neutral-300 hover:bg-neutral-600'
+                  }`}
+                >
+                  {decision.accepted ? t('demo.code.isAccepted') : t('demo.code.isRejected')}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      <details className="border-t border-neutral-700">
+        <summary className="cursor-pointer py-2 px-3 text-xs text-neutral-400 hover:text-foreground">
+          {t('demo.code.raw')}
+        </summary>
+        <pre className="max-h-32 overflow-auto whitespace-pre-wrap break-words px-3 pb-3 font-mono text-xs text-neutral-400">
+          {rawLines.join('\n')}
+        </pre>
+      </details>
+    </div>
+  );
+};
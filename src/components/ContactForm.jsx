@@ -0,0 +1,431 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { getContactAdapter } from '../contact/adapters';
+import { createRateLimiter } from '../contact/rateLimit';
+import {
+  BROWSERS,
+  CATEGORIES,
+  EMPTY_REPORT,
+  MAX_DESCRIPTION_LENGTH,
+  browserOption,
+  validateReport,
+} from '../contact/report';
+import { useBrowser } from '../download/useBrowser';
+import { useExtension } from '../extension/useExtension';
+import { useTranslation } from '../i18n/useTranslation';
+import alertCircleIcon from '../icons/alert-circle.svg?icon';
+import checkIcon from '../icons/check.svg?icon';
+import loaderIcon from '../icons/loader.svg?icon';
+import uploadIcon from '../icons/upload.svg?icon';
+import { Icon } from './Icon';
+import { Button } from './ui';
+
+const defaultAdapter = getContactAdapter();
+
+const limiter = createRateLimiter({
+  key: 'contact:submissions',
+  limit: 3,
+  windowMs: 15 * 60 * 1000,
+});
+
+// Order used to move focus to the first invalid field
+const FIELD_ORDER = ['category', 'browser', 'version', 'email', 'description', 'attachment'];
+
+const INPUT_STYLE =
+  'w-full rounded-lg border bg-neutral-900 px-3 py-2 text-sm text-foreground placeholder-neutral-500 focus:outline-none focus:ring-2 focus:ring-focus';
+
+const inputBorder = (error) => (error ? 'border-accent-500' : 'border-neutral-700');
+
+const formatWait = (ms, locale) =>
+  new Intl.NumberFormat(locale, { style: 'unit', unit: 'minute', unitDisplay: 'long' }).format(Math.ceil(ms / 60_000));
+
+/**
+ * Label, control and error message for one form field
+ */
+const Field = ({ id, label, hint, error, children }) => {
+  return (
+    <div>
+      <label htmlFor={id} className="block text-sm font-medium text-neutral-200">
+        {label}
+      </label>
+      {hint && (
+        <p id={`${id}-hint`} className="mt-1 text-xs text-neutral-500">
+          {hint}
+        </p>
+      )}
+      <div className="mt-2">{children}</div>
+      {error && (
+        <p id={`${id}-error`} className="mt-2 flex items-center gap-1 text-xs text-accent-300">
+          <Icon icon={alertCircleIcon} className="h-3.5 w-3.5 flex-shrink-0" />
+          {error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Accessibility props tying a control to its hint and error message
+ */
+const describedBy = (id, { hint, error }) => ({
+  'aria-invalid': error ? true : undefined,
+  'aria-describedby': [hint && `${id}-hint`, error && `${id}-error`].filter(Boolean).join(' ') || undefined,
+});
+
+/**
+ * ContactForm - Bug report, feature request and question form.
+ * Validates on the client, drops honeypot submissions, limits how often a
+ * visitor can send and hands the report to a submission adapter.
+ * @param {object} props
+ * @param {{name: string, submit: Function}} props.adapter - Submission backend (see contact/adapters)
+ */
+export const ContactForm = ({ adapter = defaultAdapter }) => {
+  const [report, setReport] = useState(EMPTY_REPORT);
+  const [errors, setErrors] = useState({});
+  const [attempted, setAttempted] = useState(false);
+  const [status, setStatus] = useState('idle');
+  const [submitError, setSubmitError] = useState(null);
+  const [outcome, setOutcome] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const formRef = useRef(null);
+  const honeypotRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const successRef = useRef(null);
+  const extension = useExtension();
+  const browser = useBrowser();
+  const { locale, t } = useTranslation();
+  // Field errors are messages from validateReport or the backend
+  const errorText = (field) => errors[field] && t(errors[field].key, errors[field].params);
+
+  useEffect(() => {
+    if (!report.attachment) {
+      setPreview(null);
+      return;
+    }
+    const url = URL.createObjectURL(report.attachment);
+    setPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [report.attachment]);
+
+  useEffect(() => {
+    if (status === 'sent') successRef.current?.focus();
+  }, [status]);
+
+  // Prefilled once known; the prerendered form can't tell which browser this is
+  useEffect(() => {
+    if (!browser) return;
+    setReport((current) => (current.browser ? current : { ...current, browser: browserOption(browser.id) }));
+  }, [browser]);
+
+  // The installed extension reports its version; save the user looking it up
+  useEffect(() => {
+    if (!extension.version) return;
+    setReport((current) => (current.version ? current : { ...current, version: extension.version }));
+  }, [extension.version]);
+
+  const update = (field, value) => {
+    const next = { ...report, [field]: value };
+    setReport(next);
+    // Once the user has tried to send, errors follow their edits live;
+    // a bad attachment is worth flagging straight away
+    const fieldErrors = validateReport(next);
+    if (attempted) {
+      setErrors(fieldErrors);
+    } else if (field === 'attachment') {
+      setErrors((current) => ({ ...current, attachment: fieldErrors.attachment }));
+    }
+  };
+
+  const attach = (file) => {
+    update('attachment', file ?? null);
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) attach(file);
+  };
+
+  const handlePaste = (e) => {
+    const item = [...(e.clipboardData?.items ?? [])].find((entry) => entry.kind === 'file');
+    // Text pastes into the fields behave as usual
+    if (!item || e.clipboardData.types.includes('text/plain')) return;
+    const file = item.getAsFile();
+    if (!file) return;
+    e.preventDefault();
+    attach(file);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (file) attach(file);
+  };
+
+  const focusFirstError = (fieldErrors) => {
+    const first = FIELD_ORDER.find((field) => fieldErrors[field]);
+    if (!first) return;
+    const target = first === 'attachment' ? fileInputRef.current : formRef.current?.elements[first];
+    target?.focus();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (status === 'sending') return;
+
+    setAttempted(true);
+    setSubmitError(null);
+
+    const fieldErrors = validateReport(report);
+    setErrors(fieldErrors);
+    if (Object.keys(fieldErrors).length > 0) {
+      focusFirstError(fieldErrors);
+      return;
+    }
+
+    const { allowed, retryAfter } = limiter.check();
+    if (!allowed) {
+      setSubmitError(t('contact.tooManyRecent', { wait: formatWait(retryAfter, locale) }));
+      return;
+    }
+
+    // Bots fill every field; pretend it worked so they don't retry
+    if (honeypotRef.current?.value) {
+      limiter.record();
+      setOutcome({});
+      setStatus('sent');
+      return;
+    }
+
+    setStatus('sending');
+    try {
+      const result = await adapter.submit(report);
+      limiter.record();
+      setOutcome(result);
+      setStatus('sent');
+    } catch (error) {
+      setStatus('idle');
+      if (error.fieldErrors && Object.keys(error.fieldErrors).length > 0) {
+        setErrors(error.fieldErrors);
+        focusFirstError(error.fieldErrors);
+      }
+      setSubmitError(t(error.messageKey ?? 'contact.errors.unknown'));
+    }
+  };
+
+  const handleReset = () => {
+    setReport({ ...EMPTY_REPORT, browser: report.browser, version: report.version });
+    setErrors({});
+    setAttempted(false);
+    setSubmitError(null);
+    setOutcome(null);
+    setStatus('idle');
+  };
+
+  if (status === 'sent') {
+    return (
+      <div
+        ref={successRef}
+        tabIndex={-1}
+        role="status"
+        className="rounded-xl border border-success-800 bg-success-950/30 p-6 focus:outline-none"
+      >
+        <div className="flex items-center gap-2 text-success-300">
+          <Icon icon={checkIcon} className="h-5 w-5" />
+          <h2 className="text-lg font-semibold">
+            {outcome?.notice ? t('contact.almostDone') : t('contact.sentTitle')}
+          </h2>
+        </div>
+        <p className="mt-3 text-sm text-neutral-300">
+          {outcome?.notice ? t(outcome.notice.key, outcome.notice.params) : t('contact.sent')}
+        </p>
+        {outcome?.reference && (
+          <p className="mt-2 text-sm text-neutral-400">
+            {t('contact.reference', {
+              reference: <span className="font-mono text-neutral-200">{outcome.reference}</span>,
+            })}
+          </p>
+        )}
+        <Button variant="secondary" size="sm" className="mt-6" onClick={handleReset}>
+          {t('contact.sendAnother')}
+        </Button>
+      </div>
+    );
+  }
+
+  const remaining = MAX_DESCRIPTION_LENGTH - report.description.length;
+
+  return (
+    <form
+      ref={formRef}
+      noValidate
+      onSubmit={handleSubmit}
+      onPaste={handlePaste}
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={handleDrop}
+      data-file-intake="local"
+      aria-busy={status === 'sending'}
+      className="relative space-y-6 rounded-xl border border-neutral-800 bg-neutral-900/50 p-6"
+    >
+      <div className="grid gap-6 sm:grid-cols-2">
+        <Field id="category" label={t('contact.category')} error={errorText('category')}>
+          <select
+            id="category"
+            name="category"
+            value={report.category}
+            onChange={(e) => update('category', e.target.value)}
+            className={`${INPUT_STYLE} ${inputBorder(errors.category)}`}
+            {...describedBy('category', { error: errors.category })}
+          >
+            {CATEGORIES.map((category) => (
+              <option key={category} value={category}>
+                {t(`contact.categories.${category}`)}
+              </option>
+            ))}
+          </select>
+        </Field>
+
+        <Field id="browser" label={t('contact.browser')} error={errorText('browser')}>
+          <select
+            id="browser"
+            name="browser"
+            value={report.browser}
+            onChange={(e) => update('browser', e.target.value)}
+            className={`${INPUT_STYLE} ${inputBorder(errors.browser)}`}
+            {...describedBy('browser', { error: errors.browser })}
+          >
+            <option value="">{t('contact.chooseBrowser')}</option>
+            {BROWSERS.map((browser) => (
+              <option key={browser} value={browser}>
+                {browser === 'Other' ? t('contact.otherBrowser') : browser}
+              </option>
+            ))}
+          </select>
+        </Field>
+
+        <Field
+          id="version"
+          label={t('contact.version')}
+          hint={t('contact.versionHint')}
+          error={errorText('version')}
+        >
+          <input
+            id="version"
+            name="version"
+            type="text"
+            inputMode="decimal"
+            placeholder="1.0.0"
+            value={report.version}
+            onChange={(e) => update('version', e.target.value)}
+            className={`${INPUT_STYLE} ${inputBorder(errors.version)}`}
+            {...describedBy('version', { hint: true, error: errors.version })}
+          />
+        </Field>
+
+        <Field
+          id="email"
+          label={t('contact.email')}
+          hint={t('contact.emailHint')}
+          error={errorText('email')}
+        >
+          <input
+            id="email"
+            name="email"
+            type="email"
+            autoComplete="email"
+            value={report.email}
+            onChange={(e) => update('email', e.target.value)}
+            className={`${INPUT_STYLE} ${inputBorder(errors.email)}`}
+            {...describedBy('email', { hint: true, error: errors.email })}
+          />
+        </Field>
+      </div>
+
+      <Field
+        id="description"
+        label={t('contact.description')}
+        hint={t('contact.descriptionHint')}
+        error={errorText('description')}
+      >
+        <textarea
+          id="description"
+          name="description"
+          rows={6}
+          value={report.description}
+          onChange={(e) => update('description', e.target.value)}
+          className={`${INPUT_STYLE} ${inputBorder(errors.description)}`}
+          {...describedBy('description', { hint: true, error: errors.description })}
+        />
+        <p className={`mt-1 text-end text-xs ${remaining < 0 ? 'text-accent-300' : 'text-neutral-500'}`}>
+          {t('contact.charactersLeft', { count: remaining })}
+        </p>
+      </Field>
+
+      <Field
+        id="attachment"
+        label={t('contact.attachment')}
+        hint={t('contact.attachmentHint')}
+        error={errorText('attachment')}
+      >
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            ref={fileInputRef}
+            id="attachment"
+            type="file"
+            accept="image/png,image/jpeg,image/webp"
+            onChange={handleFileChange}
+            className="sr-only"
+            {...describedBy('attachment', { hint: true, error: errors.attachment })}
+          />
+          <Button
+            type="button"
+            variant="secondary"
+            size="sm"
+            onClick={() => fileInputRef.current?.click()}
+          >
+            <Icon icon={uploadIcon} className="me-2 h-4 w-4" />
+            {report.attachment ? t('contact.replaceImage') : t('contact.chooseImage')}
+          </Button>
+          {report.attachment && (
+            <>
+              {preview && (
+                <img
+                  src={preview}
+                  alt={t('contact.attachedFrame')}
+                  className="h-12 w-20 rounded border border-neutral-700 object-cover"
+                />
+              )}
+              <span className="max-w-[12rem] truncate text-xs text-neutral-400">
+                {report.attachment.name || t('contact.pastedImage')}
+              </span>
+              <button
+                type="button"
+                onClick={() => attach(null)}
+                className="rounded-md bg-transparent p-0 text-xs text-neutral-300 hover:text-foreground"
+              >
+                {t('contact.removeImage')}
+              </button>
+            </>
+          )}
+        </div>
+      </Field>
+
+      {/* Honeypot: hidden from people and assistive tech, tempting to bots */}
+      <div aria-hidden="true" className="absolute -left-[10000px] h-px w-px overflow-hidden">
+        <label htmlFor="website">Website</label>
+        <input ref={honeypotRef} id="website" name="website" type="text" tabIndex={-1} autoComplete="off" />
+      </div>
+
+      {submitError && (
+        <div role="alert" className="flex items-start gap-2 rounded-lg border border-accent-900 bg-accent-950/40 p-3 text-sm text-accent-200">
+          <Icon icon={alertCircleIcon} className="mt-0.5 h-4 w-4 flex-shrink-0" />
+          {submitError}
+        </div>
+      )}
+
+      <Button type="submit" disabled={status === 'sending'} className="w-full sm:w-auto">
+        {status === 'sending' && <Icon icon={loaderIcon} className="me-2 h-4 w-4 animate-spin" />}
+        {status === 'sending' ? t('contact.sending') : t('contact.send')}
+      </Button>
+    </form>
+  );
+};
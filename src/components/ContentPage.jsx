@@ -0,0 +1,52 @@
+import React from 'react';
+import { DEFAULT_LOCALE } from '../i18n/locales';
+import { useTranslation } from '../i18n/useTranslation';
+
+/**
+ * ContentPage - Shared layout for text pages (privacy, contact, docs).
+ * Their copy is English-only for now, so other locales get a notice and the
+ * content is marked lang="en" for screen readers, unless the page says its
+ * copy comes from the message catalogs.
+ * @param {object} props
+ * @param {string} props.title - Page heading
+ * @param {React.ReactNode} props.intro - Lead paragraph under the heading
+ * @param {React.ReactNode} props.children - Page body
+ * @param {boolean} props.translated - Whether every locale has the copy
+ */
+export const ContentPage = ({ title, intro, children, translated = false }) => {
+  const { locale, t } = useTranslation();
+  const isTranslated = translated || locale === DEFAULT_LOCALE;
+
+  return (
+    <section className="py-16 sm:py-24">
+      {!isTranslated && (
+        <p className="container mx-auto mb-8 max-w-3xl px-4 text-sm text-neutral-400 sm:px-6 lg:px-8">
+          {t('page.englishOnly')}
+        </p>
+      )}
+      <div
+        lang={isTranslated ? undefined : DEFAULT_LOCALE}
+        dir={isTranslated ? undefined : 'ltr'}
+        className="container mx-auto max-w-3xl px-4 sm:px-6 lg:px-8"
+      >
+        <h1 className="text-4xl font-extrabold tracking-tight text-foreground sm:text-5xl">
+          {title}
+        </h1>
+        {intro && <p className="mt-6 text-lg text-neutral-300">{intro}</p>}
+        <div className="mt-12 space-y-10 text-neutral-300">{children}</div>
+      </div>
+    </section>
+  );
+};
+
+/**
+ * ContentSection - Titled block inside a ContentPage; the id makes it linkable
+ */
+export const ContentSection = ({ id, title, children }) => {
+  return (
+    <section id={id}>
+      <h2 className="text-2xl font-bold text-foreground">{title}</h2>
+      <div className="mt-4 space-y-4 leading-relaxed">{children}</div>
+    </section>
+  );
+};
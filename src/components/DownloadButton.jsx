@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { track } from '../analytics/track';
+import { reportConversion } from '../experiments/variants';
+import { RELEASE, resolveDownload, supportedBrowsers } from '../download/releases';
+import { useBrowser } from '../download/useBrowser';
+import { openExtension } from '../extension/status';
+import { useExtension } from '../extension/useExtension';
+import { format } from '../i18n/translate';
+import { useTranslation } from '../i18n/useTranslation';
+import alertCircleIcon from '../icons/alert-circle.svg?icon';
+import checkIcon from '../icons/check.svg?icon';
+import downloadIcon from '../icons/download.svg?icon';
+import playIcon from '../icons/play.svg?icon';
+import { Icon } from './Icon';
+import { Button } from './ui';
+
+const ICON_SIZES = {
+  sm: 'h-4 w-4',
+  default: 'h-5 w-5',
+  lg: 'h-5 w-5',
+};
+
+/**
+ * DownloadButton - Install link for the visitor's browser, built from the
+ * release manifest. Browsers without a build get the fallback browser's link
+ * and, with `showDetails`, an explanation; mobile visitors are pointed back
+ * to the desktop. Once the extension is detected it offers to open it, or to
+ * update it when the installed version is behind the manifest.
+ * @param {object} props
+ * @param {import('../analytics/events').CtaLocation} props.location - Where the button sits, for analytics
+ * @param {string} props.labelKey - Message key for the label; receives {browser}
+ * @param {string | ((values: {browser: string}) => React.ReactNode)} props.label - Label text instead
+ *   of labelKey, e.g. from content; receives {browser}. A function renders it instead, e.g. with
+ *   useVariant's render()
+ * @param {'default' | 'sm' | 'lg'} props.size - Button size
+ * @param {boolean} props.showDetails - Show version/release date or the fallback explanation
+ * @param {string} props.className - Additional classes for the button
+ * @param {string} props.detailsAlign - Alignment classes for the button and details column
+ */
+export const DownloadButton = ({
+  location,
+  labelKey,
+  label: labelText,
+  size = 'default',
+  showDetails = false,
+  className = '',
+  detailsAlign = 'items-center',
+}) => {
+  const { locale, t } = useTranslation();
+  const browser = useBrowser();
+  const [openFailed, setOpenFailed] = useState(false);
+  const extension = useExtension();
+  const { status, target, fallback } = resolveDownload(browser);
+
+  const offer = status === 'available' || status === 'outdated' ? target : fallback;
+  const browserName = target?.name ?? t('download.yourBrowser');
+  const iconClass = `me-2 ${ICON_SIZES[size]}`;
+  const isInstalled = extension.state === 'installed';
+
+  const handleInstallClick = (action) => {
+    track('cta-click', { location, action });
+    if (action === 'install') reportConversion('install');
+  };
+
+  const handleOpen = async () => {
+    track('cta-click', { location, action: 'open' });
+    setOpenFailed(!(await openExtension()));
+  };
+
+  const details = () => {
+    if (isInstalled) return openFailed ? t('download.openHint') : null;
+
+    switch (status) {
+      case 'outdated':
+        return t('download.outdated', { browser: target.name, version: target.minVersion });
+      case 'unsupported':
+        return t('download.unsupported', {
+          browser: browserName,
+          browsers: new Intl.ListFormat(locale, { type: 'conjunction' }).format(supportedBrowsers()),
+        });
+      case 'mobile':
+        return t('download.mobile');
+      default:
+        return null;
+    }
+  };
+
+  const meta = () => {
+    if (extension.updateAvailable) {
+      return t('download.updateDetails', { latest: RELEASE.version, version: extension.version });
+    }
+    if (isInstalled) {
+      return extension.version ? t('download.installed', { version: extension.version }) : null;
+    }
+    const releaseDate = new Intl.DateTimeFormat(locale, { dateStyle: 'medium' }).format(
+      new Date(`${RELEASE.releaseDate}T00:00:00`)
+    );
+    return t('download.meta', { version: RELEASE.version, date: releaseDate });
+  };
+
+  const renderButton = () => {
+    if (isInstalled && !extension.updateAvailable) {
+      return (
+        <Button
+          type="button"
+          variant="secondary"
+          size={size}
+          onClick={handleOpen}
+          title={openFailed ? t('download.openHint') : undefined}
+          className={className}
+        >
+          <Icon icon={playIcon} className={iconClass} />
+          {t('download.openExtension')}
+        </Button>
+      );
+    }
+
+    let label = t('download.getFor', { browser: offer.name });
+    let action = 'install';
+    if (extension.updateAvailable) {
+      label = t('download.updateAvailable');
+      action = 'update';
+    } else if (status === 'available' || status === 'outdated') {
+      const values = { browser: offer.name };
+      if (typeof labelText === 'function') label = labelText(values);
+      else label = labelText ? format(labelText, values) : t(labelKey, values);
+    } else if (status === 'mobile') {
+      label = t('download.viewProject');
+      action = 'view-project';
+    }
+
+    return (
+      <Button
+        as="a"
+        href={status === 'mobile' && !isInstalled ? RELEASE.repository : offer.url}
+        target="_blank"
+        rel="noopener noreferrer"
+        onClick={() => handleInstallClick(action)}
+        variant={status === 'available' || extension.updateAvailable ? 'primary' : 'secondary'}
+        size={size}
+        className={className}
+      >
+        <Icon icon={downloadIcon} className={iconClass} />
+        {label}
+      </Button>
+    );
+  };
+
+  if (!showDetails) return renderButton();
+
+  const message = details();
+  const metaLine = meta();
+
+  return (
+    <div className={`flex flex-col gap-2 ${detailsAlign}`}>
+      {renderButton()}
+      {message ? (
+        <p role="status" className="flex max-w-sm items-start gap-1.5 text-sm text-neutral-400">
+          <Icon icon={alertCircleIcon} className="mt-0.5 h-4 w-4 flex-shrink-0" />
+          {message}
+        </p>
+      ) : metaLine && (
+        <p className="flex items-center gap-1 text-xs text-neutral-500">
+          {isInstalled && !extension.updateAvailable && (
+            <Icon icon={checkIcon} className="h-3.5 w-3.5 text-success-400" />
+          )}
+          {metaLine}
+          {' · '}
+          <a
+            href={RELEASE.releaseNotes}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="underline hover:text-foreground"
+          >
+            {t('download.releaseNotes')}
+          </a>
+        </p>
+      )}
+    </div>
+  );
+};
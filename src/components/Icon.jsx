@@ -0,0 +1,37 @@
+import React from 'react';
+
+/**
+ * Icon - Draws an icon from src/icons, imported with the ?icon suffix
+ * (see plugins/svg-icons.js). Icons are decorative by default: the text next
+ * to them already says what they mean, so screen readers skip them. Pass a
+ * title when an icon stands alone and has to name itself.
+ * @param {object} props
+ * @param {{viewBox: string, body: string}} props.icon - e.g. `import zapIcon from '../icons/zap.svg?icon'`
+ * @param {number | string} props.size - Width and height; size classes in className take precedence
+ * @param {number | string} props.strokeWidth - Line weight in viewBox units
+ * @param {string} props.title - Accessible name; leave out for decorative icons
+ * @param {string} props.className - Additional classes
+ */
+export const Icon = ({ icon, size = 24, strokeWidth = 2, title, className, ...props }) => {
+  const labelProps = title
+    ? { role: 'img', 'aria-label': title }
+    : { 'aria-hidden': true, focusable: 'false' };
+
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      width={size}
+      height={size}
+      viewBox={icon.viewBox}
+      fill="none"
+      stroke="currentColor"
+      strokeWidth={strokeWidth}
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      className={className}
+      {...labelProps}
+      {...props}
+      dangerouslySetInnerHTML={{ __html: icon.body }}
+    />
+  );
+};
@@ -0,0 +1,31 @@
+import React from 'react';
+import { useTranslation } from '../i18n/useTranslation';
+import { href, navigate } from '../router/history';
+
+const isModifiedClick = (e) => e.button !== 0 || e.metaKey || e.altKey || e.ctrlKey || e.shiftKey;
+
+/**
+ * Link - Anchor for in-app paths that navigates without a page reload.
+ * Modified clicks (new tab, new window) fall through to the browser.
+ * Paths are given without a locale and stay in the current one.
+ * @param {object} props
+ * @param {string} props.to - App path, e.g. "/docs" or "/#features"
+ * @param {boolean} props.replace - Replace the current history entry
+ */
+export const Link = ({ to, replace = false, onClick, children, ...props }) => {
+  const { localize } = useTranslation();
+  const target = localize(to);
+
+  const handleClick = (e) => {
+    onClick?.(e);
+    if (e.defaultPrevented || isModifiedClick(e)) return;
+    e.preventDefault();
+    navigate(target, { replace });
+  };
+
+  return (
+    <a href={href(target)} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+};
@@ -0,0 +1,38 @@
+import React from 'react';
+import { LOCALES, localizePath, savePreferredLocale, splitLocalePath } from '../i18n/locales';
+import { useTranslation } from '../i18n/useTranslation';
+import { navigate } from '../router/history';
+import { useLocation } from '../router/useLocation';
+
+/**
+ * LocaleSwitcher - Language picker that keeps the visitor on the same page
+ */
+export const LocaleSwitcher = ({ className = '' }) => {
+  const location = useLocation();
+  const { locale, t } = useTranslation();
+
+  const handleChange = (e) => {
+    const next = e.target.value;
+    savePreferredLocale(next);
+    const { path } = splitLocalePath(location.path);
+    const hash = location.hash ? `#${location.hash}` : '';
+    navigate(`${localizePath(path, next)}${location.search}${hash}`);
+  };
+
+  return (
+    <label className={`flex items-center ${className}`}>
+      <span className="sr-only">{t('nav.language')}</span>
+      <select
+        value={locale}
+        onChange={handleChange}
+        className="rounded-md border border-neutral-700 bg-neutral-900 py-1 px-2 text-sm text-neutral-300 hover:text-foreground focus:outline-none focus:ring-2 focus:ring-focus"
+      >
+        {LOCALES.map(({ code, name }) => (
+          <option key={code} value={code} lang={code}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
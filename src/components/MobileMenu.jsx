@@ -0,0 +1,61 @@
+import React, { useId } from 'react';
+import { createPortal } from 'react-dom';
+import { useBodyScrollLock } from '../hooks/useBodyScrollLock';
+import { useFocusTrap } from '../hooks/useFocusTrap';
+import { useTranslation } from '../i18n/useTranslation';
+import xIcon from '../icons/x.svg?icon';
+import { Icon } from './Icon';
+
+/**
+ * MobileMenu - Navigation drawer for small screens. A modal dialog: focus
+ * stays inside, Escape or the backdrop closes it and the page behind it
+ * doesn't scroll. Rendered into <body> so the header's backdrop blur
+ * doesn't become its containing block.
+ * @param {object} props
+ * @param {boolean} props.open - Whether the drawer is showing
+ * @param {() => void} props.onClose - Asks the owner to close it
+ * @param {string} props.id - Id for the toggle button's aria-controls
+ * @param {React.ReactNode} props.children - Drawer content
+ */
+export const MobileMenu = ({ open, onClose, id, children }) => {
+  const { t } = useTranslation();
+  const titleId = useId();
+  const panelRef = useFocusTrap(open, onClose);
+  useBodyScrollLock(open);
+
+  if (!open) return null;
+
+  return createPortal(
+    <div className="fixed inset-0 z-[60] md:hidden">
+      <div
+        aria-hidden="true"
+        onClick={onClose}
+        className="absolute inset-0 bg-neutral-950/80 backdrop-blur-sm animate-fade-in"
+      />
+      <div
+        ref={panelRef}
+        id={id}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={titleId}
+        className="absolute inset-y-0 end-0 flex w-72 max-w-[85%] flex-col gap-6 overflow-y-auto border-s border-neutral-800 bg-neutral-950 p-6 shadow-overlay animate-drawer-in"
+      >
+        <div className="flex items-center justify-between">
+          <h2 id={titleId} className="text-lg font-bold text-foreground">
+            {t('nav.menu')}
+          </h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-md p-2 text-neutral-400 hover:bg-neutral-800 hover:text-foreground focus:outline-none focus-visible:ring-2 focus-visible:ring-focus"
+          >
+            <Icon icon={xIcon} className="h-5 w-5" />
+            <span className="sr-only">{t('nav.closeMenu')}</span>
+          </button>
+        </div>
+        {children}
+      </div>
+    </div>,
+    document.body
+  );
+};
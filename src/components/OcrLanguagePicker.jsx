@@ -0,0 +1,92 @@
+import React, { useId, useState } from 'react';
+import { useTranslation } from '../i18n/useTranslation';
+import chevronDownIcon from '../icons/chevron-down.svg?icon';
+import languagesIcon from '../icons/languages.svg?icon';
+import { AUTO_DETECT, OCR_LANGUAGES, languageName } from '../ocr/languages';
+import { Icon } from './Icon';
+
+/**
+ * OcrLanguagePicker - Chooses what the demo reads: auto-detect, or any
+ * combination of the shipped languages. Each language is listed in its own
+ * name and script.
+ * @param {object} props
+ * @param {string[] | 'auto'} props.value - Model names, or AUTO_DETECT
+ * @param {(value: string[] | 'auto') => void} props.onChange
+ * @param {boolean} props.disabled - While a capture is running
+ */
+export const OcrLanguagePicker = ({ value, onChange, disabled }) => {
+  const id = useId();
+  const { t } = useTranslation();
+  const isAuto = value === AUTO_DETECT;
+  // Turning auto-detect off brings back the languages picked before it
+  const [picked, setPicked] = useState(isAuto ? ['eng'] : value);
+  const selected = isAuto ? [] : value;
+  // At least one language stays picked
+  const isLastPicked = (code) => selected.length === 1 && selected[0] === code;
+
+  const handleAutoChange = (e) => {
+    if (e.target.checked) {
+      setPicked(selected);
+      onChange(AUTO_DETECT);
+    } else {
+      onChange(picked);
+    }
+  };
+
+  const handleLanguageChange = (code, checked) => {
+    // Keep picker order, which is also the order Tesseract tries them in
+    const next = OCR_LANGUAGES.map((language) => language.code).filter((other) =>
+      other === code ? checked : selected.includes(other)
+    );
+    onChange(next);
+  };
+
+  const summary = isAuto ? t('demo.languages.auto') : selected.map(languageName).join(' + ');
+
+  return (
+    <details className="group rounded-lg border border-neutral-700 bg-neutral-800/50 text-xs">
+      <summary className="flex cursor-pointer list-none items-center gap-2 py-2 px-3 text-neutral-300 [&::-webkit-details-marker]:hidden">
+        <Icon icon={languagesIcon} className="h-4 w-4 flex-shrink-0 text-neutral-400" />
+        <span className="flex-shrink-0 text-neutral-400">{t('demo.languages.label')}</span>
+        <span className="me-auto truncate font-medium text-neutral-100">{summary}</span>
+        <Icon
+          icon={chevronDownIcon}
+          className="h-4 w-4 flex-shrink-0 text-neutral-400 transition-transform group-open:rotate-180"
+        />
+      </summary>
+      <fieldset disabled={disabled} className="border-t border-neutral-700 py-2 px-3 disabled:opacity-50">
+        <legend className="sr-only">{t('demo.languages.legend')}</legend>
+        <label className="flex items-center gap-2 py-1 text-neutral-200">
+          <input
+            type="checkbox"
+            checked={isAuto}
+            onChange={handleAutoChange}
+            aria-describedby={`${id}-auto`}
+            className="accent-accent-600"
+          />
+          {t('demo.languages.auto')}
+        </label>
+        <p id={`${id}-auto`} className="mb-1 ms-6 text-[11px] text-neutral-500">
+          {t('demo.languages.autoHint')}
+        </p>
+        <div className="grid grid-cols-2 gap-x-3">
+          {OCR_LANGUAGES.map(({ code, tag }) => (
+            <label
+              key={code}
+              className={`flex items-center gap-2 py-1 ${isAuto ? 'text-neutral-500' : 'text-neutral-200'}`}
+            >
+              <input
+                type="checkbox"
+                checked={selected.includes(code)}
+                onChange={(e) => handleLanguageChange(code, e.target.checked)}
+                disabled={isAuto || isLastPicked(code)}
+                className="accent-accent-600"
+              />
+              <span lang={tag}>{languageName(code)}</span>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+    </details>
+  );
+};
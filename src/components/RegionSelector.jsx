@@ -0,0 +1,202 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useTranslation } from '../i18n/useTranslation';
+import { mediaSize } from '../ocr/engine';
+
+// Regions are stored normalized to the frame (0..1) so they survive player
+// resizes and map straight onto the video's or image's natural pixels.
+
+const MIN_SIZE = 0.02;
+const KEY_STEP = 0.02;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Builds a normalized region from two corner points
+ */
+const regionFromPoints = (a, b) => ({
+  x: Math.min(a.x, b.x),
+  y: Math.min(a.y, b.y),
+  width: Math.abs(a.x - b.x),
+  height: Math.abs(a.y - b.y),
+});
+
+/**
+ * Moves or resizes a region with the arrow keys, keeping it inside the frame
+ */
+const nudgeRegion = (region, key, resize) => {
+  const dx = { ArrowLeft: -KEY_STEP, ArrowRight: KEY_STEP }[key] ?? 0;
+  const dy = { ArrowUp: -KEY_STEP, ArrowDown: KEY_STEP }[key] ?? 0;
+
+  if (resize) {
+    const width = clamp(region.width + dx, MIN_SIZE, 1 - region.x);
+    const height = clamp(region.height + dy, MIN_SIZE, 1 - region.y);
+    return { ...region, width, height };
+  }
+
+  return {
+    ...region,
+    x: clamp(region.x + dx, 0, 1 - region.width),
+    y: clamp(region.y + dy, 0, 1 - region.height),
+  };
+};
+
+/**
+ * useMediaFrameRect - Tracks where the picture sits inside a <video> or <img>
+ * element (object-fit: contain letterboxes it) in CSS pixels relative to it
+ * @param {React.RefObject<HTMLVideoElement | HTMLImageElement>} mediaRef
+ * @returns {{left: number, top: number, width: number, height: number} | null}
+ */
+const useMediaFrameRect = (mediaRef) => {
+  const [rect, setRect] = useState(null);
+
+  useEffect(() => {
+    const media = mediaRef.current;
+    if (!media) return;
+
+    const update = () => {
+      const { clientWidth, clientHeight } = media;
+      const { width: naturalWidth, height: naturalHeight } = mediaSize(media);
+      if (!naturalWidth || !naturalHeight) {
+        setRect(null);
+        return;
+      }
+      const scale = Math.min(clientWidth / naturalWidth, clientHeight / naturalHeight);
+      const width = naturalWidth * scale;
+      const height = naturalHeight * scale;
+      setRect({
+        left: (clientWidth - width) / 2,
+        top: (clientHeight - height) / 2,
+        width,
+        height,
+      });
+    };
+
+    update();
+    const observer = new ResizeObserver(update);
+    observer.observe(media);
+    const events = ['loadedmetadata', 'resize', 'load'];
+    events.forEach((event) => media.addEventListener(event, update));
+
+    return () => {
+      observer.disconnect();
+      events.forEach((event) => media.removeEventListener(event, update));
+    };
+  }, [mediaRef]);
+
+  return rect;
+};
+
+/**
+ * RegionSelector - Overlay for drawing a capture rectangle on top of a video or image.
+ * Works with mouse and touch (pointer events) and with the keyboard:
+ * arrow keys move the region, Shift + arrow keys resize it, Delete clears it
+ * and Escape leaves selection mode.
+ * @param {object} props
+ * @param {React.RefObject<HTMLVideoElement | HTMLImageElement>} props.mediaRef - Player or image to overlay
+ * @param {{x: number, y: number, width: number, height: number} | null} props.region - Normalized region
+ * @param {(region: object | null) => void} props.onChange - Called with the new region
+ * @param {boolean} props.editing - Whether the overlay accepts input
+ * @param {() => void} props.onDone - Called when the user leaves selection mode
+ */
+export const RegionSelector = ({ mediaRef, region, onChange, editing, onDone }) => {
+  const { t } = useTranslation();
+  const frameRect = useMediaFrameRect(mediaRef);
+  const overlayRef = useRef(null);
+  const dragStartRef = useRef(null);
+
+  useEffect(() => {
+    if (editing) overlayRef.current?.focus();
+  }, [editing]);
+
+  if (!frameRect || (!editing && !region)) return null;
+
+  const toPoint = (e) => {
+    const bounds = overlayRef.current.getBoundingClientRect();
+    return {
+      x: clamp((e.clientX - bounds.left) / bounds.width, 0, 1),
+      y: clamp((e.clientY - bounds.top) / bounds.height, 0, 1),
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragStartRef.current = toPoint(e);
+    onChange(null);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragStartRef.current) return;
+    onChange(regionFromPoints(dragStartRef.current, toPoint(e)));
+  };
+
+  const handlePointerUp = (e) => {
+    if (!dragStartRef.current) return;
+    const next = regionFromPoints(dragStartRef.current, toPoint(e));
+    dragStartRef.current = null;
+    // A click without a real drag clears the selection
+    onChange(next.width < MIN_SIZE || next.height < MIN_SIZE ? null : next);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape' || e.key === 'Enter') {
+      e.preventDefault();
+      onDone();
+      return;
+    }
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      onChange(null);
+      return;
+    }
+    if (!e.key.startsWith('Arrow')) return;
+
+    e.preventDefault();
+    const current = region ?? { x: 0.25, y: 0.25, width: 0.5, height: 0.5 };
+    onChange(nudgeRegion(current, e.key, e.shiftKey));
+  };
+
+  const percent = (value) => `${value * 100}%`;
+
+  return (
+    <div
+      ref={overlayRef}
+      tabIndex={editing ? 0 : -1}
+      role={editing ? 'application' : undefined}
+      aria-label={editing ? t('demo.region.label') : undefined}
+      aria-hidden={editing ? undefined : true}
+      onPointerDown={editing ? handlePointerDown : undefined}
+      onPointerMove={editing ? handlePointerMove : undefined}
+      onPointerUp={editing ? handlePointerUp : undefined}
+      onPointerCancel={() => {
+        dragStartRef.current = null;
+      }}
+      onKeyDown={editing ? handleKeyDown : undefined}
+      className={`absolute overflow-hidden rounded-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-focus ${
+        editing ? 'cursor-crosshair touch-none' : 'pointer-events-none'
+      }`}
+      style={{
+        left: frameRect.left,
+        top: frameRect.top,
+        width: frameRect.width,
+        height: frameRect.height,
+      }}
+    >
+      {region ? (
+        <div
+          className="absolute border-2 border-accent-500 shadow-[0_0_0_9999px_rgba(0,0,0,0.5)]"
+          style={{
+            left: percent(region.x),
+            top: percent(region.y),
+            width: percent(region.width),
+            height: percent(region.height),
+          }}
+        />
+      ) : (
+        <div className="absolute inset-0 flex items-center justify-center bg-black/40 text-xs text-white">
+          {t('demo.region.hint')}
+        </div>
+      )}
+    </div>
+  );
+};
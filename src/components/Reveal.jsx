@@ -0,0 +1,50 @@
+import React from 'react';
+import { useReveal } from '../motion/useReveal';
+
+/**
+ * Reveal - Animates content in as it scrolls into view. Content stays
+ * visible without JavaScript and with reduced motion (see index.css).
+ * @param {object} props
+ * @param {React.ElementType} props.as - Element to render, a div by default
+ * @param {'fade' | 'slide-up' | 'slide-down' | 'slide-start' | 'slide-end' | 'scale'} props.preset - Animation
+ * @param {number} props.stagger - Milliseconds between children; animates each child instead of the whole element
+ * @param {number} props.delay - Milliseconds before the animation starts
+ * @param {boolean} props.replay - Replay every time it scrolls back into view
+ * @param {number} props.threshold - Visible share that triggers the reveal
+ * @param {string} props.rootMargin - Grows or shrinks the trigger area
+ * @param {string} props.className - Additional classes
+ * @param {React.ReactNode} props.children - Content to animate
+ */
+export const Reveal = ({
+  as = 'div',
+  preset = 'slide-up',
+  stagger,
+  delay,
+  replay,
+  threshold,
+  rootMargin,
+  className = '',
+  style,
+  children,
+  ...props
+}) => {
+  const ref = useReveal({ replay, threshold, rootMargin });
+  const Component = as;
+
+  return (
+    <Component
+      ref={ref}
+      data-reveal={preset}
+      data-reveal-stagger={stagger ? '' : undefined}
+      className={className}
+      style={{
+        ...style,
+        '--reveal-stagger': stagger ? `${stagger}ms` : undefined,
+        '--reveal-delay': delay ? `${delay}ms` : undefined,
+      }}
+      {...props}
+    >
+      {children}
+    </Component>
+  );
+};
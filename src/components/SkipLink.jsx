@@ -0,0 +1,31 @@
+import React from 'react';
+import { useTranslation } from '../i18n/useTranslation';
+
+/**
+ * SkipLink - First stop for keyboard users: jumps past the header to the
+ * page content. Hidden until it receives focus.
+ * @param {object} props
+ * @param {string} props.target - Id of the element to move focus to
+ */
+export const SkipLink = ({ target }) => {
+  const { t } = useTranslation();
+
+  // Moving focus ourselves keeps the jump out of the router and the URL
+  const handleClick = (e) => {
+    const element = document.getElementById(target);
+    if (!element) return;
+    e.preventDefault();
+    element.focus({ preventScroll: true });
+    element.scrollIntoView();
+  };
+
+  return (
+    <a
+      href={`#${target}`}
+      onClick={handleClick}
+      className="sr-only focus:not-sr-only focus:fixed focus:start-4 focus:top-4 focus:z-[70] focus:rounded-md focus:bg-accent-600 focus:px-4 focus:py-2 focus:text-sm focus:font-medium focus:text-on-accent"
+    >
+      {t('nav.skipToContent')}
+    </a>
+  );
+};
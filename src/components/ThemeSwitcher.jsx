@@ -0,0 +1,29 @@
+import React from 'react';
+import { useTranslation } from '../i18n/useTranslation';
+import { THEMES, setThemePreference } from '../theme/theme';
+import { useTheme } from '../theme/useTheme';
+
+/**
+ * ThemeSwitcher - Picks light, dark or high-contrast, or follows the system
+ */
+export const ThemeSwitcher = ({ className = '' }) => {
+  const { t } = useTranslation();
+  const theme = useTheme();
+
+  return (
+    <label className={`flex items-center ${className}`}>
+      <span className="sr-only">{t('theme.label')}</span>
+      <select
+        value={theme}
+        onChange={(e) => setThemePreference(e.target.value)}
+        className="rounded-md border border-neutral-700 bg-neutral-900 py-1 px-2 text-sm text-neutral-300 hover:text-foreground focus:outline-none focus:ring-2 focus:ring-focus"
+      >
+        {THEMES.map((value) => (
+          <option key={value} value={value}>
+            {t(`theme.${value}`)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
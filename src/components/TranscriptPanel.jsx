@@ -0,0 +1,71 @@
+import React from 'react';
+import { useTranslation } from '../i18n/useTranslation';
+import downloadIcon from '../icons/download.svg?icon';
+import { EXPORT_FORMATS, exportTranscript, formatClock } from '../ocr/transcript';
+import { downloadBlob } from './downloadBlob';
+import { Icon } from './Icon';
+
+/**
+ * TranscriptPanel - Timestamped segment list with inline editing and export
+ * @param {object} props
+ * @param {Array<{id: number, start: number, end: number, text: string}>} props.segments
+ * @param {string} props.title - Video name, used for file names and headings
+ * @param {boolean} props.exportable - Off while a scan is still writing segments; edits are kept either way
+ * @param {(time: number) => void} props.onSeek - Jumps the player to a segment
+ * @param {(id: number, text: string) => void} props.onChange - Inline edit handler
+ */
+export const TranscriptPanel = ({ segments, title, exportable, onSeek, onChange }) => {
+  const { t } = useTranslation();
+  const baseName = title.replace(/\.[^.]+$/, '') || 'transcript';
+
+  const handleExport = (format) => {
+    const blob = exportTranscript(segments, format, baseName);
+    downloadBlob(blob, `${baseName}.${EXPORT_FORMATS[format].extension}`);
+  };
+
+  return (
+    <div className="rounded-lg border border-neutral-700 bg-neutral-800/30 text-start">
+      <div className="flex items-center justify-between border-b border-neutral-700 py-2 px-3">
+        <span className="text-xs font-medium uppercase tracking-wide text-neutral-400">
+          {t('demo.transcript.title', { count: segments.length })}
+        </span>
+        <div className="flex items-center gap-1" role="group" aria-label={t('demo.transcript.export')}>
+          <Icon icon={downloadIcon} className="h-3.5 w-3.5 text-neutral-500" />
+          {Object.keys(EXPORT_FORMATS).map((format) => (
+            <button
+              key={format}
+              type="button"
+              onClick={() => handleExport(format)}
+              disabled={!exportable || segments.length === 0}
+              className="rounded-md bg-transparent py-1 px-1.5 text-xs text-neutral-300 transition-colors hover:bg-neutral-700 hover:text-foreground disabled:opacity-50"
+            >
+              {t(`demo.transcript.formats.${format}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+      <ol className="max-h-72 divide-y divide-neutral-800 overflow-auto">
+        {segments.map((segment) => (
+          <li key={segment.id} className="flex gap-2 p-2">
+            <button
+              type="button"
+              onClick={() => onSeek(segment.start)}
+              aria-label={t('demo.transcript.jumpTo', { time: formatClock(segment.start) })}
+              className="h-fit flex-shrink-0 rounded-md bg-neutral-800 py-1 px-1.5 font-mono text-xs text-accent-400 transition-colors hover:bg-neutral-700"
+            >
+              {formatClock(segment.start)}
+            </button>
+            <textarea
+              value={segment.text}
+              onChange={(e) => onChange(segment.id, e.target.value)}
+              rows={Math.min(6, segment.text.split('\n').length)}
+              aria-label={t('demo.transcript.textAt', { time: formatClock(segment.start) })}
+              dir="auto"
+              className="min-w-0 flex-1 resize-y rounded-md border border-transparent bg-transparent p-1 font-mono text-xs text-neutral-200 [unicode-bidi:plaintext] focus:border-neutral-600 focus:outline-none"
+            />
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
@@ -0,0 +1,32 @@
+import React from 'react';
+import { useTranslation } from '../i18n/useTranslation';
+import { applyUpdate, dismissUpdate } from '../pwa/serviceWorker';
+import { useUpdateWaiting } from '../pwa/useUpdateWaiting';
+import { Button } from './ui';
+
+/**
+ * UpdatePrompt - Offers to reload once the service worker has downloaded a
+ * new version of the site. Nothing switches over until the visitor says so.
+ */
+export const UpdatePrompt = () => {
+  const { t } = useTranslation();
+  const updateWaiting = useUpdateWaiting();
+
+  return (
+    <div role="status" className="fixed bottom-4 end-4 z-50 max-w-[calc(100vw-2rem)]">
+      {updateWaiting && (
+        <div className="flex flex-wrap items-center gap-3 rounded-xl border border-neutral-700 bg-neutral-900 py-3 ps-4 pe-3 shadow-lg">
+          <p className="text-sm text-neutral-200">{t('updatePrompt.updateAvailable')}</p>
+          <div className="flex gap-2">
+            <Button variant="ghost" size="sm" onClick={dismissUpdate}>
+              {t('updatePrompt.dismiss')}
+            </Button>
+            <Button size="sm" onClick={applyUpdate}>
+              {t('updatePrompt.reload')}
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,181 @@
+import React from 'react';
+import { useTranslation } from '../i18n/useTranslation';
+import clipboardCopyIcon from '../icons/clipboard-copy.svg?icon';
+import pauseIcon from '../icons/pause.svg?icon';
+import pinIcon from '../icons/pin.svg?icon';
+import puzzleIcon from '../icons/puzzle.svg?icon';
+import { Icon } from './Icon';
+
+const LOGO_URL = `${import.meta.env.BASE_URL}logo.png`;
+
+// When a part of the scene animates in, in milliseconds into the step (see index.css)
+const at = (ms) => ({ '--at': `${ms}ms` });
+
+/**
+ * Tap - Ring marking where the simulated visitor clicks
+ */
+const Tap = ({ delay, className = '' }) => (
+  <span
+    className={`walkthrough-tap pointer-events-none absolute inset-0 m-auto h-8 w-8 rounded-full border-2 border-accent-400 ${className}`}
+    style={at(delay)}
+  />
+);
+
+/**
+ * Slide - The lecture slide playing in the simulated video
+ * @param {object} props
+ * @param {string} props.text - One line per line; the first is the heading
+ * @param {number[]} props.delays - When each line appears; all at once when left out
+ */
+const Slide = ({ text, delays, className = '' }) => {
+  const [heading, ...lines] = text.split('\n');
+  const lineClass = delays ? 'walkthrough-appear' : '';
+  const lineStyle = (index) => (delays ? at(delays[index]) : undefined);
+
+  return (
+    <div
+      className={`absolute inset-x-4 top-4 bottom-6 flex flex-col justify-center rounded-md bg-neutral-100 px-5 py-4 text-neutral-900 ${className}`}
+    >
+      <p className={`text-sm font-bold sm:text-base ${lineClass}`} style={lineStyle(0)}>
+        {heading}
+      </p>
+      {lines.map((line, index) => (
+        <p key={line} className={`mt-1.5 text-xs sm:text-sm ${lineClass}`} style={lineStyle(index + 1)}>
+          {line}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Popup - The extension popup, styled like the demo in the hero
+ */
+const Popup = ({ siteName, captureLabel, resultLabel, slideText }) => (
+  <div
+    className="walkthrough-appear absolute end-2 top-11 z-10 w-60 rounded-xl border border-neutral-700 bg-neutral-900/95 p-3 shadow-2xl shadow-accent-900/20"
+    style={at(400)}
+  >
+    <div className="flex items-center gap-2">
+      <img src={LOGO_URL} alt="" className="h-5 w-5 rounded" />
+      <span className="text-xs font-semibold text-neutral-100">{siteName}</span>
+    </div>
+    <div className="relative mt-3">
+      <span
+        className="walkthrough-press flex h-8 items-center justify-center rounded-md bg-accent-600 text-xs font-medium text-on-accent"
+        style={at(1400)}
+      >
+        {captureLabel}
+      </span>
+      <Tap delay={1400} />
+    </div>
+    <div className="mt-3 rounded-lg border border-neutral-700 bg-neutral-800/30">
+      <div className="flex items-center justify-between border-b border-neutral-700 py-1.5 px-2">
+        <span className="text-[10px] font-medium uppercase tracking-wide text-neutral-400">{resultLabel}</span>
+        <Icon icon={clipboardCopyIcon} className="h-3.5 w-3.5 text-neutral-400" />
+      </div>
+      <div className="space-y-1 p-2 font-mono text-[11px] leading-snug text-neutral-200">
+        {slideText.split('\n').map((line, index) => (
+          <p key={line} className="walkthrough-appear" style={at(2000 + index * 300)}>
+            {line}
+          </p>
+        ))}
+      </div>
+    </div>
+  </div>
+);
+
+/**
+ * ExtensionsMenu - The browser's extensions menu, with the pin being pressed
+ */
+const ExtensionsMenu = ({ siteName, extensionsLabel, pinLabel }) => (
+  <div
+    className="walkthrough-appear absolute end-2 top-11 z-10 w-56 rounded-xl border border-neutral-700 bg-neutral-900/95 p-2 shadow-2xl"
+    style={at(600)}
+  >
+    <p className="px-2 py-1 text-[10px] font-medium uppercase tracking-wide text-neutral-500">{extensionsLabel}</p>
+    <div className="flex items-center gap-2 rounded-md bg-neutral-800 px-2 py-1.5">
+      <img src={LOGO_URL} alt="" className="h-5 w-5 rounded" />
+      <span className="me-auto truncate text-xs text-neutral-100">{siteName}</span>
+      <span className="relative">
+        <span className="walkthrough-press block rounded p-1 text-accent-400" style={at(1600)}>
+          <Icon icon={pinIcon} className="h-4 w-4" />
+        </span>
+        <Tap delay={1600} />
+      </span>
+    </div>
+    <p className="walkthrough-appear px-2 pt-1.5 text-end text-[10px] text-neutral-400" style={at(1000)}>
+      {pinLabel}
+    </p>
+  </div>
+);
+
+/**
+ * WalkthroughFrame - Simulated browser window acting out one step of How It
+ * Works. Each scene is laid out in its final state, which doubles as the
+ * still shown with reduced motion; index.css animates the way there. It is
+ * decorative: the step's own text says what it shows.
+ * @param {object} props
+ * @param {'pin' | 'play' | 'capture'} props.scene
+ * @param {number} props.duration - Length of the step in milliseconds
+ * @param {{extensionsLabel: string, pinLabel: string, captureLabel: string, resultLabel: string, slideText: string}} props.labels
+ * @param {string} props.className - Additional classes
+ */
+export const WalkthroughFrame = ({ scene, duration, labels, className = '' }) => {
+  const { t } = useTranslation();
+  const siteName = t('meta.siteName');
+
+  return (
+    <div
+      aria-hidden="true"
+      className={`relative overflow-hidden rounded-xl border border-neutral-700 bg-neutral-900 text-start shadow-2xl shadow-accent-900/20 ${className}`}
+    >
+      {/* Toolbar */}
+      <div className="flex items-center gap-3 border-b border-neutral-800 bg-neutral-800/60 px-3 py-2">
+        <div className="flex gap-1.5">
+          <span className="h-2.5 w-2.5 rounded-full bg-neutral-600" />
+          <span className="h-2.5 w-2.5 rounded-full bg-neutral-600" />
+          <span className="h-2.5 w-2.5 rounded-full bg-neutral-600" />
+        </div>
+        <div dir="ltr" className="flex-1 truncate rounded-md bg-neutral-900 px-3 py-1 text-xs text-neutral-400">
+          video.example/watch
+        </div>
+        <div className="flex items-center gap-2">
+          <span
+            className={`relative ${scene === 'pin' ? 'walkthrough-appear' : ''}`}
+            style={scene === 'pin' ? at(2200) : undefined}
+          >
+            <img src={LOGO_URL} alt="" className="h-5 w-5 rounded" />
+            {scene === 'play' && <Tap delay={duration - 1200} />}
+            {scene === 'capture' && <Tap delay={100} />}
+          </span>
+          <span className="relative">
+            <Icon icon={puzzleIcon} className="h-4 w-4 text-neutral-400" />
+            {scene === 'pin' && <Tap delay={200} />}
+          </span>
+        </div>
+      </div>
+
+      {/* Page with the video */}
+      <div className="relative aspect-video bg-neutral-950">
+        <Slide
+          text={labels.slideText}
+          delays={scene === 'play' ? [300, 900, 1500] : undefined}
+          className={scene === 'play' ? '' : 'opacity-60'}
+        />
+        <div className="absolute inset-x-4 bottom-2 flex items-center gap-2">
+          {scene === 'play' && <Icon icon={pauseIcon} className="h-3 w-3 text-neutral-300" />}
+          <span className="h-1 flex-1 overflow-hidden rounded-full bg-neutral-700">
+            <span
+              className={`block h-full w-3/5 rounded-full bg-accent-500 ${scene === 'play' ? 'walkthrough-fill' : ''}`}
+              style={scene === 'play' ? { '--duration': `${duration}ms`, '--fill-from': 0.3 } : undefined}
+            />
+          </span>
+        </div>
+      </div>
+
+      {scene === 'pin' && <ExtensionsMenu siteName={siteName} {...labels} />}
+      {scene === 'capture' && <Popup siteName={siteName} {...labels} />}
+    </div>
+  );
+};
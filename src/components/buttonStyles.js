@@ -0,0 +1,29 @@
+// Button styling lives outside ui.jsx so that module only exports components.
+// Colors, radii and the focus ring come from the theme tokens (src/theme/tokens.css).
+
+const BUTTON_BASE =
+  'inline-flex items-center justify-center rounded-lg font-medium transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-offset-2 disabled:opacity-50 disabled:pointer-events-none ring-focus ring-offset-background';
+
+const BUTTON_VARIANTS = {
+  primary:
+    'bg-accent-600 text-on-accent hover:bg-accent-700/90',
+  secondary:
+    'bg-neutral-800 text-neutral-100 hover:bg-neutral-700',
+  ghost: 'hover:bg-neutral-800 hover:text-neutral-100',
+};
+
+const BUTTON_SIZES = {
+  default: 'h-11 px-6 py-2 text-base',
+  sm: 'h-9 rounded-md px-3 text-sm',
+  lg: 'h-12 rounded-lg px-8 text-lg',
+};
+
+/**
+ * buttonClasses - Classes for a <Button>
+ * @param {object} options
+ * @param {'primary' | 'secondary' | 'ghost'} options.variant - The button style variant
+ * @param {'default' | 'sm' | 'lg'} options.size - The button size
+ * @param {string} options.className - Additional classes
+ */
+export const buttonClasses = ({ variant = 'primary', size = 'default', className = '' } = {}) =>
+  `${BUTTON_BASE} ${BUTTON_VARIANTS[variant]} ${BUTTON_SIZES[size]} ${className}`;
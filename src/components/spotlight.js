@@ -0,0 +1,83 @@
+// --- Spotlight ---
+// Drives the mouse-follow light outside React: pointer positions are eased
+// toward in a requestAnimationFrame loop and written to CSS custom properties
+// on the layer, so moving the mouse never re-renders a component.
+
+// How far the light travels from the center, in percent of the viewport,
+// when the pointer reaches an edge
+const RANGE = 20;
+// Share of the remaining distance covered each frame
+const EASING = 0.12;
+const SETTLED = 0.01;
+
+/**
+ * attachSpotlight - Makes an element's --spotlight-x/--spotlight-y follow the pointer.
+ * Touch moves it on tap and drag. The loop stops while the tab is hidden and
+ * once the light has caught up; with reduced motion the light stays centered.
+ * @param {HTMLElement} element - Layer whose background uses the custom properties
+ * @returns {() => void} Detach function
+ */
+export const attachSpotlight = (element) => {
+  const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+  const current = { x: 50, y: 50 };
+  const target = { x: 50, y: 50 };
+  let frame = null;
+
+  const paint = () => {
+    element.style.setProperty('--spotlight-x', `${current.x}%`);
+    element.style.setProperty('--spotlight-y', `${current.y}%`);
+  };
+
+  const step = () => {
+    current.x += (target.x - current.x) * EASING;
+    current.y += (target.y - current.y) * EASING;
+    const settled =
+      Math.abs(target.x - current.x) < SETTLED && Math.abs(target.y - current.y) < SETTLED;
+    if (settled) Object.assign(current, target);
+    paint();
+    frame = settled ? null : requestAnimationFrame(step);
+  };
+
+  const start = () => {
+    if (frame === null && !document.hidden) frame = requestAnimationFrame(step);
+  };
+
+  const stop = () => {
+    if (frame !== null) cancelAnimationFrame(frame);
+    frame = null;
+  };
+
+  const handlePointer = (e) => {
+    if (reducedMotion.matches) return;
+    target.x = 50 + (e.clientX / window.innerWidth - 0.5) * RANGE;
+    target.y = 50 + (e.clientY / window.innerHeight - 0.5) * RANGE;
+    start();
+  };
+
+  const handleVisibilityChange = () => {
+    if (document.hidden) stop();
+    else start();
+  };
+
+  const handleMotionChange = () => {
+    if (!reducedMotion.matches) return;
+    stop();
+    Object.assign(target, { x: 50, y: 50 });
+    Object.assign(current, target);
+    paint();
+  };
+
+  paint();
+  window.addEventListener('pointermove', handlePointer, { passive: true });
+  window.addEventListener('pointerdown', handlePointer, { passive: true });
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  reducedMotion.addEventListener('change', handleMotionChange);
+
+  return () => {
+    stop();
+    window.removeEventListener('pointermove', handlePointer);
+    window.removeEventListener('pointerdown', handlePointer);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    reducedMotion.removeEventListener('change', handleMotionChange);
+  };
+};
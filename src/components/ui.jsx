@@ -0,0 +1,50 @@
+import { buttonClasses } from './buttonStyles';
+
+// --- Reusable UI Components (styled with Tailwind) ---
+
+/**
+ * A reusable Button component. Renders a <button> unless told otherwise, so
+ * links that look like buttons stay links instead of nesting in one.
+ * @param {object} props
+ * @param {React.ElementType} props.as - Element to render, e.g. 'a' or Link
+ * @param {'primary' | 'secondary' | 'ghost'} props.variant - The button style variant
+ * @param {'default' | 'sm' | 'lg'} props.size - The button size
+ * @param {string} props.className - Additional classes
+ * @param {React.ReactNode} props.children - Button content
+ */
+export const Button = ({
+  as = 'button',
+  variant = 'primary',
+  size = 'default',
+  className = '',
+  children,
+  ...props
+}) => {
+  const Component = as;
+
+  return (
+    <Component
+      className={buttonClasses({ variant, size, className })}
+      {...props}
+    >
+      {children}
+    </Component>
+  );
+};
+
+/**
+ * A reusable Card component
+ * @param {object} props
+ * @param {string} props.className - Additional classes
+ * @param {React.ReactNode} props.children - Card content
+ */
+export const Card = ({ className = '', children, ...props }) => {
+  return (
+    <div
+      className={`rounded-xl border border-neutral-800 bg-neutral-900/50 p-6 shadow-card transition-all duration-300 ease-in-out motion-safe:hover:scale-[1.03] hover:bg-neutral-900/80 hover:border-neutral-700 ${className}`}
+      {...props}
+    >
+      {children}
+    </div>
+  );
+};
@@ -0,0 +1,141 @@
+import { RELEASE } from '../download/releases';
+
+// --- Submission Adapters ---
+// The contact form talks to a backend only through an adapter:
+//
+//   { name: string, submit(report) => Promise<{reference?: string, notice?: Message}> }
+//
+// submit() rejects with a SubmissionError. Which adapter is used is decided
+// once by getContactAdapter(), so the form never knows about endpoints.
+// Notices and errors are messages the form translates (see src/i18n/translate.js).
+
+/**
+ * SubmissionError - A failed submission the form can explain to the user
+ * @param {'invalid' | 'rate-limited' | 'network' | 'server'} kind
+ * @param {string} messageKey - Catalog key of the user-facing explanation
+ * @param {object} details
+ * @param {Object<string, import('../i18n/translate').Message>} details.fieldErrors - Per-field errors from the backend
+ * @param {number} details.retryAfter - Milliseconds until another try is allowed
+ */
+export class SubmissionError extends Error {
+  constructor(kind, messageKey, { fieldErrors = {}, retryAfter = 0 } = {}) {
+    super(`Contact submission failed (${kind})`);
+    this.name = 'SubmissionError';
+    this.kind = kind;
+    this.messageKey = messageKey;
+    this.fieldErrors = fieldErrors;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const readAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+/**
+ * Turns a form report into the JSON body sent to HTTP backends
+ */
+const toPayload = async (report) => ({
+  category: report.category,
+  browser: report.browser,
+  version: report.version.trim(),
+  email: report.email.trim(),
+  description: report.description.trim(),
+  attachment: report.attachment
+    ? {
+      name: report.attachment.name,
+      type: report.attachment.type,
+      size: report.attachment.size,
+      dataUrl: await readAsDataUrl(report.attachment),
+    }
+    : null,
+  page: window.location.href,
+});
+
+/**
+ * createHttpAdapter - Posts reports as JSON to an endpoint
+ * @param {object} options
+ * @param {string} options.endpoint - URL accepting POST requests
+ */
+export const createHttpAdapter = ({ endpoint }) => ({
+  name: 'http',
+  async submit(report) {
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(await toPayload(report)),
+      });
+    } catch {
+      throw new SubmissionError('network', 'contact.errors.network');
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (response.ok) return { reference: body.reference };
+
+    if (response.status === 422) {
+      throw new SubmissionError('invalid', 'contact.errors.invalid', {
+        fieldErrors: body.errors ?? {},
+      });
+    }
+    if (response.status === 429) {
+      const retryAfter = Number(response.headers.get('Retry-After')) * 1000 || 60_000;
+      throw new SubmissionError('rate-limited', 'contact.errors.rateLimited', { retryAfter });
+    }
+    throw new SubmissionError('server', 'contact.errors.server');
+  },
+});
+
+/**
+ * createMockServerAdapter - Sends reports to the mock endpoint served by the
+ * Vite dev and preview servers (plugins/mock-contact.js)
+ */
+export const createMockServerAdapter = () => ({
+  ...createHttpAdapter({ endpoint: `${import.meta.env.BASE_URL}__mock/contact` }),
+  name: 'mock-server',
+});
+
+/**
+ * createGitHubIssueAdapter - Opens a pre-filled GitHub issue in a new tab.
+ * Used when no backend is configured; attachments can't be carried over.
+ * Must be called straight from the submit handler so the tab isn't blocked.
+ */
+export const createGitHubIssueAdapter = ({ repoUrl = RELEASE.repository } = {}) => ({
+  name: 'github',
+  async submit(report) {
+    const title = `[${report.category}] ${report.description.trim().split('\n')[0].slice(0, 80)}`;
+    const body = [
+      report.description.trim(),
+      '',
+      `- Browser: ${report.browser}`,
+      `- Extension version: ${report.version.trim() || 'not given'}`,
+      ...(report.attachment ? ['', '_Drag the frame image into this issue to attach it._'] : []),
+    ].join('\n');
+    const labels = { bug: 'bug', feature: 'enhancement', question: 'question' }[report.category];
+    const params = new URLSearchParams({ title, body, labels });
+
+    // 'noopener' would make window.open return null, hiding a blocked pop-up
+    const tab = window.open(`${repoUrl}/issues/new?${params}`, '_blank');
+    if (!tab) {
+      throw new SubmissionError('server', 'contact.errors.popupBlocked');
+    }
+    tab.opener = null;
+    return { notice: { key: 'contact.githubNotice' } };
+  },
+});
+
+/**
+ * getContactAdapter - Picks the backend for this build: VITE_CONTACT_ENDPOINT
+ * when set, the local mock server in development, GitHub issues otherwise
+ */
+export const getContactAdapter = () => {
+  const endpoint = import.meta.env.VITE_CONTACT_ENDPOINT;
+  if (endpoint) return createHttpAdapter({ endpoint });
+  if (import.meta.env.DEV) return createMockServerAdapter();
+  return createGitHubIssueAdapter();
+};
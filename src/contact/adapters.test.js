@@ -0,0 +1,87 @@
+import http from 'node:http';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import mockContact from '../../plugins/mock-contact.js';
+import { createHttpAdapter, SubmissionError } from './adapters';
+import { EMPTY_REPORT } from './report';
+
+// Serves the mock contact backend the way the dev server mounts it
+const startMockServer = async () => {
+  const plugin = mockContact();
+  let handle;
+  plugin.configResolved({ base: '/' });
+  plugin.configureServer({ middlewares: { use: (middleware) => (handle = middleware) } });
+
+  const server = http.createServer((req, res) =>
+    handle(req, res, () => {
+      res.statusCode = 404;
+      res.end();
+    })
+  );
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, endpoint: `http://127.0.0.1:${server.address().port}/__mock/contact` };
+};
+
+const validReport = {
+  ...EMPTY_REPORT,
+  browser: 'Chrome',
+  version: '1.2.0',
+  description: 'Capturing a paused frame returns no text at all.',
+};
+
+describe('contact form against the mock backend', () => {
+  let server;
+  let endpoint;
+  let adapter;
+
+  beforeEach(async () => {
+    ({ server, endpoint } = await startMockServer());
+    adapter = createHttpAdapter({ endpoint });
+  });
+
+  afterEach(() => new Promise((resolve) => server.close(resolve)));
+
+  it('answers a valid report with a reference and lists it', async () => {
+    await expect(adapter.submit(validReport)).resolves.toEqual({ reference: 'MOCK-0001' });
+
+    const reports = await (await fetch(endpoint)).json();
+    expect(reports).toHaveLength(1);
+    expect(reports[0]).toMatchObject({ reference: 'MOCK-0001', category: 'bug', browser: 'Chrome' });
+  });
+
+  it('sends attachments and keeps only their details', async () => {
+    const attachment = new File([new Uint8Array(64)], 'frame.png', { type: 'image/png' });
+    await adapter.submit({ ...validReport, attachment });
+
+    const [report] = await (await fetch(endpoint)).json();
+    expect(report.attachment).toEqual({ name: 'frame.png', type: 'image/png', size: 64 });
+  });
+
+  it('rejects invalid reports with the errors for each field', async () => {
+    const error = await adapter
+      .submit({ ...validReport, browser: 'Netscape', email: 'not an email', description: 'Too short' })
+      .catch((err) => err);
+
+    expect(error).toBeInstanceOf(SubmissionError);
+    expect(error.kind).toBe('invalid');
+    expect(Object.keys(error.fieldErrors).sort()).toEqual(['browser', 'description', 'email']);
+  });
+
+  it('rate limits repeated reports and says when to try again', async () => {
+    for (let i = 0; i < 5; i++) await adapter.submit(validReport);
+    const error = await adapter.submit(validReport).catch((err) => err);
+
+    expect(error.kind).toBe('rate-limited');
+    expect(error.retryAfter).toBeGreaterThan(0);
+  });
+
+  it('answers bodies over 8 MB with an error instead of dropping the connection', async () => {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...validReport, description: 'x'.repeat(9 * 1024 * 1024) }),
+    });
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toEqual({ error: 'Expected a JSON body under 8 MB' });
+  });
+});
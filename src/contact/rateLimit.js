@@ -0,0 +1,46 @@
+// --- Submission Rate Limit ---
+// A sliding-window limit kept in localStorage so reloading the page doesn't
+// reset it. It only slows down casual spam; the backend must enforce its own.
+
+/**
+ * createRateLimiter - Tracks recent submissions under a storage key
+ * @param {object} options
+ * @param {string} options.key - Storage key for the submission timestamps
+ * @param {number} options.limit - Submissions allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Storage} options.storage - Where timestamps persist (defaults to localStorage)
+ * @returns {{check: (now?: number) => {allowed: boolean, retryAfter: number}, record: (now?: number) => void}}
+ */
+export const createRateLimiter = ({ key, limit, windowMs, storage = globalThis.localStorage }) => {
+  // In-memory copy for when storage is unavailable (private mode, quota)
+  let memory = [];
+
+  const read = (now) => {
+    let stamps = memory;
+    try {
+      const stored = JSON.parse(storage?.getItem(key) ?? 'null');
+      if (Array.isArray(stored)) stamps = stored;
+    } catch {
+      // Fall back to the in-memory copy
+    }
+    return stamps.filter((stamp) => typeof stamp === 'number' && now - stamp < windowMs);
+  };
+
+  const check = (now = Date.now()) => {
+    const recent = read(now);
+    if (recent.length < limit) return { allowed: true, retryAfter: 0 };
+    // The oldest stamp in the window is the next one to expire
+    return { allowed: false, retryAfter: Math.min(...recent) + windowMs - now };
+  };
+
+  const record = (now = Date.now()) => {
+    memory = [...read(now), now];
+    try {
+      storage?.setItem(key, JSON.stringify(memory));
+    } catch {
+      // The in-memory copy still limits this page session
+    }
+  };
+
+  return { check, record };
+};
@@ -0,0 +1,85 @@
+// --- Contact Reports ---
+// Field definitions and validation shared by the contact form and the mock
+// submission server, so both sides agree on what a valid report is. Errors
+// are messages the form translates (see src/i18n/translate.js).
+
+// Labelled by contact.categories in the message catalogs
+export const CATEGORIES = ['bug', 'feature', 'question'];
+
+export const BROWSERS = ['Chrome', 'Edge', 'Brave', 'Opera', 'Firefox', 'Safari', 'Other'];
+
+/**
+ * browserOption - Maps a detectBrowser() id to its BROWSERS entry
+ * @param {string} id
+ * @returns {string} e.g. 'Chrome', or 'Other' for unknown browsers
+ */
+export const browserOption = (id) =>
+  BROWSERS.find((browser) => browser.toLowerCase() === id) ?? 'Other';
+
+export const MIN_DESCRIPTION_LENGTH = 20;
+export const MAX_DESCRIPTION_LENGTH = 5000;
+export const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+const ATTACHMENT_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const VERSION_PATTERN = /^\d+(\.\d+){0,3}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const EMPTY_REPORT = {
+  category: 'bug',
+  browser: '',
+  version: '',
+  email: '',
+  description: '',
+  attachment: null,
+};
+
+/**
+ * validateReport - Checks a report before it is submitted
+ * @param {object} report
+ * @param {string} report.category - One of CATEGORIES
+ * @param {string} report.browser - One of BROWSERS
+ * @param {string} report.version - Extension version, e.g. "1.2.0" (optional)
+ * @param {string} report.email - Reply address (optional)
+ * @param {string} report.description - What happened
+ * @param {{type: string, size: number} | null} report.attachment - Frame image
+ * @returns {Object<string, import('../i18n/translate').Message>} Error per invalid field; empty when valid
+ */
+export const validateReport = (report) => {
+  const errors = {};
+  const description = report.description?.trim() ?? '';
+  const version = report.version?.trim() ?? '';
+  const email = report.email?.trim() ?? '';
+
+  if (!CATEGORIES.includes(report.category)) {
+    errors.category = { key: 'contact.errors.category' };
+  }
+
+  if (!BROWSERS.includes(report.browser)) {
+    errors.browser = { key: 'contact.errors.browser' };
+  }
+
+  if (version && !VERSION_PATTERN.test(version)) {
+    errors.version = { key: 'contact.errors.version' };
+  }
+
+  if (email && !EMAIL_PATTERN.test(email)) {
+    errors.email = { key: 'contact.errors.email' };
+  }
+
+  if (description.length < MIN_DESCRIPTION_LENGTH) {
+    errors.description = { key: 'contact.errors.descriptionTooShort', params: { min: MIN_DESCRIPTION_LENGTH } };
+  } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+    errors.description = { key: 'contact.errors.descriptionTooLong', params: { max: MAX_DESCRIPTION_LENGTH } };
+  }
+
+  if (report.attachment) {
+    const { type, size } = report.attachment;
+    if (!ATTACHMENT_TYPES.includes(type)) {
+      errors.attachment = { key: 'contact.errors.attachmentType' };
+    } else if (size > MAX_ATTACHMENT_BYTES) {
+      errors.attachment = { key: 'contact.errors.attachmentSize', params: { max: MAX_ATTACHMENT_BYTES / 1024 / 1024 } };
+    }
+  }
+
+  return errors;
+};
@@ -0,0 +1,112 @@
+import { EXPERIMENTS } from '../experiments/config.js';
+
+// --- Content Schema ---
+// What each kind of section in src/content may contain. plugins/content.js
+// checks every content file against this when the site is built (and on
+// every edit in dev), so a typo or a missing field is reported with its
+// place in the file instead of breaking the page.
+//
+// Field kinds:
+//   'text'   Non-empty string; may use {placeholders} such as {browser}
+//   'id'     Anchor other pages link to (#features): lowercase words and
+//            dashes, used once per page
+//   'icon'   Name of an SVG file in src/icons, without .svg
+//   'path'   App path such as /docs or /#features
+//   { oneOf: [...] }         One of the listed strings
+//   { list: {...}, min: n }  At least n items, each with the given fields
+// Add `optional: true` to an object kind, or end a string kind with '?', for
+// a field that may be left out.
+//
+// A new kind of section needs an entry here and a component in
+// src/pages/HomePage.jsx; after that it can be placed by editing content.
+
+/**
+ * variantsOf - A "variants" field: copy tested in src/experiments/config.js.
+ * Each entry names an experiment and one of its variants, and replaces some
+ * of the section's fields for the visitors who get that variant.
+ * @param {Object<string, string>} fields - The fields a variant may replace, as optional kinds
+ */
+const variantsOf = (fields) => ({
+  list: {
+    experiment: { oneOf: EXPERIMENTS.map(({ id }) => id) },
+    variant: { oneOf: [...new Set(EXPERIMENTS.flatMap(({ variants }) => variants.map(({ id }) => id)))] },
+    ...fields,
+  },
+  min: 1,
+  optional: true,
+});
+
+export const SECTION_SCHEMAS = {
+  hero: {
+    titleLead: 'text',
+    titleAccent: 'text',
+    description: 'text',
+    download: 'text',
+    learnMore: 'text',
+    learnMoreHref: 'path',
+    variants: variantsOf({ titleLead: 'text?', titleAccent: 'text?', download: 'text?' }),
+  },
+  features: {
+    id: 'id',
+    title: 'text',
+    subtitle: 'text?',
+    items: {
+      list: { icon: 'icon', title: 'text', description: 'text' },
+      min: 1,
+    },
+  },
+  steps: {
+    id: 'id',
+    title: 'text',
+    subtitle: 'text?',
+    // Shown under a step once the visitor has done it
+    completed: 'text',
+    // Walkthrough controls; showStep names each numbered circle, e.g.
+    // "Show step {number}: {title}"
+    pause: 'text',
+    play: 'text',
+    showStep: 'text',
+    // Text inside the simulated browser; slideText is what the video shows
+    // and the popup reads, one line per line
+    extensionsLabel: 'text',
+    pinLabel: 'text',
+    captureLabel: 'text',
+    resultLabel: 'text',
+    slideText: 'text',
+    items: {
+      list: {
+        title: 'text',
+        description: 'text',
+        // Something the site can observe that marks the step as done
+        completedBy: { oneOf: ['extension-installed'], optional: true },
+        // What the simulated browser shows for the step
+        scene: { oneOf: ['pin', 'play', 'capture'] },
+      },
+      min: 1,
+    },
+  },
+  faq: {
+    id: 'id',
+    title: 'text',
+    subtitle: 'text?',
+    searchLabel: 'text',
+    searchPlaceholder: 'text',
+    // Announced while searching, e.g. "{count} of {total} questions"
+    results: 'text',
+    // Shown when nothing matches; {query} is what was typed
+    noResults: 'text',
+    // Accessible name of each question's permalink
+    linkLabel: 'text',
+    items: {
+      // The id is the question's link: /#drm-video
+      list: { id: 'id', question: 'text', answer: 'text' },
+      min: 1,
+    },
+  },
+  cta: {
+    title: 'text',
+    description: 'text',
+    download: 'text',
+    variants: variantsOf({ title: 'text?', description: 'text?', download: 'text?' }),
+  },
+};
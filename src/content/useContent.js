@@ -0,0 +1,14 @@
+import content from 'virtual:content';
+import { DEFAULT_LOCALE } from '../i18n/locales';
+import { useTranslation } from '../i18n/useTranslation';
+
+/**
+ * useContent - A page's content from src/content in the current locale
+ * (see plugins/content.js), falling back to the default locale
+ * @param {string} page - Folder name in src/content, e.g. "home"
+ * @returns {{sections: Array<{type: string}>}}
+ */
+export const useContent = (page) => {
+  const { locale } = useTranslation();
+  return content[page][locale] ?? content[page][DEFAULT_LOCALE];
+};
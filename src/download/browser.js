@@ -0,0 +1,41 @@
+// --- Browser Detection ---
+// User-agent sniffing is only ever a hint here: it picks which download
+// link to show first, and every fallback still lists the supported browsers.
+
+const VERSION_PATTERNS = {
+  edge: /Edg(?:e|A|iOS)?\/(\d+)/,
+  opera: /(?:OPR|Opera)\/(\d+)/,
+  firefox: /(?:Firefox|FxiOS)\/(\d+)/,
+  chrome: /(?:Chrome|CriOS)\/(\d+)/,
+  safari: /Version\/(\d+).*Safari/,
+};
+
+/**
+ * detectBrowser - Identifies the visitor's browser from navigator data
+ * @param {Navigator} nav - Usually window.navigator; anything with the same fields works
+ * @returns {{id: 'chrome' | 'edge' | 'brave' | 'opera' | 'firefox' | 'safari' | 'other', version: number | null, mobile: boolean}}
+ */
+export const detectBrowser = (nav = globalThis.navigator) => {
+  const userAgent = nav?.userAgent ?? '';
+  // iPadOS reports itself as desktop Safari; touch support gives it away
+  const mobile =
+    nav?.userAgentData?.mobile ??
+    (/Android|iPhone|iPad|iPod|Mobile/i.test(userAgent) ||
+      (/Macintosh/.test(userAgent) && nav?.maxTouchPoints > 1));
+
+  const matchVersion = (id) => {
+    const match = userAgent.match(VERSION_PATTERNS[id]);
+    return match ? Number(match[1]) : null;
+  };
+
+  // Order matters: Edge, Opera and Brave all claim to be Chrome too
+  if (matchVersion('edge')) return { id: 'edge', version: matchVersion('edge'), mobile };
+  if (matchVersion('opera')) return { id: 'opera', version: matchVersion('opera'), mobile };
+  if (matchVersion('firefox')) return { id: 'firefox', version: matchVersion('firefox'), mobile };
+  if (matchVersion('chrome')) {
+    // Brave hides from the user agent but exposes navigator.brave
+    return { id: nav?.brave ? 'brave' : 'chrome', version: matchVersion('chrome'), mobile };
+  }
+  if (matchVersion('safari')) return { id: 'safari', version: matchVersion('safari'), mobile };
+  return { id: 'other', version: null, mobile };
+};
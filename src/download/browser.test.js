@@ -0,0 +1,45 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+import { detectBrowser } from './browser';
+
+const USER_AGENTS = {
+  chrome:
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+  edge: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.2592.68',
+  opera:
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36 OPR/111.0.0.0',
+  firefox: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0',
+  safari:
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15',
+  iphone:
+    'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/126.0.6478.54 Mobile/15E148 Safari/604.1',
+  android:
+    'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Mobile Safari/537.36',
+};
+
+describe('detectBrowser', () => {
+  it('tells Chromium browsers apart even though they all claim to be Chrome', () => {
+    expect(detectBrowser({ userAgent: USER_AGENTS.chrome })).toEqual({ id: 'chrome', version: 126, mobile: false });
+    expect(detectBrowser({ userAgent: USER_AGENTS.edge })).toEqual({ id: 'edge', version: 126, mobile: false });
+    expect(detectBrowser({ userAgent: USER_AGENTS.opera })).toEqual({ id: 'opera', version: 111, mobile: false });
+    expect(detectBrowser({ userAgent: USER_AGENTS.chrome, brave: {} })).toEqual({ id: 'brave', version: 126, mobile: false });
+  });
+
+  it('reads Firefox and Safari versions', () => {
+    expect(detectBrowser({ userAgent: USER_AGENTS.firefox })).toEqual({ id: 'firefox', version: 128, mobile: false });
+    expect(detectBrowser({ userAgent: USER_AGENTS.safari })).toEqual({ id: 'safari', version: 17, mobile: false });
+  });
+
+  it('spots phones, tablets and iPads posing as desktop Safari', () => {
+    expect(detectBrowser({ userAgent: USER_AGENTS.iphone })).toEqual({ id: 'chrome', version: 126, mobile: true });
+    expect(detectBrowser({ userAgent: USER_AGENTS.android }).mobile).toBe(true);
+    expect(detectBrowser({ userAgent: USER_AGENTS.safari, maxTouchPoints: 5 }).mobile).toBe(true);
+    // Client hints win over the user agent
+    expect(detectBrowser({ userAgent: USER_AGENTS.android, userAgentData: { mobile: false } }).mobile).toBe(false);
+  });
+
+  it('falls back to an unknown browser', () => {
+    expect(detectBrowser({ userAgent: 'curl/8.4.0' })).toEqual({ id: 'other', version: null, mobile: false });
+    expect(detectBrowser({})).toEqual({ id: 'other', version: null, mobile: false });
+  });
+});
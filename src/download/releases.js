@@ -0,0 +1,38 @@
+import releases from './releases.json';
+
+// Single source of truth for the current release and where to get it.
+// Edit releases.json when a new version ships or a store listing goes live.
+export const RELEASE = releases;
+
+/**
+ * resolveDownload - Decides what the download button should offer a browser
+ * @param {{id: string, version: number | null, mobile: boolean} | null} browser - From
+ *   detectBrowser; null while it is unknown (prerendering), which offers the fallback browser
+ * @param {object} release - Manifest, defaults to releases.json
+ * @returns {{status: 'available' | 'outdated' | 'unsupported' | 'mobile', target: object | null, fallback: object}}
+ *   target is the manifest entry (plus id) for the visitor's browser when it
+ *   has one; fallback is the entry to suggest instead
+ */
+export const resolveDownload = (browser, release = RELEASE) => {
+  const fallback = { id: release.fallbackBrowser, ...release.browsers[release.fallbackBrowser] };
+  if (!browser) return { status: 'available', target: fallback, fallback };
+
+  const entry = release.browsers[browser.id];
+  const target = entry ? { id: browser.id, ...entry } : null;
+
+  if (browser.mobile) return { status: 'mobile', target, fallback };
+  if (!target?.url) return { status: 'unsupported', target, fallback };
+  if (target.minVersion && browser.version !== null && browser.version < target.minVersion) {
+    return { status: 'outdated', target, fallback };
+  }
+  return { status: 'available', target, fallback };
+};
+
+/**
+ * supportedBrowsers - Names of the browsers that have a download link
+ * @returns {string[]}
+ */
+export const supportedBrowsers = (release = RELEASE) =>
+  Object.values(release.browsers)
+    .filter((entry) => entry.url)
+    .map((entry) => entry.name);
@@ -0,0 +1,63 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+import { resolveDownload, supportedBrowsers } from './releases';
+
+const RELEASE = {
+  version: '2.0.0',
+  browsers: {
+    chrome: { name: 'Chrome', url: 'https://example.com/chrome', minVersion: 109 },
+    edge: { name: 'Edge', url: 'https://example.com/edge', minVersion: null },
+    firefox: { name: 'Firefox', url: null, minVersion: null },
+  },
+  fallbackBrowser: 'chrome',
+};
+
+const resolve = (browser) => {
+  const { status, target, fallback } = resolveDownload(browser, RELEASE);
+  return { status, target: target?.id ?? null, fallback: fallback.id };
+};
+
+describe('resolveDownload', () => {
+  it('offers the fallback browser while the browser is unknown', () => {
+    expect(resolve(null)).toEqual({ status: 'available', target: 'chrome', fallback: 'chrome' });
+  });
+
+  it('offers a supported browser its own download', () => {
+    expect(resolve({ id: 'edge', version: 90, mobile: false })).toEqual({ status: 'available', target: 'edge', fallback: 'chrome' });
+    expect(resolveDownload({ id: 'edge', version: 90, mobile: false }, RELEASE).target).toEqual({
+      id: 'edge',
+      ...RELEASE.browsers.edge,
+    });
+  });
+
+  it('flags versions below the minimum as outdated', () => {
+    expect(resolve({ id: 'chrome', version: 108, mobile: false }).status).toBe('outdated');
+    expect(resolve({ id: 'chrome', version: 109, mobile: false }).status).toBe('available');
+    // An unreadable version gets the benefit of the doubt
+    expect(resolve({ id: 'chrome', version: null, mobile: false }).status).toBe('available');
+  });
+
+  it('calls browsers without a download link unsupported', () => {
+    expect(resolve({ id: 'firefox', version: 130, mobile: false })).toEqual({
+      status: 'unsupported',
+      target: 'firefox',
+      fallback: 'chrome',
+    });
+    expect(resolve({ id: 'other', version: null, mobile: false })).toEqual({
+      status: 'unsupported',
+      target: null,
+      fallback: 'chrome',
+    });
+  });
+
+  it('sends mobile browsers to a desktop, even supported ones', () => {
+    expect(resolve({ id: 'chrome', version: 130, mobile: true }).status).toBe('mobile');
+    expect(resolve({ id: 'chrome', version: 90, mobile: true }).status).toBe('mobile');
+  });
+});
+
+describe('supportedBrowsers', () => {
+  it('names the browsers that have a download link', () => {
+    expect(supportedBrowsers(RELEASE)).toEqual(['Chrome', 'Edge']);
+  });
+});
@@ -0,0 +1,22 @@
+import { useSyncExternalStore } from 'react';
+import { detectBrowser } from './browser';
+
+let detected = null;
+
+// The browser never changes while the page is open
+const subscribe = () => () => {};
+
+const getBrowser = () => {
+  if (!detected) detected = detectBrowser();
+  return detected;
+};
+
+// Prerendered markup can't know the visitor's browser
+const getServerBrowser = () => null;
+
+/**
+ * useBrowser - The visitor's browser (see detectBrowser); null while
+ * prerendering and during hydration, then the detected browser
+ * @returns {{id: string, version: number | null, mobile: boolean} | null}
+ */
+export const useBrowser = () => useSyncExternalStore(subscribe, getBrowser, getServerBrowser);
@@ -0,0 +1,52 @@
+import React, { StrictMode } from 'react';
+import { renderToString } from 'react-dom/server';
+import App from './App.jsx';
+import { LOCALES, localizePath, splitLocalePath } from './i18n/locales';
+import { href, setServerLocation } from './router/history';
+import { ROUTES, matchRoute } from './router/routes';
+import { SHARE_IMAGE, getPageHead, renderHeadTags } from './seo/head';
+
+// --- Prerender Entry ---
+// Loaded in Node by plugins/prerender.js after the client build. Each page
+// is rendered to static HTML that main.jsx hydrates in the browser.
+
+export { SHARE_IMAGE };
+export { buildRobots, buildSitemap } from './seo/sitemap';
+
+// Matches no route, so it renders the 404 page that static hosts serve for unknown URLs
+const NOT_FOUND_PATH = '/404';
+
+const fileFor = (path) => (path === '/' ? 'index.html' : `${path.slice(1)}/index.html`);
+
+/**
+ * getPrerenderPages - Every page to write: each route in each locale, plus 404.html
+ * @returns {Array<{path: string, file: string}>} App paths and output files relative to the build
+ */
+export const getPrerenderPages = () => [
+  ...ROUTES.flatMap((route) =>
+    LOCALES.map(({ code }) => {
+      const path = localizePath(route.path, code);
+      return { path, file: fileFor(path) };
+    })
+  ),
+  { path: NOT_FOUND_PATH, file: '404.html' },
+];
+
+/**
+ * render - Prerenders one page
+ * @param {string} path - App path from getPrerenderPages
+ * @returns {{html: string, title: string, lang: string, dir: string, head: string}}
+ */
+export const render = (path) => {
+  setServerLocation(href(path));
+  const { locale, path: appPath } = splitLocalePath(path);
+  const { title, lang, dir, tags } = getPageHead(matchRoute(appPath), locale);
+
+  const html = renderToString(
+    <StrictMode>
+      <App />
+    </StrictMode>
+  );
+
+  return { html, title, lang, dir, head: renderHeadTags(tags) };
+};
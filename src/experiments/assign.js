@@ -0,0 +1,71 @@
+// --- Variant Assignment ---
+// Runs before the first paint as an inline script in <head> (see
+// plugins/experiments.js), so it can't import anything or use names from
+// outside its own body. It writes the visitor's variants to <html>, where the
+// stylesheet from the same plugin shows their copy and
+// src/experiments/variants.js reads them.
+
+/**
+ * assignVariants - Picks the visitor's variant of each experiment and records
+ * them as <html data-experiments="hero-headline/any-frame cta-label/control">.
+ *
+ * The variant follows from a bucket number stored in local storage on the
+ * first visit, so it stays the same on every page and visit. Visitors who
+ * send Do Not Track or Global Privacy Control get the control copy and no
+ * bucket. The override parameter forces variants for QA and marks the page
+ * with data-experiments-forced, which keeps it out of the results.
+ * @param {Array<{id: string, variants: Array<{id: string, weight: number}>}>} experiments
+ * @param {object} options
+ * @param {number} options.buckets - Number of buckets; the weights of each experiment add up to it
+ * @param {string} options.bucketKey - Local storage key of the bucket
+ * @param {string} options.overrideParam - Query parameter with experiment:variant pairs
+ */
+export function assignVariants(experiments, { buckets, bucketKey, overrideParam }) {
+  const root = document.documentElement;
+
+  const forced = {};
+  const override = new URLSearchParams(window.location.search).get(overrideParam);
+  if (override) {
+    override.split(',').forEach((pair) => {
+      const [experiment, variant] = pair.split(':');
+      forced[experiment] = variant;
+    });
+    root.dataset.experimentsForced = '';
+  }
+
+  const doNotTrack = navigator.doNotTrack ?? window.doNotTrack ?? navigator.msDoNotTrack;
+  const optedOut = navigator.globalPrivacyControl === true || doNotTrack === '1' || doNotTrack === 'yes';
+
+  let bucket = null;
+  if (!optedOut) {
+    try {
+      const stored = localStorage.getItem(bucketKey);
+      bucket = /^\d+$/.test(stored) && Number(stored) < buckets ? Number(stored) : Math.floor(Math.random() * buckets);
+      localStorage.setItem(bucketKey, String(bucket));
+    } catch {
+      // Storage is blocked: without a bucket that lasts, stay on the control
+      bucket = null;
+    }
+  }
+
+  // Shifting the bucket per experiment keeps the same visitors from landing
+  // in the first variant of every experiment
+  const offset = (id) => {
+    let hash = 0;
+    for (const char of id) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    return hash % buckets;
+  };
+
+  const pick = ({ id, variants }) => {
+    if (variants.some((variant) => variant.id === forced[id])) return forced[id];
+    if (bucket === null) return variants[0].id;
+    let position = (bucket + offset(id)) % buckets;
+    const chosen = variants.find((variant) => {
+      position -= variant.weight;
+      return position < 0;
+    });
+    return (chosen ?? variants[0]).id;
+  };
+
+  root.dataset.experiments = experiments.map((experiment) => `${experiment.id}/${pick(experiment)}`).join(' ');
+}
@@ -0,0 +1,106 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { assignVariants } from './assign';
+
+const OPTIONS = { buckets: 100, bucketKey: 'experiment-bucket', overrideParam: 'variant' };
+
+const EXPERIMENTS = [
+  {
+    id: 'headline',
+    variants: [
+      { id: 'control', weight: 70 },
+      { id: 'short', weight: 20 },
+      { id: 'long', weight: 10 },
+    ],
+  },
+  {
+    id: 'button',
+    variants: [
+      { id: 'control', weight: 50 },
+      { id: 'free', weight: 50 },
+    ],
+  },
+];
+
+// "headline/short button/control" as { headline: 'short', button: 'control' }
+const assigned = () => {
+  assignVariants(EXPERIMENTS, OPTIONS);
+  return Object.fromEntries(document.documentElement.dataset.experiments.split(' ').map((pair) => pair.split('/')));
+};
+
+const assignedInBucket = (bucket) => {
+  localStorage.setItem(OPTIONS.bucketKey, String(bucket));
+  return assigned();
+};
+
+describe('assignVariants', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    delete document.documentElement.dataset.experiments;
+    delete document.documentElement.dataset.experimentsForced;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('keeps a visitor in the same variants on every visit', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.42);
+    const first = assigned();
+    expect(localStorage.getItem(OPTIONS.bucketKey)).toBe('42');
+
+    Math.random.mockReturnValue(0.99);
+    expect(assigned()).toEqual(first);
+    expect(assignedInBucket(42)).toEqual(first);
+  });
+
+  it('splits the buckets by weight', () => {
+    const counts = {};
+    for (let bucket = 0; bucket < OPTIONS.buckets; bucket++) {
+      Object.entries(assignedInBucket(bucket)).forEach(([experiment, variant]) => {
+        counts[experiment] ??= {};
+        counts[experiment][variant] = (counts[experiment][variant] ?? 0) + 1;
+      });
+    }
+    expect(counts).toEqual({ headline: { control: 70, short: 20, long: 10 }, button: { control: 50, free: 50 } });
+  });
+
+  it('doesn\'t put the same visitors in the first variant of every experiment', () => {
+    const inBoth = Array.from({ length: OPTIONS.buckets }, (_, bucket) => assignedInBucket(bucket)).filter(
+      ({ headline, button }) => headline === 'control' && button === 'control'
+    );
+    expect(inBoth.length).toBeLessThan(50);
+  });
+
+  it('draws a new bucket when the stored one is out of range', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.05);
+    localStorage.setItem(OPTIONS.bucketKey, '250');
+    assigned();
+    expect(localStorage.getItem(OPTIONS.bucketKey)).toBe('5');
+  });
+
+  it.each([
+    ['Do Not Track', { doNotTrack: '1' }],
+    ['Global Privacy Control', { globalPrivacyControl: true }],
+  ])('shows the control copy and stores nothing under %s', (_, navigatorFields) => {
+    vi.stubGlobal('navigator', navigatorFields);
+    expect(assigned()).toEqual({ headline: 'control', button: 'control' });
+    expect(localStorage.getItem(OPTIONS.bucketKey)).toBeNull();
+  });
+
+  it('shows the control copy when storage is blocked', () => {
+    vi.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+      throw new DOMException('Blocked', 'SecurityError');
+    });
+    expect(assigned()).toEqual({ headline: 'control', button: 'control' });
+  });
+
+  it('forces known variants from the override parameter and marks the page', () => {
+    const unforced = assignedInBucket(0);
+    window.history.replaceState(null, '', '/?variant=headline:long,button:nope');
+    // Unknown variants fall back to the bucket
+    expect(assigned()).toEqual({ headline: 'long', button: unforced.button });
+    expect(document.documentElement.dataset.experimentsForced).toBe('');
+  });
+});
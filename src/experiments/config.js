@@ -0,0 +1,43 @@
+// --- Experiments ---
+// Copy being A/B tested on the home page. Each experiment's variants split
+// the visitors' buckets by weight (the weights add up to BUCKETS), and the
+// first variant is the control: the copy without scripts, for visitors who
+// ask not to be tracked, and the fallback for anything unknown. The copy
+// itself lives in src/content, in a section's "variants" list.
+//
+// plugins/experiments.js checks this list when the site is built.
+
+// Visitors share this many buckets, so a bucket can't tell anyone apart
+export const BUCKETS = 100;
+
+export const BUCKET_KEY = 'experiment-bucket';
+
+// QA switch: ?variant=hero-headline:any-frame,cta-label:control
+export const OVERRIDE_PARAM = 'variant';
+
+export const EXPERIMENTS = [
+  {
+    // "Stop Pausing. Start Copying." against a headline saying what the tool does
+    id: 'hero-headline',
+    variants: [
+      { id: 'control', weight: 50 },
+      { id: 'any-frame', weight: 50 },
+    ],
+  },
+  {
+    // Install button wording in the hero and the closing call to action
+    id: 'cta-label',
+    variants: [
+      { id: 'control', weight: 50 },
+      { id: 'free-first', weight: 50 },
+    ],
+  },
+];
+
+/**
+ * variantsOf - Variant ids of an experiment, control first
+ * @param {string} experiment
+ * @returns {string[]}
+ */
+export const variantsOf = (experiment) =>
+  EXPERIMENTS.find(({ id }) => id === experiment)?.variants.map(({ id }) => id) ?? [];
@@ -0,0 +1,35 @@
+import { track } from '../analytics/track';
+
+// --- Experiment Sinks ---
+// Exposures and conversions are reported only through a sink:
+//
+//   { name: string, exposure({experiment, variant}), conversion({experiment, variant, goal}) }
+//
+// getExperimentSink() decides once which one is used, so components never
+// know where results go.
+
+/**
+ * createAnalyticsSink - Sends results as analytics events, which carry the
+ * same privacy rules and batching as every other event (src/analytics)
+ */
+export const createAnalyticsSink = () => ({
+  name: 'analytics',
+  exposure: (result) => track('experiment-exposure', result),
+  conversion: (result) => track('experiment-conversion', result),
+});
+
+/**
+ * createConsoleSink - Logs results, for checking an experiment by hand
+ */
+export const createConsoleSink = () => ({
+  name: 'console',
+  exposure: (result) => console.info('[experiments] exposure', result),
+  conversion: (result) => console.info('[experiments] conversion', result),
+});
+
+/**
+ * getExperimentSink - Picks where results go: the console when
+ * VITE_EXPERIMENT_SINK is "console", analytics otherwise
+ */
+export const getExperimentSink = () =>
+  import.meta.env.VITE_EXPERIMENT_SINK === 'console' ? createConsoleSink() : createAnalyticsSink();
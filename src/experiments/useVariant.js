@@ -0,0 +1,44 @@
+import { createElement, useEffect, useSyncExternalStore } from 'react';
+import { variantsOf } from './config';
+import { getVariant, reportExposure } from './variants';
+
+// Assignments are made before the page loads and never change
+const subscribe = () => () => {};
+
+// Rendered alongside a variant's copy, so only visitors who are shown the
+// copy count as exposed, e.g. not when a button shows another label instead
+const Exposure = ({ experiment }) => {
+  useEffect(() => {
+    reportExposure(experiment);
+  }, [experiment]);
+
+  return null;
+};
+
+/**
+ * useVariant - The visitor's variant of an experiment. Copy is rendered for
+ * every variant with render(), all but the control's hidden, so prerendered
+ * pages read as the control without styles. Until hydration is done the
+ * styles from plugins/experiments.js show the visitor's variant instead, so
+ * there's no flash of the control; then only that variant is left unhidden.
+ * The exposure is reported once what render() returned is mounted.
+ * @param {string} experiment - An id from src/experiments/config.js
+ * @returns {{variant: string | null, render: (renderVariant: (variant: string) => React.ReactNode) => React.ReactNode}}
+ *   variant is null until hydration is done; use render() for anything visible
+ */
+export const useVariant = (experiment) => {
+  const variant = useSyncExternalStore(subscribe, () => getVariant(experiment), () => null);
+
+  const render = (renderVariant) => [
+    createElement(Exposure, { key: 'exposure', experiment }),
+    ...variantsOf(experiment).map((id, index) =>
+      createElement(
+        'span',
+        { key: id, 'data-variant': `${experiment}/${id}`, hidden: variant === null ? index > 0 : id !== variant },
+        renderVariant(id)
+      )
+    ),
+  ];
+
+  return { variant, render };
+};
@@ -0,0 +1,69 @@
+import { getExperimentSink } from './sinks';
+
+// --- Visitor Variants ---
+// Reads the variants src/experiments/assign.js recorded on <html> before the
+// page was painted, and reports what the visitor saw and did with them.
+
+let assignments = null;
+let sink = null;
+const exposed = new Set();
+
+const getAssignments = () => {
+  assignments ??= Object.fromEntries(
+    (document.documentElement.dataset.experiments ?? '')
+      .split(' ')
+      .filter(Boolean)
+      .map((entry) => entry.split('/'))
+  );
+  return assignments;
+};
+
+// Forced variants are QA visits, not results
+const isForced = () => 'experimentsForced' in document.documentElement.dataset;
+
+/**
+ * getVariant - The visitor's variant of an experiment
+ * @param {string} experiment
+ * @returns {string | null} null before assignment ran, e.g. while prerendering
+ */
+export const getVariant = (experiment) => (typeof document === 'undefined' ? null : getAssignments()[experiment] ?? null);
+
+/**
+ * reportExposure - Reports that the visitor was shown their variant of an
+ * experiment; once per experiment and page load
+ * @param {string} experiment
+ */
+export const reportExposure = (experiment) => {
+  const variant = getVariant(experiment);
+  if (!variant || isForced() || exposed.has(experiment)) return;
+  exposed.add(experiment);
+  sink ??= getExperimentSink();
+  sink.exposure({ experiment, variant });
+};
+
+/**
+ * reportConversion - Credits a goal to every experiment the visitor has been
+ * exposed to on this page load
+ * @param {'install'} goal
+ */
+export const reportConversion = (goal) => {
+  if (exposed.size === 0) return;
+  sink ??= getExperimentSink();
+  exposed.forEach((experiment) => sink.conversion({ experiment, variant: getVariant(experiment), goal }));
+};
+
+/**
+ * variantCopy - A content section's copy as one variant sees it: the
+ * section's own fields with that variant's entry from its "variants" list
+ * laid over them
+ * @param {object} section - From src/content
+ * @param {string} experiment
+ * @param {string} variant
+ * @returns {object}
+ */
+export const variantCopy = (section, experiment, variant) => {
+  const entry = section.variants?.find((item) => item.experiment === experiment && item.variant === variant);
+  if (!entry) return section;
+  const { experiment: _experiment, variant: _variant, ...copy } = entry;
+  return { ...section, ...copy };
+};
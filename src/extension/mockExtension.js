@@ -0,0 +1,60 @@
+import { EXTENSION_SOURCE, MESSAGES, SITE_SOURCE } from './protocol';
+
+const STORAGE_KEY = 'mock-extension';
+
+/**
+ * installMockExtension - Stand-in for the extension's content script. Answers
+ * the site's postMessage handshake as if the extension were installed.
+ * @param {object} options
+ * @param {string} options.version - Version to report
+ * @param {number} options.readyDelay - Milliseconds before announcing itself, to mimic a late content script
+ * @returns {() => void} Uninstall function
+ */
+export const installMockExtension = ({ version = '1.0.0', readyDelay = 0 } = {}) => {
+  const reply = (message) =>
+    window.postMessage({ ...message, source: EXTENSION_SOURCE }, window.location.origin);
+
+  const handleMessage = (e) => {
+    if (e.source !== window || e.data?.source !== SITE_SOURCE) return;
+    const { type, nonce } = e.data;
+    if (type === MESSAGES.ping) reply({ type: MESSAGES.pong, nonce, version });
+    if (type === MESSAGES.open) {
+      console.info('[mock-extension] open requested');
+      reply({ type: MESSAGES.opened, nonce, ok: true });
+    }
+  };
+
+  window.addEventListener('message', handleMessage);
+  const timer = setTimeout(() => reply({ type: MESSAGES.ready, version }), readyDelay);
+
+  return () => {
+    clearTimeout(timer);
+    window.removeEventListener('message', handleMessage);
+  };
+};
+
+/**
+ * installMockExtensionFromUrl - Development switch for the mock extension.
+ * `?mock-extension=1.0.0` installs it with that version (use an older one to
+ * see "Update available"), `?mock-extension=off` removes it. The choice sticks
+ * for the tab so it survives navigation and reloads.
+ */
+export const installMockExtensionFromUrl = () => {
+  const requested = new URLSearchParams(window.location.search).get(STORAGE_KEY);
+  let version = requested === 'off' ? null : requested;
+  try {
+    if (requested === 'off') {
+      sessionStorage.removeItem(STORAGE_KEY);
+    } else if (requested) {
+      sessionStorage.setItem(STORAGE_KEY, requested);
+    } else {
+      version = sessionStorage.getItem(STORAGE_KEY);
+    }
+  } catch {
+    // Without storage the switch only lasts for this page load
+  }
+  if (!version) return;
+
+  installMockExtension({ version });
+  console.info(`[mock-extension] installed, reporting version ${version}`);
+};
@@ -0,0 +1,39 @@
+// --- Site ↔ Extension Protocol ---
+// Messages are plain objects with a `type`. The same shapes travel over
+// chrome.runtime messaging (externally_connectable) and, as a fallback, over
+// window.postMessage via the extension's content script. Over postMessage
+// every message also carries `source` so both sides can ignore unrelated
+// traffic, and replies echo the request's `nonce`.
+//
+//   site → extension   { type: 'VTO_PING', nonce }
+//   extension → site   { type: 'VTO_PONG', nonce, version }
+//   site → extension   { type: 'VTO_OPEN', nonce }
+//   extension → site   { type: 'VTO_OPENED', nonce, ok }
+//   extension → site   { type: 'VTO_READY', version }   (sent once the content script loads)
+
+export const SITE_SOURCE = 'video-text-ocr-site';
+export const EXTENSION_SOURCE = 'video-text-ocr-extension';
+
+export const MESSAGES = {
+  ping: 'VTO_PING',
+  pong: 'VTO_PONG',
+  open: 'VTO_OPEN',
+  opened: 'VTO_OPENED',
+  ready: 'VTO_READY',
+};
+
+/**
+ * compareVersions - Compares dotted version strings numerically
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative when a < b, positive when a > b, 0 when equal
+ */
+export const compareVersions = (a, b) => {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+};
@@ -0,0 +1,20 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+import { compareVersions } from './protocol';
+
+describe('compareVersions', () => {
+  it('compares each part as a number', () => {
+    expect(compareVersions('1.10.0', '1.9.9')).toBeGreaterThan(0);
+    expect(compareVersions('0.9.2', '1.0.0')).toBeLessThan(0);
+    expect(compareVersions('2.0.0', '2.0.0')).toBe(0);
+  });
+
+  it('treats missing parts as zero', () => {
+    expect(compareVersions('1.0', '1.0.0')).toBe(0);
+    expect(compareVersions('1.0.1', '1')).toBeGreaterThan(0);
+  });
+
+  it('accepts numbers', () => {
+    expect(compareVersions(2, '1.9')).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,86 @@
+import { detectBrowser } from '../download/browser';
+import { RELEASE } from '../download/releases';
+import { MESSAGES, compareVersions } from './protocol';
+import { listenToExtension, sendToExtension } from './transport';
+
+// --- Extension Status ---
+// A small external store: the handshake runs once, on the first subscriber,
+// and late announcements from the content script update it afterwards.
+
+const listeners = new Set();
+const INITIAL_STATUS = { state: 'checking', version: null, via: null, updateAvailable: false };
+let status = INITIAL_STATUS;
+let started = false;
+
+const setStatus = (next) => {
+  status = next;
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Extension ID for runtime messaging in this browser; VITE_EXTENSION_ID wins
+ * over the release manifest so local unpacked builds can be tested
+ */
+const extensionId = () =>
+  import.meta.env.VITE_EXTENSION_ID || RELEASE.browsers[detectBrowser().id]?.extensionId || null;
+
+const markInstalled = (version, via) => {
+  setStatus({
+    state: 'installed',
+    version: version ?? null,
+    via,
+    updateAvailable: Boolean(version) && compareVersions(version, RELEASE.version) < 0,
+  });
+};
+
+const startHandshake = async () => {
+  listenToExtension(MESSAGES.ready, (message) => markInstalled(message.version, 'postMessage'));
+
+  const result = await sendToExtension({ type: MESSAGES.ping }, {
+    replyType: MESSAGES.pong,
+    extensionId: extensionId(),
+  });
+  if (result) {
+    markInstalled(result.reply.version, result.via);
+  } else if (status.state === 'checking') {
+    setStatus({ ...status, state: 'missing' });
+  }
+};
+
+/**
+ * getExtensionStatus - Current snapshot (stable between changes)
+ * @returns {{state: 'checking' | 'installed' | 'missing', version: string | null, via: string | null, updateAvailable: boolean}}
+ */
+export const getExtensionStatus = () => status;
+
+/**
+ * getServerExtensionStatus - What prerendered pages (and hydration) assume:
+ * still checking, since only the visitor's browser can tell
+ */
+export const getServerExtensionStatus = () => INITIAL_STATUS;
+
+/**
+ * subscribeToExtension - Registers a listener; the first one starts the handshake
+ * @param {() => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export const subscribeToExtension = (listener) => {
+  listeners.add(listener);
+  if (!started) {
+    started = true;
+    startHandshake();
+  }
+  return () => listeners.delete(listener);
+};
+
+/**
+ * openExtension - Asks the extension to open its capture UI
+ * @returns {Promise<boolean>} Whether the extension confirmed it opened
+ */
+export const openExtension = async () => {
+  const result = await sendToExtension({ type: MESSAGES.open }, {
+    replyType: MESSAGES.opened,
+    extensionId: status.via === 'runtime' ? extensionId() : null,
+  });
+  return Boolean(result?.reply.ok);
+};
@@ -0,0 +1,80 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { installMockExtension } from './mockExtension';
+import { EXTENSION_SOURCE, MESSAGES, SITE_SOURCE } from './protocol';
+
+// status.js runs its handshake once per page, so every test loads it afresh
+let status;
+const cleanups = [];
+
+beforeEach(async () => {
+  // jsdom's postMessage leaves out the source and origin both sides check
+  vi.spyOn(window, 'postMessage').mockImplementation((data) =>
+    setTimeout(() =>
+      window.dispatchEvent(new MessageEvent('message', { data, origin: window.location.origin, source: window }))
+    )
+  );
+  vi.resetModules();
+  status = await import('./status');
+});
+
+afterEach(() => {
+  cleanups.splice(0).forEach((cleanup) => cleanup());
+  vi.restoreAllMocks();
+});
+
+// Resolves with the first snapshot that has settled on an answer
+const settled = () =>
+  new Promise((resolve) => {
+    const unsubscribe = status.subscribeToExtension(() => {
+      const snapshot = status.getExtensionStatus();
+      if (snapshot.state === 'checking') return;
+      unsubscribe();
+      resolve(snapshot);
+    });
+    cleanups.push(unsubscribe);
+  });
+
+// Answers like the content script would, but from another origin
+const installImpostor = () => {
+  const handleMessage = (e) => {
+    if (e.data?.source !== SITE_SOURCE || e.data.type !== MESSAGES.ping) return;
+    window.dispatchEvent(
+      new MessageEvent('message', {
+        data: { source: EXTENSION_SOURCE, type: MESSAGES.pong, nonce: e.data.nonce, version: '1.0.0' },
+        origin: 'https://attacker.example',
+        source: window,
+      })
+    );
+  };
+  window.addEventListener('message', handleMessage);
+  return () => window.removeEventListener('message', handleMessage);
+};
+
+describe('extension handshake', () => {
+  it('reports the installed version', async () => {
+    cleanups.push(installMockExtension({ version: '1.0.0', readyDelay: 5000 }));
+    expect(await settled()).toEqual({ state: 'installed', version: '1.0.0', via: 'postMessage', updateAvailable: false });
+  });
+
+  it('offers an update when the installed version is behind the release', async () => {
+    cleanups.push(installMockExtension({ version: '0.9.2', readyDelay: 5000 }));
+    expect(await settled()).toMatchObject({ state: 'installed', version: '0.9.2', updateAvailable: true });
+  });
+
+  it('gives up when nothing answers before the timeout', async () => {
+    expect(await settled()).toMatchObject({ state: 'missing', version: null });
+  });
+
+  it('ignores replies from another origin', async () => {
+    cleanups.push(installImpostor());
+    expect(await settled()).toMatchObject({ state: 'missing' });
+  });
+
+  it('picks up a content script that announces itself late', async () => {
+    expect(await settled()).toMatchObject({ state: 'missing' });
+    const next = new Promise((resolve) => cleanups.push(status.subscribeToExtension(resolve)));
+    cleanups.push(installMockExtension({ version: '1.0.0' }));
+    await next;
+    expect(status.getExtensionStatus()).toMatchObject({ state: 'installed', version: '1.0.0' });
+  });
+});
@@ -0,0 +1,97 @@
+import { EXTENSION_SOURCE, SITE_SOURCE } from './protocol';
+
+const DEFAULT_TIMEOUT = 600;
+
+let nonceCounter = 0;
+const createNonce = () => `${Date.now().toString(36)}-${nonceCounter++}`;
+
+/**
+ * Sends over externally_connectable messaging; resolves null when the
+ * extension isn't there (lastError) or the API isn't available to this page
+ */
+const sendViaRuntime = (extensionId, message, timeout) =>
+  new Promise((resolve) => {
+    const runtime = globalThis.chrome?.runtime;
+    if (!extensionId || typeof runtime?.sendMessage !== 'function') {
+      resolve(null);
+      return;
+    }
+
+    const timer = setTimeout(() => resolve(null), timeout);
+    try {
+      runtime.sendMessage(extensionId, message, (response) => {
+        clearTimeout(timer);
+        // Reading lastError marks it handled so Chrome doesn't log it
+        resolve(runtime.lastError ? null : response ?? null);
+      });
+    } catch {
+      clearTimeout(timer);
+      resolve(null);
+    }
+  });
+
+/**
+ * Sends through the content script with window.postMessage and waits for
+ * the reply carrying the same nonce
+ */
+const sendViaPostMessage = (message, replyType, timeout) =>
+  new Promise((resolve) => {
+    const handleMessage = (e) => {
+      if (e.source !== window || e.origin !== window.location.origin) return;
+      const data = e.data;
+      if (data?.source !== EXTENSION_SOURCE || data.type !== replyType || data.nonce !== message.nonce) {
+        return;
+      }
+      cleanup();
+      resolve(data);
+    };
+    const cleanup = () => {
+      clearTimeout(timer);
+      window.removeEventListener('message', handleMessage);
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      resolve(null);
+    }, timeout);
+
+    window.addEventListener('message', handleMessage);
+    window.postMessage({ ...message, source: SITE_SOURCE }, window.location.origin);
+  });
+
+/**
+ * sendToExtension - Sends a protocol message and waits for its reply,
+ * preferring runtime messaging and falling back to postMessage
+ * @param {object} message - { type, ...payload }
+ * @param {object} options
+ * @param {string} options.replyType - Expected reply type
+ * @param {string | null} options.extensionId - ID for runtime messaging, if known
+ * @param {number} options.timeout - Milliseconds to wait per transport
+ * @returns {Promise<{reply: object, via: 'runtime' | 'postMessage'} | null>} null when nothing answered
+ */
+export const sendToExtension = async (message, { replyType, extensionId = null, timeout = DEFAULT_TIMEOUT }) => {
+  const request = { ...message, nonce: createNonce() };
+
+  const viaRuntime = await sendViaRuntime(extensionId, request, timeout);
+  if (viaRuntime?.type === replyType) return { reply: viaRuntime, via: 'runtime' };
+
+  const viaPostMessage = await sendViaPostMessage(request, replyType, timeout);
+  if (viaPostMessage) return { reply: viaPostMessage, via: 'postMessage' };
+
+  return null;
+};
+
+/**
+ * listenToExtension - Calls back for unsolicited messages from the content
+ * script, such as the announcement it makes when it loads after the page
+ * @param {string} type - Message type to listen for
+ * @param {(message: object) => void} callback
+ * @returns {() => void} Stop listening
+ */
+export const listenToExtension = (type, callback) => {
+  const handleMessage = (e) => {
+    if (e.source !== window || e.origin !== window.location.origin) return;
+    if (e.data?.source === EXTENSION_SOURCE && e.data.type === type) callback(e.data);
+  };
+  window.addEventListener('message', handleMessage);
+  return () => window.removeEventListener('message', handleMessage);
+};
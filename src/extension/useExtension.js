@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react';
+import { getExtensionStatus, getServerExtensionStatus, subscribeToExtension } from './status';
+
+/**
+ * useExtension - Whether the browser extension is installed, and its version
+ * @returns {{state: 'checking' | 'installed' | 'missing', version: string | null, via: string | null, updateAvailable: boolean}}
+ */
+export const useExtension = () => useSyncExternalStore(subscribeToExtension, getExtensionStatus, getServerExtensionStatus);
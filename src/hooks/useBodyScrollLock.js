@@ -0,0 +1,20 @@
+import { useEffect } from 'react';
+
+/**
+ * useBodyScrollLock - Stops the page behind an overlay from scrolling. The
+ * scrollbar's width is padded back in so the layout doesn't shift.
+ * @param {boolean} locked - Whether the page is locked
+ */
+export const useBodyScrollLock = (locked) => {
+  useEffect(() => {
+    if (!locked) return undefined;
+    const { style } = document.body;
+    const previous = { overflow: style.overflow, paddingInlineEnd: style.paddingInlineEnd };
+    const scrollbar = window.innerWidth - document.documentElement.clientWidth;
+
+    style.overflow = 'hidden';
+    if (scrollbar > 0) style.paddingInlineEnd = `${scrollbar}px`;
+
+    return () => Object.assign(style, previous);
+  }, [locked]);
+};
@@ -0,0 +1,26 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+/**
+ * useCopyToClipboard - Copies text and briefly reports how it went
+ * @param {number} resetAfter - Milliseconds before the state returns to 'idle'
+ * @returns {Array} [copyState, copy] - 'idle' | 'copied' | 'failed' and the copy function
+ */
+export const useCopyToClipboard = (resetAfter = 2000) => {
+  const [copyState, setCopyState] = useState('idle');
+  const timerRef = useRef(null);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  const copy = useCallback(async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopyState('copied');
+    } catch {
+      setCopyState('failed');
+    }
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => setCopyState('idle'), resetAfter);
+  }, [resetAfter]);
+
+  return [copyState, copy];
+};
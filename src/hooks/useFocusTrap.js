@@ -0,0 +1,61 @@
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * useFocusTrap - While active, keeps Tab and Shift+Tab inside the element the
+ * returned ref is attached to, closes on Escape, and hands focus back to
+ * whatever had it before once released
+ * @param {boolean} active - Whether the trap is engaged
+ * @param {() => void} onEscape - Called when Escape is pressed
+ * @returns {React.RefObject<HTMLElement>}
+ */
+export const useFocusTrap = (active, onEscape) => {
+  const ref = useRef(null);
+  const onEscapeRef = useRef(onEscape);
+
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  }, [onEscape]);
+
+  useEffect(() => {
+    if (!active) return undefined;
+    const container = ref.current;
+    const previous = document.activeElement;
+    const focusables = () => [...container.querySelectorAll(FOCUSABLE)];
+
+    focusables()[0]?.focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        onEscapeRef.current?.();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+      const items = focusables();
+      if (items.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = items[0];
+      const last = items[items.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || !container.contains(document.activeElement))) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      previous?.focus?.();
+    };
+  }, [active]);
+
+  return ref;
+};
@@ -0,0 +1,78 @@
+import { useEffect, useRef, useState } from 'react';
+
+const isEditable = (element) =>
+  element instanceof HTMLElement &&
+  (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
+
+const hasFiles = (e) => [...e.dataTransfer.types].includes('Files');
+
+// Areas that take files themselves (e.g. the contact form's attachment) opt out
+const isLocalIntake = (target) =>
+  target instanceof Element && target.closest('[data-file-intake="local"]') !== null;
+
+const wantsFiles = (e) => hasFiles(e) && !isLocalIntake(e.target);
+
+/**
+ * usePageFileIntake - Accepts files pasted anywhere on the page or dropped on
+ * the element the returned handlers are spread onto. Plain text pastes are
+ * left alone so normal copy/paste keeps working, and anything inside an
+ * element marked `data-file-intake="local"` is left to that element.
+ * @param {(file: File) => void} onFile - Called with the pasted or dropped file
+ * @returns {object} { isDragging, dropHandlers }
+ */
+export const usePageFileIntake = (onFile) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const dragDepthRef = useRef(0);
+  const onFileRef = useRef(onFile);
+
+  useEffect(() => {
+    onFileRef.current = onFile;
+  }, [onFile]);
+
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const item = [...(e.clipboardData?.items ?? [])].find((entry) => entry.kind === 'file');
+      if (!item || isLocalIntake(e.target)) return;
+      // Text fields get their paste when it carries text too
+      if (isEditable(e.target) && e.clipboardData.types.includes('text/plain')) return;
+
+      const file = item.getAsFile();
+      if (!file) return;
+      e.preventDefault();
+      onFileRef.current(file);
+    };
+
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, []);
+
+  // dragenter/dragleave fire for every child, so count depth to know when we really left
+  const dropHandlers = {
+    onDragEnter: (e) => {
+      if (!wantsFiles(e)) return;
+      e.preventDefault();
+      dragDepthRef.current += 1;
+      setIsDragging(true);
+    },
+    onDragOver: (e) => {
+      if (!wantsFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    },
+    onDragLeave: (e) => {
+      if (!wantsFiles(e)) return;
+      dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+      if (dragDepthRef.current === 0) setIsDragging(false);
+    },
+    onDrop: (e) => {
+      if (!wantsFiles(e)) return;
+      e.preventDefault();
+      dragDepthRef.current = 0;
+      setIsDragging(false);
+      const file = e.dataTransfer.files[0];
+      if (file) onFileRef.current(file);
+    },
+  };
+
+  return { isDragging, dropHandlers };
+};
@@ -0,0 +1,44 @@
+import { useEffect, useState } from 'react';
+import { observeIntersection } from '../motion/observerPool';
+
+// A band across the upper part of the viewport, just below the sticky header.
+// The section crossing it is the one being read.
+const READING_BAND = '-80px 0px -55% 0px';
+
+/**
+ * useScrollSpy - Tracks which of the given sections is being read
+ * @param {string[]} ids - Section ids in document order; empty to stop tracking
+ * @returns {string | null | undefined} Id of the active section, null above or
+ * between them, undefined until the first measurement (or while not tracking)
+ */
+export const useScrollSpy = (ids) => {
+  const [active, setActive] = useState(undefined);
+  const key = ids.join(' ');
+
+  useEffect(() => {
+    if (!key) return undefined;
+    const order = key.split(' ');
+    const inBand = new Set();
+
+    const stops = order.map((id) => {
+      const element = document.getElementById(id);
+      if (!element) return () => {};
+      return observeIntersection(
+        element,
+        (entry) => {
+          if (entry.isIntersecting) inBand.add(id);
+          else inBand.delete(id);
+          setActive(order.find((sectionId) => inBand.has(sectionId)) ?? null);
+        },
+        { rootMargin: READING_BAND }
+      );
+    });
+
+    return () => {
+      stops.forEach((stop) => stop());
+      setActive(undefined);
+    };
+  }, [key]);
+
+  return active;
+};
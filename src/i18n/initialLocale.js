@@ -0,0 +1,22 @@
+import { getLocation, navigate } from '../router/history';
+import { detectLocale, getPreferredLocale, localizePath, splitLocalePath } from './locales';
+
+/**
+ * applyInitialLocale - Sends visitors on an unprefixed URL to their locale.
+ * An explicit prefix in the URL always wins; otherwise the switcher choice,
+ * then the browser languages decide. Runs once before the first render so
+ * the wrong language never flashes.
+ * @returns {boolean} Whether the URL changed (prerendered markup no longer applies)
+ */
+export const applyInitialLocale = () => {
+  const { path, hash, search } = getLocation();
+  const { prefixed, path: appPath } = splitLocalePath(path);
+  if (prefixed) return false;
+
+  const locale = getPreferredLocale() ?? detectLocale(navigator.languages ?? [navigator.language]);
+  const target = localizePath(appPath, locale);
+  if (target === appPath) return false;
+
+  navigate(`${target}${search}${hash ? `#${hash}` : ''}`, { replace: true });
+  return true;
+};
@@ -0,0 +1,92 @@
+// --- Locales ---
+// Supported locales and how they appear in URLs. The default locale has no
+// prefix (/docs); every other locale is prefixed (/es/docs, /ar/docs).
+
+export const LOCALES = [
+  { code: 'en', name: 'English', dir: 'ltr' },
+  { code: 'es', name: 'Español', dir: 'ltr' },
+  { code: 'ar', name: 'العربية', dir: 'rtl' },
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+const PREFERENCE_KEY = 'locale';
+
+/**
+ * isLocale - Whether a code is one of the supported locales
+ * @param {string} code
+ */
+export const isLocale = (code) => LOCALES.some((locale) => locale.code === code);
+
+/**
+ * getLocaleDirection - Text direction for a locale
+ * @param {string} code
+ * @returns {'ltr' | 'rtl'}
+ */
+export const getLocaleDirection = (code) =>
+  LOCALES.find((locale) => locale.code === code)?.dir ?? 'ltr';
+
+/**
+ * splitLocalePath - Separates the locale prefix from an app path
+ * @param {string} path - e.g. "/es/docs"
+ * @returns {{locale: string, path: string, prefixed: boolean}} e.g. { locale: 'es', path: '/docs', prefixed: true }
+ */
+export const splitLocalePath = (path) => {
+  const [, first, ...rest] = path.split('/');
+  if (first !== DEFAULT_LOCALE && isLocale(first)) {
+    return { locale: first, path: `/${rest.join('/')}`, prefixed: true };
+  }
+  return { locale: DEFAULT_LOCALE, path, prefixed: false };
+};
+
+/**
+ * localizePath - Adds the locale prefix to an app path
+ * @param {string} path - Locale-less path, may carry a #hash, e.g. "/#features"
+ * @param {string} locale
+ * @returns {string} e.g. "/es#features"
+ */
+export const localizePath = (path, locale) => {
+  if (locale === DEFAULT_LOCALE) return path;
+  const hashIndex = path.indexOf('#');
+  const pathname = hashIndex === -1 ? path : path.slice(0, hashIndex);
+  const hash = hashIndex === -1 ? '' : path.slice(hashIndex);
+  return `/${locale}${pathname === '/' ? '' : pathname}${hash}`;
+};
+
+/**
+ * detectLocale - First supported locale in the browser's language list
+ * @param {readonly string[]} languages - e.g. navigator.languages
+ * @returns {string}
+ */
+export const detectLocale = (languages) => {
+  for (const language of languages) {
+    const code = language.toLowerCase().split('-')[0];
+    if (isLocale(code)) return code;
+  }
+  return DEFAULT_LOCALE;
+};
+
+/**
+ * getPreferredLocale - Locale the visitor picked in the switcher, if any
+ * @returns {string | null}
+ */
+export const getPreferredLocale = () => {
+  try {
+    const stored = localStorage.getItem(PREFERENCE_KEY);
+    return isLocale(stored) ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * savePreferredLocale - Remembers the switcher choice so detection stops overriding it
+ * @param {string} locale
+ */
+export const savePreferredLocale = (locale) => {
+  try {
+    localStorage.setItem(PREFERENCE_KEY, locale);
+  } catch {
+    // Without storage the choice still holds through the URL
+  }
+};
@@ -0,0 +1,62 @@
+import { Fragment, createElement } from 'react';
+import ar from './messages/ar.json';
+import en from './messages/en.json';
+import es from './messages/es.json';
+import { DEFAULT_LOCALE } from './locales';
+
+// Catalogs are nested JSON; keys are dotted paths into them ("hero.title").
+// plugins/i18n-check.js fails the build when a locale misses a key from en.
+// A message that depends on a number is an object of plural forms, "one"
+// and "other", picked by the {count} param.
+const CATALOGS = { en, es, ar };
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+/**
+ * format - Fills in a message's {placeholders}
+ * @param {string} message - Text with {name} placeholders
+ * @param {Object<string, React.ReactNode>} params - Placeholder values
+ * @returns {React.ReactNode} A string, or a fragment when a param is an element
+ */
+export const format = (message, params = {}) => {
+  const parts = message.split(/\{(\w+)\}/);
+  if (parts.length === 1) return message;
+
+  // Odd indexes are placeholder names
+  const filled = parts.map((part, index) => (index % 2 === 1 ? params[part] ?? `{${part}}` : part));
+  return filled.every((part) => typeof part === 'string' || typeof part === 'number')
+    ? filled.join('')
+    : createElement(Fragment, null, ...filled);
+};
+
+/**
+ * @typedef {object} Message - Text for code that doesn't know the locale,
+ *   such as validation shared with the mock servers, to hand to t() later
+ * @property {string} key - Dotted key
+ * @property {Object<string, React.ReactNode>} [params] - Placeholder values
+ */
+
+const pluralForm = (message, locale, count) => {
+  if (message === null || typeof message !== 'object' || typeof count !== 'number') return message;
+  return new Intl.PluralRules(locale).select(count) === 'one' ? message.one : message.other;
+};
+
+/**
+ * translate - Looks up a message and fills in its {placeholders}
+ * @param {string} locale
+ * @param {string} key - Dotted key, e.g. "footer.copyright"
+ * @param {Object<string, React.ReactNode>} params - Placeholder values; a
+ *   numeric count picks the plural form and is formatted for the locale
+ * @returns {React.ReactNode} A string, or a fragment when a param is an element
+ */
+export const translate = (locale, key, params = {}) => {
+  const { count } = params;
+  let message = pluralForm(lookup(CATALOGS[locale], key), locale, count);
+  if (typeof message !== 'string') {
+    if (import.meta.env.DEV) console.warn(`Missing translation "${key}" for ${locale}`);
+    message = pluralForm(lookup(CATALOGS[DEFAULT_LOCALE], key), DEFAULT_LOCALE, count);
+  }
+  if (typeof message !== 'string') return key;
+  return format(message, typeof count === 'number' ? { ...params, count: count.toLocaleString(locale) } : params);
+};
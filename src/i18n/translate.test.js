@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest';
+import { translate } from './translate';
+
+describe('translate', () => {
+  it('fills in placeholders', () => {
+    expect(translate('en', 'demo.transcript.jumpTo', { time: '1:05' })).toBe('Jump to 1:05');
+  });
+
+  it('picks the plural form from the count and formats it for the locale', () => {
+    expect(translate('en', 'demo.status.segments', { count: 1 })).toBe('1 segment');
+    expect(translate('en', 'demo.status.segments', { count: 1200 })).toBe('1,200 segments');
+    expect(translate('es', 'demo.status.segments', { count: 3 })).toBe('3 segmentos');
+    expect(translate('ar', 'demo.status.segments', { count: 3 })).toBe('عدد المقاطع: 3');
+  });
+
+  it('falls back to the key for unknown messages', () => {
+    expect(translate('en', 'demo.missing')).toBe('demo.missing');
+  });
+});
@@ -0,0 +1,18 @@
+import { useCallback } from 'react';
+import { useLocation } from '../router/useLocation';
+import { getLocaleDirection, localizePath, splitLocalePath } from './locales';
+import { translate } from './translate';
+
+/**
+ * useTranslation - Translation helpers for the locale in the current URL
+ * @returns {{locale: string, dir: 'ltr' | 'rtl', t: Function, localize: (path: string) => string}}
+ */
+export const useTranslation = () => {
+  const { path } = useLocation();
+  const { locale } = splitLocalePath(path);
+
+  const t = useCallback((key, params) => translate(locale, key, params), [locale]);
+  const localize = useCallback((to) => localizePath(to, locale), [locale]);
+
+  return { locale, dir: getLocaleDirection(locale), t, localize };
+};
@@ -1,10 +1,35 @@
 import { StrictMode } from 'react'
-import { createRoot } from 'react-dom/client'
+import { createRoot, hydrateRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { installMockExtensionFromUrl } from './extension/mockExtension'
+import { applyInitialLocale } from './i18n/initialLocale'
+import { receiveLaunchedFiles } from './pwa/launch'
+import { registerServiceWorker } from './pwa/serviceWorker'
+import { getLocation } from './router/history'
 
-createRoot(document.getElementById('root')).render(
+// Dropped from production builds; see mockExtension.js for the URL switch
+if (import.meta.env.DEV) installMockExtensionFromUrl()
+
+const redirected = applyInitialLocale()
+
+const container = document.getElementById('root')
+const app = (
   <StrictMode>
     <App />
-  </StrictMode>,
+  </StrictMode>
 )
+
+// plugins/prerender.js records which path each HTML file was rendered for.
+// 404.html is served for any unknown URL and a locale redirect changes the
+// page, so markup for another path is replaced rather than hydrated.
+const path = getLocation().path.replace(/(.)\/+$/, '$1')
+if (!redirected && container.dataset.prerendered === path) {
+  hydrateRoot(container, app)
+} else {
+  createRoot(container).render(app)
+}
+
+// Builds only: a service worker would serve stale modules to the dev server
+if (import.meta.env.PROD) registerServiceWorker()
+receiveLaunchedFiles()
@@ -0,0 +1,58 @@
+// --- Observer Pool ---
+// One IntersectionObserver per distinct set of options, shared by every
+// element that uses those options, instead of one observer per element.
+
+const pool = new Map();
+
+/**
+ * observeIntersection - Calls back whenever an element's intersection changes
+ * @param {Element} element
+ * @param {(entry: IntersectionObserverEntry) => void} callback
+ * @param {object} options
+ * @param {number | number[]} options.threshold - As for IntersectionObserver
+ * @param {string} options.rootMargin - As for IntersectionObserver
+ * @returns {() => void} Stops observing the element
+ */
+export const observeIntersection = (element, callback, { threshold = 0, rootMargin = '0px' } = {}) => {
+  const key = JSON.stringify([threshold, rootMargin]);
+  let shared = pool.get(key);
+  if (!shared) {
+    // Per element: every callback observing it, and the latest entry
+    const targets = new Map();
+    const observer = new IntersectionObserver(
+      (entries) =>
+        entries.forEach((entry) => {
+          const target = targets.get(entry.target);
+          if (!target) return;
+          target.entry = entry;
+          target.callbacks.forEach((notify) => notify(entry));
+        }),
+      { threshold, rootMargin }
+    );
+    shared = { observer, targets };
+    pool.set(key, shared);
+  }
+
+  let target = shared.targets.get(element);
+  if (target) {
+    // Already observed, so the observer won't report it again; catch this
+    // callback up with the latest entry instead
+    target.callbacks.add(callback);
+    if (target.entry) callback(target.entry);
+  } else {
+    target = { callbacks: new Set([callback]), entry: null };
+    shared.targets.set(element, target);
+    shared.observer.observe(element);
+  }
+
+  return () => {
+    if (!target.callbacks.delete(callback)) return;
+    if (target.callbacks.size > 0) return;
+    shared.targets.delete(element);
+    shared.observer.unobserve(element);
+    if (shared.targets.size === 0) {
+      shared.observer.disconnect();
+      pool.delete(key);
+    }
+  };
+};
@@ -0,0 +1,112 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { observeIntersection } from './observerPool';
+
+// jsdom has no IntersectionObserver; this one reports whatever report() is given
+let observers;
+
+class FakeIntersectionObserver {
+  constructor(callback, options) {
+    this.callback = callback;
+    this.options = options;
+    this.targets = new Set();
+    this.disconnected = false;
+    observers.push(this);
+  }
+
+  observe(element) {
+    this.targets.add(element);
+  }
+
+  unobserve(element) {
+    this.targets.delete(element);
+  }
+
+  disconnect() {
+    this.targets.clear();
+    this.disconnected = true;
+  }
+
+  report(element, isIntersecting) {
+    const entry = { target: element, isIntersecting };
+    this.callback([entry], this);
+    return entry;
+  }
+}
+
+describe('observeIntersection', () => {
+  const element = document.createElement('div');
+  const other = document.createElement('div');
+
+  beforeEach(() => {
+    observers = [];
+    vi.stubGlobal('IntersectionObserver', FakeIntersectionObserver);
+  });
+
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('shares one observer between elements with the same options', () => {
+    const stops = [
+      observeIntersection(element, () => {}, { threshold: 0.5 }),
+      observeIntersection(other, () => {}, { threshold: 0.5 }),
+      observeIntersection(other, () => {}, { threshold: 0.2 }),
+    ];
+    expect(observers).toHaveLength(2);
+    expect([...observers[0].targets]).toEqual([element, other]);
+    expect(observers[1].options).toEqual({ threshold: 0.2, rootMargin: '0px' });
+    stops.forEach((stop) => stop());
+  });
+
+  it('calls back only for the element that changed', () => {
+    const first = vi.fn();
+    const second = vi.fn();
+    const stops = [observeIntersection(element, first), observeIntersection(other, second)];
+    const entry = observers[0].report(other, true);
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledWith(entry);
+    stops.forEach((stop) => stop());
+  });
+
+  it('keeps every callback observing the same element', () => {
+    const first = vi.fn();
+    const second = vi.fn();
+    const stopFirst = observeIntersection(element, first);
+    const stopSecond = observeIntersection(element, second);
+    const entry = observers[0].report(element, true);
+    expect(first).toHaveBeenCalledWith(entry);
+    expect(second).toHaveBeenCalledWith(entry);
+
+    stopFirst();
+    expect(observers[0].targets.has(element)).toBe(true);
+    observers[0].report(element, false);
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(second).toHaveBeenCalledTimes(2);
+    stopSecond();
+  });
+
+  it('catches a late callback up with the latest entry', () => {
+    const stopFirst = observeIntersection(element, () => {});
+    const entry = observers[0].report(element, true);
+    const late = vi.fn();
+    const stopLate = observeIntersection(element, late);
+    expect(late).toHaveBeenCalledWith(entry);
+    stopFirst();
+    stopLate();
+  });
+
+  it('unobserves an element after its last callback and disconnects when nothing is left', () => {
+    const stopFirst = observeIntersection(element, () => {});
+    const stopSecond = observeIntersection(other, () => {});
+    const [observer] = observers;
+
+    stopFirst();
+    stopFirst();
+    expect([...observer.targets]).toEqual([other]);
+    expect(observer.disconnected).toBe(false);
+
+    stopSecond();
+    expect(observer.disconnected).toBe(true);
+    // The next observation starts a fresh observer
+    observeIntersection(element, () => {})();
+    expect(observers).toHaveLength(2);
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * prefersReducedMotion - Whether the visitor asked the OS to minimize motion.
+ * Stylesheets gate the animations themselves on the same media query; this
+ * lets scripts skip the work that would drive them.
+ * @returns {boolean}
+ */
+export const prefersReducedMotion = () =>
+  window.matchMedia('(prefers-reduced-motion: reduce)').matches;
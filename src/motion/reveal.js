@@ -0,0 +1,43 @@
+import { observeIntersection } from './observerPool';
+import { prefersReducedMotion } from './reducedMotion';
+
+// --- Scroll Reveal ---
+// Elements carry data-reveal="<preset>" from React; this marks them
+// data-revealed as they scroll into view and index.css animates the change.
+// Working on the DOM directly keeps reveals from re-rendering anything, and
+// prerendered markup is identical to the first client render.
+
+/**
+ * observeReveal - Reveals an element (or, with data-reveal-stagger, its
+ * children one after another) when it scrolls into view
+ * @param {HTMLElement} element - Element with a data-reveal attribute
+ * @param {object} options
+ * @param {boolean} options.replay - Hide again when it leaves the viewport, so it replays
+ * @param {number} options.threshold - Visible share that triggers the reveal
+ * @param {string} options.rootMargin - Grows or shrinks the trigger area
+ * @returns {() => void} Stops observing
+ */
+export const observeReveal = (element, { replay = false, threshold = 0.1, rootMargin = '0px' } = {}) => {
+  if (element.hasAttribute('data-reveal-stagger')) {
+    [...element.children].forEach((child, index) => child.style.setProperty('--reveal-index', index));
+  }
+
+  if (prefersReducedMotion()) {
+    element.setAttribute('data-revealed', '');
+    return () => {};
+  }
+
+  const stop = observeIntersection(
+    element,
+    (entry) => {
+      if (entry.isIntersecting) {
+        element.setAttribute('data-revealed', '');
+        if (!replay) stop();
+      } else if (replay) {
+        element.removeAttribute('data-revealed');
+      }
+    },
+    { threshold, rootMargin }
+  );
+  return stop;
+};
@@ -0,0 +1,51 @@
+import { observeIntersection } from './observerPool';
+import { prefersReducedMotion } from './reducedMotion';
+
+/**
+ * observeScrollProgress - Writes how far an element has travelled up the
+ * viewport to its --scroll-progress custom property, from 0 to 1, for
+ * stylesheets to animate with. Scroll events are only handled while the
+ * element is on screen, at most once per frame.
+ * @param {HTMLElement} element
+ * @param {object} options
+ * @param {number} options.start - Where the element's top is at progress 0, as a share of the viewport height from the top (1 = bottom edge)
+ * @param {number} options.end - Where its top is at progress 1
+ * @returns {() => void} Stops tracking
+ */
+export const observeScrollProgress = (element, { start = 1, end = 0.5 } = {}) => {
+  if (prefersReducedMotion()) return () => {};
+
+  let frame = null;
+  let listening = false;
+
+  const update = () => {
+    frame = null;
+    const viewport = window.innerHeight;
+    const progress = (start * viewport - element.getBoundingClientRect().top) / ((start - end) * viewport);
+    element.style.setProperty('--scroll-progress', Math.min(1, Math.max(0, progress)).toFixed(3));
+  };
+
+  const schedule = () => {
+    if (frame === null) frame = requestAnimationFrame(update);
+  };
+
+  const listen = (active) => {
+    if (active === listening) return;
+    listening = active;
+    const method = active ? 'addEventListener' : 'removeEventListener';
+    window[method]('scroll', schedule, { passive: true });
+    window[method]('resize', schedule);
+  };
+
+  const stopObserving = observeIntersection(element, (entry) => {
+    listen(entry.isIntersecting);
+    // One more update on the way out settles it at 0 or 1 after a fast scroll
+    schedule();
+  });
+
+  return () => {
+    stopObserving();
+    listen(false);
+    if (frame !== null) cancelAnimationFrame(frame);
+  };
+};
@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { observeScrollProgress } from './scrollProgress';
+
+// jsdom has neither layout, media queries nor an IntersectionObserver
+let observer;
+let reducedMotion;
+
+class FakeIntersectionObserver {
+  constructor(callback) {
+    this.callback = callback;
+    observer = this;
+  }
+
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+
+  report(target, isIntersecting) {
+    this.callback([{ target, isIntersecting }], this);
+  }
+}
+
+describe('observeScrollProgress', () => {
+  let element;
+  let top;
+
+  const scrollTo = (position) => {
+    top = position;
+    window.dispatchEvent(new Event('scroll'));
+    vi.advanceTimersToNextFrame();
+  };
+
+  const progress = () => element.style.getPropertyValue('--scroll-progress');
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    observer = null;
+    reducedMotion = false;
+    vi.stubGlobal('IntersectionObserver', FakeIntersectionObserver);
+    vi.stubGlobal('matchMedia', () => ({ matches: reducedMotion }));
+    vi.stubGlobal('innerHeight', 1000);
+    element = document.createElement('div');
+    top = 1000;
+    element.getBoundingClientRect = () => ({ top });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('maps the element\'s top from start to end onto 0 to 1, clamped', () => {
+    const stop = observeScrollProgress(element, { start: 1, end: 0.5 });
+    observer.report(element, true);
+    vi.advanceTimersToNextFrame();
+    expect(progress()).toBe('0.000');
+
+    scrollTo(750);
+    expect(progress()).toBe('0.500');
+    scrollTo(200);
+    expect(progress()).toBe('1.000');
+    scrollTo(1400);
+    expect(progress()).toBe('0.000');
+    stop();
+  });
+
+  it('updates at most once per frame', () => {
+    const stop = observeScrollProgress(element);
+    observer.report(element, true);
+    vi.advanceTimersToNextFrame();
+    const measure = vi.spyOn(element, 'getBoundingClientRect');
+
+    top = 900;
+    for (let scroll = 0; scroll < 10; scroll++) window.dispatchEvent(new Event('scroll'));
+    vi.advanceTimersToNextFrame();
+    expect(measure).toHaveBeenCalledTimes(1);
+    expect(progress()).toBe('0.200');
+    stop();
+  });
+
+  it('only follows scrolling while the element is on screen', () => {
+    const stop = observeScrollProgress(element);
+    scrollTo(750);
+    expect(progress()).toBe('');
+
+    observer.report(element, true);
+    scrollTo(600);
+    expect(progress()).toBe('0.800');
+
+    // Settles once on the way out, then stops listening
+    top = 100;
+    observer.report(element, false);
+    vi.advanceTimersToNextFrame();
+    expect(progress()).toBe('1.000');
+    scrollTo(900);
+    expect(progress()).toBe('1.000');
+    stop();
+  });
+
+  it('stops listening and drops a pending frame when stopped', () => {
+    const stop = observeScrollProgress(element);
+    observer.report(element, true);
+    stop();
+    vi.advanceTimersToNextFrame();
+    expect(progress()).toBe('');
+    scrollTo(750);
+    expect(progress()).toBe('');
+  });
+
+  it('does nothing when the visitor prefers reduced motion', () => {
+    reducedMotion = true;
+    const stop = observeScrollProgress(element);
+    expect(observer).toBeNull();
+    scrollTo(750);
+    expect(progress()).toBe('');
+    stop();
+  });
+});
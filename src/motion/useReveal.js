@@ -0,0 +1,23 @@
+import { useEffect, useRef } from 'react';
+import { observeReveal } from './reveal';
+
+/**
+ * useReveal - Reveals the element the returned ref is attached to as it
+ * scrolls into view (see observeReveal). Options are plain values, so a new
+ * options object each render doesn't restart the observer.
+ * @param {object} options
+ * @param {boolean} options.replay - Replay every time it scrolls back into view
+ * @param {number} options.threshold - Visible share that triggers the reveal
+ * @param {string} options.rootMargin - Grows or shrinks the trigger area
+ * @returns {React.RefObject<HTMLElement>}
+ */
+export const useReveal = ({ replay = false, threshold = 0.1, rootMargin = '0px' } = {}) => {
+  const ref = useRef(null);
+
+  useEffect(
+    () => observeReveal(ref.current, { replay, threshold, rootMargin }),
+    [replay, threshold, rootMargin]
+  );
+
+  return ref;
+};
@@ -0,0 +1,18 @@
+import { useEffect, useRef } from 'react';
+import { observeScrollProgress } from './scrollProgress';
+
+/**
+ * useScrollProgress - Keeps --scroll-progress (0 to 1) up to date on the
+ * element the returned ref is attached to (see observeScrollProgress)
+ * @param {object} options
+ * @param {number} options.start - Viewport position of the element's top at progress 0 (1 = bottom edge)
+ * @param {number} options.end - Viewport position at progress 1
+ * @returns {React.RefObject<HTMLElement>}
+ */
+export const useScrollProgress = ({ start = 1, end = 0.5 } = {}) => {
+  const ref = useRef(null);
+
+  useEffect(() => observeScrollProgress(ref.current, { start, end }), [start, end]);
+
+  return ref;
+};
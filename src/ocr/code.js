@@ -0,0 +1,256 @@
+// --- Code-Aware Post-Processing ---
+// Turns raw OCR output of a code frame back into usable source: detects code,
+// guesses the language, rebuilds indentation from glyph positions and proposes
+// fixes for characters OCR commonly confuses. Prose is left untouched.
+
+/**
+ * Keyword and pattern signals per language, used both to guess the language
+ * of a capture and to decide whether it is code at all
+ */
+export const LANGUAGES = {
+  javascript: {
+    label: 'JavaScript',
+    patterns: [/\b(const|let|var|function|return|async|await|typeof)\b/, /=>/, /===|!==/, /\bconsole\.\w+/, /\bimport\b.*\bfrom\b/, /\bexport\s+(default|const|function)\b/, /\b(undefined|null)\b/],
+  },
+  typescript: {
+    label: 'TypeScript',
+    patterns: [/\binterface\s+\w+/, /:\s*(string|number|boolean|void)\b/, /\btype\s+\w+\s*=/, /\bimplements\b/, /<\w+>\(/],
+  },
+  python: {
+    label: 'Python',
+    patterns: [/^\s*def\s+\w+\(.*\)\s*:/, /^\s*(elif|except|finally)\b/, /\bself\b/, /\b(None|True|False)\b/, /^\s*from\s+\S+\s+import\b/, /\bprint\(/, /:\s*$/, /\blambda\b/],
+  },
+  java: {
+    label: 'Java',
+    patterns: [/\b(public|private|protected)\s+(static\s+)?\w+/, /\bSystem\.out\./, /@Override\b/, /\bString\[\]/, /\bnew\s+[A-Z]\w*\(/, /\bclass\s+[A-Z]\w*/],
+  },
+  cpp: {
+    label: 'C/C++',
+    patterns: [/^\s*#include\b/, /\bstd::/, /\bcout\s*<</, /\bint\s+main\s*\(/, /\bprintf\(/, /->/, /\bnullptr\b/],
+  },
+  html: {
+    label: 'HTML',
+    patterns: [/<\/?[a-z][\w-]*(\s[^>]*)?>/, /\bclass="/, /<!DOCTYPE/i],
+  },
+  css: {
+    label: 'CSS',
+    patterns: [/^\s*[.#]?[\w-]+(\s*[.#:][\w-]+)*\s*\{\s*$/, /^\s*[\w-]+\s*:\s*[^;]+;\s*$/, /\b\d+(px|rem|em|vh|vw)\b/, /@media\b/],
+  },
+  sql: {
+    label: 'SQL',
+    patterns: [/\bSELECT\b/i, /\bFROM\b/, /\bWHERE\b/, /\bINSERT\s+INTO\b/i, /\bJOIN\b/, /\bGROUP\s+BY\b/i],
+  },
+  bash: {
+    label: 'Shell',
+    patterns: [/^\s*\$\s+\w+/, /^\s*(sudo|npm|npx|git|cd|ls|echo|pip|apt|brew)\s/, /\s--?[a-z][\w-]*/, /\|\s*(grep|xargs|sort)\b/],
+  },
+  json: {
+    label: 'JSON',
+    patterns: [/^\s*"[^"]+"\s*:/, /^\s*[[{]\s*$/, /^\s*[\]}],?\s*$/],
+  },
+};
+
+// Characters that almost never show up in prose at this density
+const SYMBOLS = /[{}()[\];=<>"'`_|&$#]/g;
+const CODE_LINE = /[{}();=]|=>|::|^\s*(#|\/\/|\$\s)|[;:{]\s*$/;
+
+const scoreLanguages = (lines) =>
+  Object.entries(LANGUAGES)
+    .map(([id, { patterns }]) => ({
+      id,
+      score: patterns.reduce(
+        (total, pattern) => total + lines.filter((line) => pattern.test(line)).length,
+        0
+      ),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+/**
+ * looksLikeCode - Heuristic check for whether captured text is source code
+ * @param {string[]} lines
+ * @returns {boolean}
+ */
+export const looksLikeCode = (lines) => {
+  const content = lines.filter((line) => line.trim());
+  if (content.length === 0) return false;
+
+  const joined = content.join('\n');
+  const symbolDensity = (joined.match(SYMBOLS)?.length ?? 0) / joined.length;
+  const codeLineRatio = content.filter((line) => CODE_LINE.test(line)).length / content.length;
+  const [best] = scoreLanguages(content);
+
+  return (codeLineRatio >= 0.4 && symbolDensity >= 0.03) || best.score >= Math.max(3, content.length);
+};
+
+/**
+ * guessLanguage - Picks the best-matching entry of LANGUAGES
+ * @param {string[]} lines
+ * @returns {string | null} Language id, or null when nothing matched
+ */
+export const guessLanguage = (lines) => {
+  const [best] = scoreLanguages(lines);
+  return best.score > 0 ? best.id : null;
+};
+
+// --- Indentation ---
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Flattens Tesseract's block tree into lines with their left edge and an
+ * estimate of the monospace character width
+ */
+const layoutLines = (page) =>
+  (page.blocks ?? []).flatMap((block) =>
+    block.paragraphs.flatMap((paragraph) =>
+      paragraph.lines.map((line) => ({
+        text: line.text.trim(),
+        x0: line.bbox.x0,
+        charWidths: line.words
+          .filter((word) => word.text.length > 0)
+          .map((word) => (word.bbox.x1 - word.bbox.x0) / word.text.length),
+      }))
+    )
+  ).filter((line) => line.text);
+
+/**
+ * restoreIndentation - Rebuilds leading whitespace from each line's x position
+ * Indents are snapped to a 2- or 4-space unit detected from the capture.
+ * @param {Array<{text: string, x0: number, charWidths: number[]}>} lines
+ * @returns {string[]} Lines with leading spaces restored
+ */
+export const restoreIndentation = (lines) => {
+  if (lines.length === 0) return [];
+
+  const charWidth = median(lines.flatMap((line) => line.charWidths)) || 1;
+  const left = Math.min(...lines.map((line) => line.x0));
+  const columns = lines.map((line) => Math.round((line.x0 - left) / charWidth));
+
+  const smallest = Math.min(...columns.filter((column) => column > 0));
+  const unit = Number.isFinite(smallest) && smallest >= 3 ? 4 : 2;
+
+  return lines.map((line, index) => {
+    const depth = Math.round(columns[index] / unit);
+    return `${' '.repeat(depth * unit)}${line.text}`;
+  });
+};
+
+// --- Character Confusions ---
+
+// Number-like tokens: digits mixed with letters that OCR confuses for digits
+const NUMERIC_TOKEN = /(?<![\w$.])(?:0x[\da-fA-F]+|[\dOlI]*\d[\dOlI.]*)(?![\w$])/g;
+const DIGIT_LOOKALIKES = { O: '0', l: '1', I: '1' };
+
+const findInNumbers = (line) =>
+  [...line.matchAll(NUMERIC_TOKEN)].flatMap((match) =>
+    match[0].startsWith('0x')
+      ? []
+      : [...match[0]].flatMap((char, offset) =>
+        DIGIT_LOOKALIKES[char]
+          ? [{ start: match.index + offset, before: char, after: DIGIT_LOOKALIKES[char] }]
+          : []
+      )
+  );
+
+/**
+ * Substitutions that are only safe once we know the text is code.
+ * Regex rules replace their first capture group; `skip` lists languages
+ * where the rule would break valid syntax. Reasons are ids under
+ * demo.code.reasons in the message catalogs.
+ */
+const CONFUSIONS = [
+  { find: findInNumbers, reason: 'letterInNumber' },
+  { pattern: /(?<=[a-z])(\|)(?=[a-z])/g, to: 'l', reason: 'pipeInIdentifier', skip: ['bash'] },
+  { pattern: /(?<=[\s(.[{,=!]|^)(\|)(?=[a-z]{2,})/g, to: 'l', reason: 'pipeAtStart', skip: ['bash'] },
+  { pattern: /(?<=[a-z]{2})(\|)(?=[\s;,.)=]|$)/g, to: 'l', reason: 'pipeAtEnd', skip: ['bash'] },
+  { pattern: /(?<=[a-z])(1)(?=[a-z])/g, to: 'l', reason: 'digitOneInWord' },
+  { pattern: /(?<=[a-z])(0)(?=[a-z])/g, to: 'o', reason: 'digitZeroInWord' },
+  { pattern: /(?<=\s)(ll|II)(?=\s)/g, to: '||', reason: 'logicalOr', skip: ['python', 'sql'] },
+  { pattern: /([“”])/g, to: '"', reason: 'curlyQuote' },
+  { pattern: /([‘’])/g, to: "'", reason: 'curlyApostrophe' },
+  { pattern: /(—)/g, to: '--', reason: 'emDash' },
+  { pattern: /(–)/g, to: '-', reason: 'enDash' },
+];
+
+const findWithPattern = (line, pattern, to) =>
+  [...line.matchAll(pattern)].map((match) => {
+    const before = match[1];
+    return { start: match.index + match[0].indexOf(before), before, after: to };
+  });
+
+// Comments and strings are prose-like, so leave them alone
+const PROTECTED = /(\/\/.*$|#(?!include).*$|"[^"]*"|'[^']*'|`[^`]*`)/g;
+
+const protectedRanges = (line) =>
+  [...line.matchAll(PROTECTED)].map((match) => [match.index, match.index + match[0].length]);
+
+/**
+ * findCorrections - Lists suggested character fixes for code lines
+ * @param {string[]} lines
+ * @param {string | null} language - Guessed language id
+ * @returns {Array<{id: string, line: number, start: number, end: number, before: string, after: string, reason: string}>}
+ */
+export const findCorrections = (lines, language = null) =>
+  lines.flatMap((line, lineIndex) => {
+    const skip = protectedRanges(line);
+    const taken = new Set();
+
+    return CONFUSIONS
+      .filter((rule) => !rule.skip?.includes(language))
+      .flatMap(({ find, pattern, to, reason }) =>
+        (find ? find(line) : findWithPattern(line, pattern, to)).flatMap(({ start, before, after }) => {
+          const isProtected = skip.some(([from, until]) => start >= from && start < until);
+          if (isProtected || taken.has(start)) return [];
+
+          taken.add(start);
+          return [{
+            id: `${lineIndex}:${start}`,
+            line: lineIndex,
+            start,
+            end: start + before.length,
+            before,
+            after,
+            reason,
+          }];
+        })
+      );
+  });
+
+/**
+ * applyCorrections - Applies the accepted corrections to their lines
+ * @param {string[]} lines
+ * @param {Array} corrections - Output of findCorrections
+ * @returns {string[]}
+ */
+export const applyCorrections = (lines, corrections) =>
+  lines.map((line, lineIndex) =>
+    corrections
+      .filter((correction) => correction.line === lineIndex)
+      .sort((a, b) => b.start - a.start)
+      .reduce((result, { start, end, after }) => result.slice(0, start) + after + result.slice(end), line)
+  );
+
+/**
+ * analyzeCapture - Runs the whole code pipeline on a recognition result
+ * @param {import('tesseract.js').Page} page
+ * @returns {{language: string | null, rawLines: string[], indentedLines: string[], corrections: Array} | null}
+ *   null when the capture reads as prose
+ */
+export const analyzeCapture = (page) => {
+  const rawLines = page.text.replace(/\n+$/, '').split('\n');
+  if (!looksLikeCode(rawLines)) return null;
+
+  const layout = layoutLines(page);
+  const indentedLines = layout.length ? restoreIndentation(layout) : rawLines;
+
+  const language = guessLanguage(indentedLines);
+  return {
+    language,
+    rawLines,
+    indentedLines,
+    corrections: findCorrections(indentedLines, language),
+  };
+};
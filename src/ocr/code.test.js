@@ -0,0 +1,145 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+import { analyzeCapture, applyCorrections, findCorrections, guessLanguage, looksLikeCode, restoreIndentation } from './code';
+
+const fixes = (lines, language) =>
+  findCorrections(lines, language).map(({ line, start, before, after, reason }) => [line, start, before, after, reason]);
+
+describe('looksLikeCode', () => {
+  it('tells code from prose', () => {
+    expect(looksLikeCode(['const total = items.reduce((sum, item) => sum + item.price, 0);', 'return total;'])).toBe(true);
+    expect(looksLikeCode(['def area(radius):', '    return 3.14 * radius ** 2'])).toBe(true);
+    expect(looksLikeCode(['In this lesson we look at closures,', 'and why they matter for callbacks.'])).toBe(false);
+  });
+
+  it('ignores blank lines and needs some content', () => {
+    expect(looksLikeCode(['', '   '])).toBe(false);
+    expect(looksLikeCode(['', 'if (ready) {', '', '  start();', '}'])).toBe(true);
+  });
+});
+
+describe('guessLanguage', () => {
+  it('picks the language with the most matching signals', () => {
+    expect(guessLanguage(['import { useState } from "react";', 'const [count, setCount] = useState(0);'])).toBe('javascript');
+    expect(guessLanguage(['def greet(self, name):', '    print(name)', '    return None'])).toBe('python');
+    expect(guessLanguage(['#include <iostream>', 'int main() {', '  std::cout << "hi";'])).toBe('cpp');
+    expect(guessLanguage(['SELECT name FROM users', 'WHERE active = 1'])).toBe('sql');
+  });
+
+  it('returns null when nothing matches', () => {
+    expect(guessLanguage(['Hello there'])).toBeNull();
+  });
+});
+
+describe('restoreIndentation', () => {
+  // Ten pixels per character, the way Tesseract reports monospace glyphs
+  const line = (text, x0) => ({ text, x0, charWidths: [10, 10] });
+
+  it('snaps indents to a four-space unit', () => {
+    expect(restoreIndentation([line('if (a) {', 20), line('b();', 60), line('c();', 98), line('}', 20)])).toEqual([
+      'if (a) {',
+      '    b();',
+      '        c();',
+      '}',
+    ]);
+  });
+
+  it('uses a two-space unit for narrow indents', () => {
+    expect(restoreIndentation([line('a:', 0), line('b:', 20), line('c', 41)])).toEqual(['a:', '  b:', '    c']);
+  });
+
+  it('handles empty and unindented captures', () => {
+    expect(restoreIndentation([])).toEqual([]);
+    expect(restoreIndentation([line('one', 5), line('two', 5)])).toEqual(['one', 'two']);
+  });
+});
+
+describe('findCorrections', () => {
+  it('fixes letters read inside numbers, but not hex literals', () => {
+    expect(fixes(['const size = 1O0;', 'const mask = 0xFF;'])).toEqual([[0, 14, 'O', '0', 'letterInNumber']]);
+  });
+
+  it('fixes pipes and digits read inside identifiers', () => {
+    expect(fixes(['const ta|l = 1;'])).toEqual([[0, 8, '|', 'l', 'pipeInIdentifier']]);
+    expect(fixes(['|ength = va1ue'])).toEqual([
+      [0, 0, '|', 'l', 'pipeAtStart'],
+      [0, 11, '1', 'l', 'digitOneInWord'],
+    ]);
+    expect(fixes(['if (c0unt) stop();'])).toEqual([[0, 5, '0', 'o', 'digitZeroInWord']]);
+  });
+
+  it('turns look-alikes of || and typographic punctuation into ASCII', () => {
+    expect(fixes(['a ll b'])).toEqual([[0, 2, 'll', '||', 'logicalOr']]);
+    expect(fixes(['x = y — 1 – 2'])).toEqual([
+      [0, 6, '—', '--', 'emDash'],
+      [0, 10, '–', '-', 'enDash'],
+    ]);
+  });
+
+  it('leaves strings and comments alone', () => {
+    expect(fixes(['log("ta|l va1ue"); // c0unt 1O'])).toEqual([]);
+    expect(fixes(["x = 'a ll b' # he||o"], 'python')).toEqual([]);
+    expect(fixes(['const v = `1O`; let c0 = 1'])).toEqual([]);
+    // Only the code outside the comment is fixed
+    expect(fixes(['va1ue = 2; // va1ue'])).toEqual([[0, 2, '1', 'l', 'digitOneInWord']]);
+  });
+
+  it('fixes curly quotes that a string would otherwise protect', () => {
+    expect(fixes(['print(“hi”)'])).toEqual([
+      [0, 6, '“', '"', 'curlyQuote'],
+      [0, 9, '”', '"', 'curlyQuote'],
+    ]);
+  });
+
+  it('skips rules that would break the guessed language', () => {
+    expect(fixes(['ls -la |grep src'], 'bash')).toEqual([]);
+    expect(fixes(['ls -la |grep src'], 'javascript')).toEqual([[0, 7, '|', 'l', 'pipeAtStart']]);
+    expect(fixes(['if a ll b:'], 'python')).toEqual([]);
+    expect(fixes(['if a ll b:'], 'javascript')).toEqual([[0, 5, 'll', '||', 'logicalOr']]);
+  });
+
+  it('gives each fix an id from its line and column', () => {
+    const [correction] = findCorrections(['', 'x = 1O'], 'javascript');
+    expect(correction).toEqual({ id: '1:5', line: 1, start: 5, end: 6, before: 'O', after: '0', reason: 'letterInNumber' });
+  });
+});
+
+describe('applyCorrections', () => {
+  it('applies the accepted fixes to their lines, whatever their length', () => {
+    const lines = ['a ll va1ue', 'x = 1O — 2'];
+    const corrections = findCorrections(lines, 'javascript');
+    expect(applyCorrections(lines, corrections)).toEqual(['a || value', 'x = 10 -- 2']);
+  });
+
+  it('applies only the fixes it is given', () => {
+    const lines = ['va1ue = 1O'];
+    const accepted = findCorrections(lines).filter(({ reason }) => reason === 'digitOneInWord');
+    expect(applyCorrections(lines, accepted)).toEqual(['value = 1O']);
+    expect(applyCorrections(lines, [])).toEqual(lines);
+  });
+});
+
+describe('analyzeCapture', () => {
+  const word = (text, x0) => ({ text, bbox: { x0, x1: x0 + text.length * 10 } });
+  const page = (rows) => ({
+    text: `${rows.map(([text]) => text.trim()).join('\n')}\n`,
+    blocks: [
+      {
+        paragraphs: [
+          { lines: rows.map(([text, x0]) => ({ text: text.trim(), bbox: { x0 }, words: text.trim().split(' ').map((part) => word(part, x0)) })) },
+        ],
+      },
+    ],
+  });
+
+  it('indents, labels and corrects a code frame', () => {
+    const result = analyzeCapture(page([['function f() {', 0], ['return va1ue;', 40], ['}', 0]]));
+    expect(result.language).toBe('javascript');
+    expect(result.indentedLines).toEqual(['function f() {', '    return va1ue;', '}']);
+    expect(result.corrections.map(({ reason }) => reason)).toEqual(['digitOneInWord']);
+  });
+
+  it('returns null for prose', () => {
+    expect(analyzeCapture(page([['Welcome back to the course', 0]]))).toBeNull();
+  });
+});
@@ -0,0 +1,188 @@
+import { createWorker, OEM } from 'tesseract.js';
+import { AUTO_DETECT, defaultLanguages, languagesForScript } from './languages';
+
+// --- Local OCR Engine ---
+// Everything is loaded from the site's own /ocr/ assets (see plugins/ocr-assets.js),
+// so recognition keeps working offline and no frame ever leaves the browser.
+// Language models are fetched the first time a capture asks for them and
+// Tesseract keeps them in IndexedDB, so each is only downloaded once.
+
+const assetUrl = (path) =>
+  new URL(`${import.meta.env.BASE_URL}ocr/${path}`, window.location.href).href;
+
+// Cache keys name the model build, so an updated model never reads a stale copy
+const CACHE_PATH = 'ocr/4.0.0_best_int';
+const DETECTION_CACHE_PATH = 'ocr/4.0.0';
+
+/**
+ * Maps Tesseract's logger status strings onto the phases shown in the UI.
+ */
+const PHASES = {
+  'loading tesseract core': 'loading',
+  'initializing tesseract': 'loading',
+  'loading language traineddata': 'loading',
+  'initializing api': 'loading',
+  'recognizing text': 'recognizing',
+};
+
+let workerPromise = null;
+let workerLanguages = null;
+let detectorPromise = null;
+// The job running now, whose listener gets the workers' progress
+let progressListener = null;
+// Jobs run one after another: the workers are shared, and a job switching the
+// languages or the listener would pull them from under another
+let queue = Promise.resolve();
+
+const handleLog = ({ status, progress }) => {
+  const phase = PHASES[status];
+  if (phase && progressListener) progressListener({ phase, progress });
+};
+
+const workerOptions = (cachePath) => ({
+  workerPath: assetUrl('worker.min.js'),
+  corePath: assetUrl('core'),
+  langPath: assetUrl('lang'),
+  cachePath,
+  workerBlobURL: false,
+  logger: handleLog,
+});
+
+/**
+ * getWorker - The shared Tesseract worker, set up for the given languages.
+ * It is created on first use and re-initialized when the languages change,
+ * which only loads the models it doesn't have yet.
+ * @param {string[]} languages - Model names
+ * @returns {Promise<import('tesseract.js').Worker>}
+ */
+const getWorker = (languages) => {
+  const key = languages.join('+');
+  if (workerPromise && key === workerLanguages) return workerPromise;
+
+  const previous = workerPromise;
+  const ready = previous
+    ? previous.then((worker) =>
+      worker.reinitialize(key, OEM.LSTM_ONLY).then(
+        () => worker,
+        (error) => {
+          worker.terminate();
+          throw error;
+        }
+      ))
+    : createWorker(key, OEM.LSTM_ONLY, workerOptions(CACHE_PATH));
+
+  workerPromise = ready;
+  workerLanguages = key;
+  ready.catch(() => {
+    // Allow a retry on the next capture instead of caching the failure
+    if (workerPromise !== ready) return;
+    workerPromise = null;
+    workerLanguages = null;
+  });
+  return ready;
+};
+
+/**
+ * getDetector - Lazily creates the script detection worker. Detection (OSD)
+ * only exists in Tesseract's legacy engine, so it has a core and model of its
+ * own, downloaded only once auto-detect is used.
+ * @returns {Promise<import('tesseract.js').Worker>}
+ */
+const getDetector = () => {
+  if (!detectorPromise) {
+    detectorPromise = createWorker('osd', OEM.TESSERACT_ONLY, {
+      ...workerOptions(DETECTION_CACHE_PATH),
+      legacyCore: true,
+      legacyLang: true,
+    }).catch((error) => {
+      detectorPromise = null;
+      throw error;
+    });
+  }
+  return detectorPromise;
+};
+
+/**
+ * detectLanguages - Picks the models to read an image with from the script
+ * its text is written in. Detection needs a few lines of text to be sure;
+ * short of that, the visitor's browser languages stand in.
+ * @param {HTMLCanvasElement | Blob} image
+ * @returns {Promise<string[]>} Model names
+ */
+const detectLanguages = async (image) => {
+  const detector = await getDetector();
+  const { data } = await detector.detect(image);
+  const languages = languagesForScript(data.script, navigator.languages);
+  return languages.length > 0 ? languages : defaultLanguages(navigator.languages);
+};
+
+const runRecognition = async (image, { languages = ['eng'], onProgress, withLayout = false }) => {
+  progressListener = onProgress;
+  try {
+    const models = languages === AUTO_DETECT ? await detectLanguages(image) : languages;
+    const worker = await getWorker(models);
+    const { data } = await worker.recognize(image, {}, { text: true, blocks: withLayout });
+    return { ...data, languages: models };
+  } finally {
+    progressListener = null;
+  }
+};
+
+/**
+ * recognize - Runs OCR on an image source. Calls made while another is
+ * running wait their turn, so each only hears its own progress.
+ * @param {HTMLCanvasElement | Blob} image - Frame to recognize
+ * @param {object} options
+ * @param {string[] | 'auto'} options.languages - Model names (see ./languages), or
+ *   AUTO_DETECT to choose them from the script in the image
+ * @param {(update: {phase: 'loading' | 'recognizing', progress: number}) => void} options.onProgress
+ * @param {boolean} options.withLayout - Also return the block/line/word tree with bounding boxes
+ * @returns {Promise<import('tesseract.js').Page & {languages: string[]}>} Recognition
+ *   result, with the models that read it
+ */
+export const recognize = (image, options = {}) => {
+  const job = queue.then(() => runRecognition(image, options));
+  queue = job.catch(() => {});
+  return job;
+};
+
+// Crops narrower than this are upscaled so small glyphs stay legible to the engine
+const MIN_CROP_WIDTH = 1000;
+const MAX_UPSCALE = 3;
+
+/**
+ * mediaSize - Natural pixel size of a video or image element
+ * @param {HTMLVideoElement | HTMLImageElement} media
+ * @returns {{width: number, height: number}}
+ */
+export const mediaSize = (media) => ({
+  width: media.videoWidth ?? media.naturalWidth,
+  height: media.videoHeight ?? media.naturalHeight,
+});
+
+/**
+ * captureFrame - Draws the current frame of a video (or an image) onto a new canvas
+ * @param {HTMLVideoElement | HTMLImageElement} media - Element to grab from
+ * @param {{x: number, y: number, width: number, height: number} | null} region -
+ *   Optional crop, normalized to the frame size (0..1)
+ * @returns {HTMLCanvasElement} Canvas holding the frame or the cropped region
+ */
+export const captureFrame = (media, region = null) => {
+  const { width: mediaWidth, height: mediaHeight } = mediaSize(media);
+  if (!mediaWidth || !mediaHeight) {
+    throw new Error('There is no frame to capture yet.');
+  }
+
+  const crop = region ?? { x: 0, y: 0, width: 1, height: 1 };
+  const sx = Math.round(crop.x * mediaWidth);
+  const sy = Math.round(crop.y * mediaHeight);
+  const sw = Math.max(1, Math.round(crop.width * mediaWidth));
+  const sh = Math.max(1, Math.round(crop.height * mediaHeight));
+  const scale = region ? Math.min(MAX_UPSCALE, Math.max(1, MIN_CROP_WIDTH / sw)) : 1;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(sw * scale);
+  canvas.height = Math.round(sh * scale);
+  canvas.getContext('2d').drawImage(media, sx, sy, sw, sh, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
@@ -0,0 +1,36 @@
+// --- File Hand-off ---
+// Files pasted or dropped anywhere on the site are parked here until the
+// capture demo picks them up. The demo may not be mounted yet (the drop can
+// happen on another page), so the latest file waits instead of being lost.
+
+let pending = null;
+const listeners = new Set();
+
+/**
+ * handOffFile - Queues a file for the capture demo and notifies it if mounted
+ * @param {File} file
+ */
+export const handOffFile = (file) => {
+  pending = file;
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * takeHandedOffFile - Returns the waiting file, if any, and clears it
+ * @returns {File | null}
+ */
+export const takeHandedOffFile = () => {
+  const file = pending;
+  pending = null;
+  return file;
+};
+
+/**
+ * subscribeToHandOff - Registers a listener for newly handed-off files
+ * @param {() => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export const subscribeToHandOff = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
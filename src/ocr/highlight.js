@@ -0,0 +1,67 @@
+// --- Minimal Syntax Highlighter ---
+// Just enough tokenizing to color OCR'd snippets: comments, strings, numbers
+// and keywords for the languages guessLanguage can report.
+
+const KEYWORDS = {
+  javascript: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield',
+  python: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield',
+  java: 'abstract boolean break byte case catch char class continue default do double else enum extends false final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch this throw throws true try void while',
+  cpp: 'auto bool break case catch char class const continue default delete do double else enum false float for if include inline int long namespace new nullptr private protected public return short signed sizeof static struct switch template this throw true try typedef unsigned using virtual void while std cout cin endl',
+  css: 'important media import from to',
+  sql: 'select from where insert into values update set delete create table join left right inner outer on group by order having limit and or not null as distinct count sum avg',
+  bash: 'if then else elif fi for while do done case esac function in echo export cd sudo return',
+  json: 'true false null',
+  html: '',
+};
+KEYWORDS.typescript = `${KEYWORDS.javascript} interface type implements enum readonly private public protected string number boolean any unknown never`;
+
+const COMMENTS = {
+  python: '#.*',
+  bash: '#.*',
+  sql: '--.*',
+  html: '<!--[\\s\\S]*?-->',
+  css: '\\/\\*[\\s\\S]*?\\*\\/',
+  json: '(?!)',
+};
+const DEFAULT_COMMENT = '\\/\\/.*|\\/\\*[\\s\\S]*?\\*\\/';
+
+const buildTokenizer = (language) => {
+  const keywords = KEYWORDS[language] ?? KEYWORDS.javascript;
+  const keywordPattern = keywords ? `\\b(?:${keywords.split(' ').join('|')})\\b` : '(?!)';
+  const tagPattern = language === 'html' ? '<\\/?[a-zA-Z][\\w-]*|\\/?>' : '(?!)';
+
+  return new RegExp(
+    [
+      `(?<comment>${COMMENTS[language] ?? DEFAULT_COMMENT})`,
+      '(?<string>"(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\'|`(?:\\\\.|[^`\\\\])*`)',
+      `(?<keyword>${tagPattern}|${keywordPattern})`,
+      '(?<number>\\b(?:0x[\\da-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?)\\b)',
+    ].join('|'),
+    language === 'sql' ? 'gi' : 'g'
+  );
+};
+
+const tokenizers = new Map();
+
+/**
+ * tokenize - Splits code into typed tokens for rendering
+ * @param {string} code
+ * @param {string | null} language - Language id from LANGUAGES in code.js
+ * @returns {Array<{type: 'plain' | 'comment' | 'string' | 'keyword' | 'number', value: string}>}
+ */
+export const tokenize = (code, language) => {
+  const key = language ?? 'javascript';
+  if (!tokenizers.has(key)) tokenizers.set(key, buildTokenizer(key));
+  const pattern = tokenizers.get(key);
+
+  const tokens = [];
+  let last = 0;
+  for (const match of code.matchAll(pattern)) {
+    if (match.index > last) tokens.push({ type: 'plain', value: code.slice(last, match.index) });
+    const type = Object.keys(match.groups).find((group) => match.groups[group] !== undefined);
+    tokens.push({ type, value: match[0] });
+    last = match.index + match[0].length;
+  }
+  if (last < code.length) tokens.push({ type: 'plain', value: code.slice(last) });
+  return tokens;
+};
@@ -0,0 +1,52 @@
+// --- Capture Inputs ---
+// Validation for files that reach the capture demo through the file picker,
+// paste or drag-and-drop. Problems are reported as messages for the demo to
+// translate (see src/i18n/translate.js).
+
+export const MAX_IMAGE_BYTES = 25 * 1024 * 1024;
+export const MAX_IMAGE_PIXELS = 40_000_000;
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'image/bmp'];
+
+const formatMegabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+/**
+ * classifyFile - Works out how the capture demo should treat a file
+ * @param {File} file
+ * @returns {{kind: 'image' | 'video'} | {error: import('../i18n/translate').Message}}
+ *   The error's {name} and {type} are left for the caller, which knows what
+ *   to call a pasted file without either
+ */
+export const classifyFile = (file) => {
+  if (file.type.startsWith('video/')) return { kind: 'video' };
+
+  if (IMAGE_TYPES.includes(file.type)) {
+    if (file.size > MAX_IMAGE_BYTES) {
+      return {
+        error: {
+          key: 'demo.errors.imageTooLarge',
+          params: { size: formatMegabytes(file.size), max: formatMegabytes(MAX_IMAGE_BYTES) },
+        },
+      };
+    }
+    return { kind: 'image' };
+  }
+
+  return { error: { key: 'demo.errors.unsupportedFile' } };
+};
+
+/**
+ * checkImageDimensions - Rejects decoded images too large to OCR in the browser
+ * @param {HTMLImageElement} image - A fully loaded image
+ * @returns {import('../i18n/translate').Message | null} Error, or null when the image is fine
+ */
+export const checkImageDimensions = (image) => {
+  const { naturalWidth: width, naturalHeight: height } = image;
+  if (width * height <= MAX_IMAGE_PIXELS) return null;
+
+  const megapixels = Math.round((width * height) / 1_000_000);
+  return {
+    key: 'demo.errors.tooManyPixels',
+    params: { width, height, megapixels, max: MAX_IMAGE_PIXELS / 1_000_000 },
+  };
+};
@@ -0,0 +1,84 @@
+// --- OCR Languages ---
+// The Tesseract models the site ships (see plugins/ocr-assets.js, which is
+// configured from this list in vite.config.js). Each is only downloaded the
+// first time a capture asks for it.
+
+/**
+ * Shipped languages, in picker order
+ * @type {Array<{code: string, tag: string, scripts: string[], direction: 'ltr' | 'rtl'}>}
+ *   code is the Tesseract model name, tag the BCP 47 language tag, scripts
+ *   the names Tesseract's script detection reports for text the model reads
+ */
+export const OCR_LANGUAGES = [
+  { code: 'eng', tag: 'en', scripts: ['Latin'], direction: 'ltr' },
+  { code: 'spa', tag: 'es', scripts: ['Latin'], direction: 'ltr' },
+  { code: 'fra', tag: 'fr', scripts: ['Latin'], direction: 'ltr' },
+  { code: 'deu', tag: 'de', scripts: ['Latin'], direction: 'ltr' },
+  // Reads most Russian text too; there is no packaged Russian model
+  { code: 'ukr', tag: 'uk', scripts: ['Cyrillic'], direction: 'ltr' },
+  { code: 'ara', tag: 'ar', scripts: ['Arabic'], direction: 'rtl' },
+  { code: 'hin', tag: 'hi', scripts: ['Devanagari'], direction: 'ltr' },
+  { code: 'jpn', tag: 'ja', scripts: ['Japanese', 'Hiragana', 'Katakana'], direction: 'ltr' },
+  { code: 'chi_sim', tag: 'zh-Hans', scripts: ['Han'], direction: 'ltr' },
+  { code: 'kor', tag: 'ko', scripts: ['Korean', 'Hangul'], direction: 'ltr' },
+];
+
+/**
+ * Picker value that detects the script of each capture instead
+ */
+export const AUTO_DETECT = 'auto';
+
+const byCode = (code) => OCR_LANGUAGES.find((language) => language.code === code);
+const baseTag = (tag) => tag.split('-')[0].toLowerCase();
+
+/**
+ * languageName - A language's name in that language, e.g. "日本語"
+ * @param {string} code - Tesseract model name
+ */
+export const languageName = (code) => {
+  const { tag } = byCode(code);
+  return new Intl.DisplayNames([tag], { type: 'language' }).of(tag);
+};
+
+/**
+ * defaultLanguages - Models for text in the given languages, plus English,
+ * which slides in any language tend to mix in
+ * @param {readonly string[]} tags - BCP 47 tags, e.g. the site locale or navigator.languages
+ * @returns {string[]} Model names, in picker order
+ */
+export const defaultLanguages = (tags) => {
+  const wanted = tags.map(baseTag);
+  return OCR_LANGUAGES.filter(({ code, tag }) => code === 'eng' || wanted.includes(baseTag(tag))).map(
+    ({ code }) => code
+  );
+};
+
+/**
+ * languagesForScript - Models to read text in a detected script with. Where
+ * several share the script (Latin), the visitor's browser languages pick
+ * among them, falling back to the first.
+ * @param {string | null} script - Script name from Tesseract's detection
+ * @param {readonly string[]} preferred - BCP 47 tags, e.g. navigator.languages
+ * @returns {string[]} Model names; empty for a script no model reads
+ */
+export const languagesForScript = (script, preferred = []) => {
+  const candidates = OCR_LANGUAGES.filter(({ scripts }) => scripts.includes(script));
+  const wanted = preferred.map(baseTag);
+  const chosen = candidates.filter(({ tag }) => wanted.includes(baseTag(tag)));
+  return (chosen.length > 0 ? chosen : candidates.slice(0, 1)).map(({ code }) => code);
+};
+
+/**
+ * textAttributes - lang and dir for text read with the given models. Mixed
+ * selections leave the direction to each line's own characters.
+ * @param {string[]} codes - Model names
+ * @returns {{lang: string | undefined, dir: 'ltr' | 'rtl' | 'auto'}}
+ */
+export const textAttributes = (codes) => {
+  const languages = codes.map(byCode).filter(Boolean);
+  const directions = new Set(languages.map(({ direction }) => direction));
+  return {
+    lang: languages.length === 1 ? languages[0].tag : undefined,
+    dir: directions.size === 1 ? [...directions][0] : 'auto',
+  };
+};
@@ -0,0 +1,80 @@
+// --- Sample Clip ---
+// A synthetic "lecture" rendered to a canvas and streamed into the demo player,
+// so visitors without a video file at hand still have something to capture.
+
+const WIDTH = 960;
+const HEIGHT = 540;
+
+const SLIDES = [
+  {
+    title: 'Lecture 4: Working with Arrays',
+    lines: [
+      'const scores = [72, 88, 95, 61];',
+      'const passed = scores.filter((s) => s >= 70);',
+      'const average = passed.reduce((a, b) => a + b) / passed.length;',
+      'console.log(average.toFixed(1)); // 85.0',
+    ],
+  },
+  {
+    title: 'Key Takeaways',
+    lines: [
+      'filter() returns a new array of matching items',
+      'reduce() folds an array into a single value',
+      'Neither method mutates the original array',
+    ],
+  },
+];
+
+const SLIDE_DURATION = 6000;
+
+const drawSlide = (ctx, elapsed) => {
+  const slide = SLIDES[Math.floor(elapsed / SLIDE_DURATION) % SLIDES.length];
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+  ctx.fillStyle = '#111827';
+  ctx.font = 'bold 40px sans-serif';
+  ctx.fillText(slide.title, 60, 100);
+
+  ctx.font = '26px monospace';
+  slide.lines.forEach((line, index) => {
+    ctx.fillText(line, 60, 190 + index * 56);
+  });
+
+  // Playback bar so the clip visibly "plays"
+  const progress = (elapsed % SLIDE_DURATION) / SLIDE_DURATION;
+  ctx.fillStyle = '#e5e7eb';
+  ctx.fillRect(0, HEIGHT - 8, WIDTH, 8);
+  ctx.fillStyle = '#dc2626';
+  ctx.fillRect(0, HEIGHT - 8, WIDTH * progress, 8);
+};
+
+/**
+ * createSampleClip - Starts rendering the sample lecture into a MediaStream
+ * @returns {{stream: MediaStream, stop: () => void}} Stream for a <video> and a cleanup function
+ */
+export const createSampleClip = () => {
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext('2d');
+
+  const start = performance.now();
+  let frame = null;
+  const render = () => {
+    drawSlide(ctx, performance.now() - start);
+    frame = requestAnimationFrame(render);
+  };
+  render();
+
+  const stream = canvas.captureStream(30);
+
+  return {
+    stream,
+    stop: () => {
+      cancelAnimationFrame(frame);
+      stream.getTracks().forEach((track) => track.stop());
+    },
+  };
+};
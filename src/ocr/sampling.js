@@ -0,0 +1,71 @@
+// --- Video Sampling ---
+// Helpers for stepping through a video and spotting slide/scene changes
+// without running OCR on every sample.
+
+const SIGNATURE_WIDTH = 32;
+const SIGNATURE_HEIGHT = 18;
+
+/**
+ * seekTo - Moves a video to a time and resolves once the frame is decoded
+ * @param {HTMLVideoElement} video
+ * @param {number} time - Target time in seconds
+ * @returns {Promise<void>}
+ */
+export const seekTo = (video, time) =>
+  new Promise((resolve, reject) => {
+    if (Math.abs(video.currentTime - time) < 0.001 && video.readyState >= 2) {
+      resolve();
+      return;
+    }
+
+    const cleanup = () => {
+      video.removeEventListener('seeked', handleSeeked);
+      video.removeEventListener('error', handleError);
+    };
+    const handleSeeked = () => {
+      cleanup();
+      resolve();
+    };
+    const handleError = () => {
+      cleanup();
+      reject(new Error('The video could not be decoded at this point.'));
+    };
+
+    video.addEventListener('seeked', handleSeeked);
+    video.addEventListener('error', handleError);
+    video.currentTime = time;
+  });
+
+/**
+ * frameSignature - Reduces a frame to a tiny grayscale thumbnail for comparison
+ * @param {HTMLCanvasElement} frame
+ * @returns {Uint8ClampedArray} One luminance byte per thumbnail pixel
+ */
+export const frameSignature = (frame) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = SIGNATURE_WIDTH;
+  canvas.height = SIGNATURE_HEIGHT;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(frame, 0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+
+  const { data } = ctx.getImageData(0, 0, SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+  const signature = new Uint8ClampedArray(SIGNATURE_WIDTH * SIGNATURE_HEIGHT);
+  for (let i = 0; i < signature.length; i++) {
+    signature[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return signature;
+};
+
+/**
+ * frameDifference - Mean absolute luminance difference of two signatures
+ * @param {Uint8ClampedArray} a
+ * @param {Uint8ClampedArray} b
+ * @returns {number} 0 (identical) to 1 (inverted)
+ */
+export const frameDifference = (a, b) => {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += Math.abs(a[i] - b[i]);
+  }
+  return total / (a.length * 255);
+};
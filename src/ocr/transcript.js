@@ -0,0 +1,178 @@
+// --- Transcript Helpers ---
+// Pure functions for turning timed OCR samples into segments and export files.
+
+// Consecutive samples at least this similar are treated as the same on-screen text
+const DUPLICATE_THRESHOLD = 0.85;
+
+const normalize = (text) =>
+  text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+const bigrams = (text) => {
+  const counts = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    counts.set(gram, (counts.get(gram) ?? 0) + 1);
+  }
+  return counts;
+};
+
+/**
+ * similarity - Dice coefficient over character bigrams of the normalized texts
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 (unrelated) to 1 (identical)
+ */
+export const similarity = (a, b) => {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  let overlap = 0;
+  for (const [gram, count] of leftGrams) {
+    overlap += Math.min(count, rightGrams.get(gram) ?? 0);
+  }
+  return (2 * overlap) / (left.length - 1 + right.length - 1);
+};
+
+/**
+ * appendSample - Folds one OCR sample into the segment list
+ * Repeated text extends the previous segment instead of starting a new one,
+ * and blank frames close it. A segment the reader has edited keeps its text;
+ * samples are compared with what was recognized for it instead.
+ * @param {Array<{id: number, start: number, end: number, text: string, recognized?: string}>} segments -
+ *   recognized is the OCR text of an edited segment (see editSegment)
+ * @param {{time: number, text: string}} sample
+ * @returns {Array} New segment list
+ */
+export const appendSample = (segments, { time, text }) => {
+  const trimmed = text.trim();
+  const result = [...segments];
+  const last = result[result.length - 1];
+
+  if (last?.open) {
+    // Whatever was on screen before lasted until this sample
+    const isDuplicate = Boolean(trimmed) && similarity(last.recognized ?? last.text, trimmed) >= DUPLICATE_THRESHOLD;
+    result[result.length - 1] = { ...last, end: time, open: isDuplicate };
+    if (isDuplicate) return result;
+  }
+
+  if (!trimmed) return result;
+  return [
+    ...result,
+    { id: (last?.id ?? 0) + 1, start: time, end: time, text: trimmed, open: true },
+  ];
+};
+
+/**
+ * editSegment - Replaces a segment's text with the reader's, remembering
+ * what was recognized so later samples of the same frame still extend it
+ * @param {object} segment
+ * @param {string} text
+ * @returns {object}
+ */
+export const editSegment = (segment, text) => ({ ...segment, text, recognized: segment.recognized ?? segment.text });
+
+/**
+ * finishSegments - Closes the last segment at the end of the scanned range
+ * @param {Array} segments
+ * @param {number} endTime - Time the scan stopped at, in seconds
+ * @returns {Array} Segments without the internal `open` flag
+ */
+export const finishSegments = (segments, endTime) =>
+  segments.map(({ open, ...segment }) => ({
+    ...segment,
+    end: open ? Math.max(endTime, segment.start) : segment.end,
+  }));
+
+// --- Timestamps ---
+
+const pad = (value, size = 2) => String(value).padStart(size, '0');
+
+/**
+ * formatTimestamp - Formats seconds as HH:MM:SS<separator>mmm
+ * @param {number} seconds
+ * @param {',' | '.'} separator - SRT uses a comma, WebVTT a period
+ */
+export const formatTimestamp = (seconds, separator = '.') => {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+/**
+ * formatClock - Short player-style time such as 4:05 or 1:02:09
+ * @param {number} seconds
+ */
+export const formatClock = (seconds) => {
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  return hours ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+};
+
+// --- Exporters ---
+
+// Blank lines end a cue in both subtitle formats, so squeeze them out
+const cueText = (text) => text.replace(/\n\s*\n/g, '\n').trim();
+
+const toSrt = (segments) =>
+  segments
+    .map(({ start, end, text }, index) =>
+      `${index + 1}\n${formatTimestamp(start, ',')} --> ${formatTimestamp(end, ',')}\n${cueText(text)}\n`)
+    .join('\n');
+
+// WebVTT cue text is markup: OCR of code such as `a < b && c` would open tags
+// and entities. Escaping > also keeps "-->" from ending the cue.
+const VTT_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;' };
+const escapeVtt = (text) => text.replace(/[&<>]/g, (char) => VTT_ESCAPES[char]);
+
+const toVtt = (segments) =>
+  `WEBVTT\n\n${segments
+    .map(({ start, end, text }) =>
+      `${formatTimestamp(start)} --> ${formatTimestamp(end)}\n${escapeVtt(cueText(text))}\n`)
+    .join('\n')}`;
+
+// OCR text goes in a fenced block so # or * on screen don't become
+// Markdown; the fence is longer than any run of backticks inside it
+const fenced = (text) => {
+  const longest = Math.max(0, ...(text.match(/`+/g) ?? []).map((run) => run.length));
+  const fence = '`'.repeat(Math.max(3, longest + 1));
+  return `${fence}\n${text}\n${fence}`;
+};
+
+const toMarkdown = (segments, title) =>
+  `# ${title}\n\n${segments
+    .map(({ start, end, text }) => `## ${formatClock(start)} – ${formatClock(end)}\n\n${fenced(text)}\n`)
+    .join('\n')}`;
+
+const toPlainText = (segments) =>
+  segments.map(({ start, text }) => `[${formatClock(start)}]\n${text}\n`).join('\n');
+
+/**
+ * Supported transcript export formats
+ */
+// Labelled by demo.transcript.formats in the message catalogs
+export const EXPORT_FORMATS = {
+  srt: { extension: 'srt', mimeType: 'application/x-subrip', build: toSrt },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt', build: toVtt },
+  md: { extension: 'md', mimeType: 'text/markdown', build: toMarkdown },
+  txt: { extension: 'txt', mimeType: 'text/plain', build: toPlainText },
+};
+
+/**
+ * exportTranscript - Serializes segments into one of EXPORT_FORMATS
+ * @param {Array} segments
+ * @param {keyof EXPORT_FORMATS} format
+ * @param {string} title - Used as the Markdown heading
+ * @returns {Blob}
+ */
+export const exportTranscript = (segments, format, title = 'Transcript') => {
+  const { build, mimeType } = EXPORT_FORMATS[format];
+  return new Blob([build(segments, title)], { type: `${mimeType};charset=utf-8` });
+};
@@ -0,0 +1,87 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest';
+import { appendSample, editSegment, exportTranscript, finishSegments, formatTimestamp, similarity } from './transcript';
+
+const scan = (samples, endTime) => finishSegments(samples.reduce(appendSample, []), endTime);
+
+const exported = (segments, format) => exportTranscript(segments, format, 'Lecture').text();
+
+describe('similarity', () => {
+  it('ignores case and punctuation', () => {
+    expect(similarity('Hello, World!', 'hello world')).toBe(1);
+  });
+
+  it('scores unrelated text low', () => {
+    expect(similarity('const a = 1', 'Chapter two')).toBeLessThan(0.3);
+  });
+});
+
+describe('appendSample', () => {
+  it('folds repeated text, OCR noise included, into one segment', () => {
+    const segments = scan(
+      [
+        { time: 0, text: 'Welcome to the course' },
+        { time: 2, text: 'Welcome to the course' },
+        { time: 4, text: 'Welcome to the cours3' },
+      ],
+      6
+    );
+    expect(segments).toEqual([{ id: 1, start: 0, end: 6, text: 'Welcome to the course' }]);
+  });
+
+  it('starts a new segment when the text changes', () => {
+    const segments = scan(
+      [
+        { time: 0, text: 'First slide' },
+        { time: 3, text: 'Something else entirely' },
+      ],
+      5
+    );
+    expect(segments).toEqual([
+      { id: 1, start: 0, end: 3, text: 'First slide' },
+      { id: 2, start: 3, end: 5, text: 'Something else entirely' },
+    ]);
+  });
+
+  it('keeps an edited segment\'s text while the same frame repeats', () => {
+    const [segment] = appendSample([], { time: 0, text: 'Helo wrld' });
+    const segments = finishSegments(appendSample([editSegment(segment, 'Hello world')], { time: 2, text: 'Helo wrld' }), 4);
+    expect(segments).toEqual([{ id: 1, start: 0, end: 4, text: 'Hello world', recognized: 'Helo wrld' }]);
+  });
+
+  it('closes the segment at a blank frame', () => {
+    const segments = scan(
+      [
+        { time: 0, text: 'Title card' },
+        { time: 2, text: '  ' },
+        { time: 4, text: 'Title card' },
+      ],
+      6
+    );
+    expect(segments).toEqual([
+      { id: 1, start: 0, end: 2, text: 'Title card' },
+      { id: 2, start: 4, end: 6, text: 'Title card' },
+    ]);
+  });
+});
+
+describe('exportTranscript', () => {
+  const segments = [{ id: 1, start: 1.5, end: 3661.25, text: 'if (a < b && c > d) {}' }];
+
+  it('uses a comma before the milliseconds in SRT and a period in WebVTT', async () => {
+    expect(formatTimestamp(3661.25, ',')).toBe('01:01:01,250');
+    expect(await exported(segments, 'srt')).toContain('00:00:01,500 --> 01:01:01,250');
+    expect(await exported(segments, 'vtt')).toContain('00:00:01.500 --> 01:01:01.250');
+  });
+
+  it('escapes markup in WebVTT cues', async () => {
+    const vtt = await exported([...segments, { id: 2, start: 4, end: 5, text: 'x --> y' }], 'vtt');
+    expect(vtt).toContain('if (a &lt; b &amp;&amp; c &gt; d) {}');
+    expect(vtt).toContain('x --&gt; y');
+  });
+
+  it('fences OCR text in Markdown', async () => {
+    const markdown = await exported([{ id: 1, start: 0, end: 2, text: '# not a heading\n```js' }], 'md');
+    expect(markdown).toBe('# Lecture\n\n## 0:00 – 0:02\n\n````\n# not a heading\n```js\n````\n');
+  });
+});
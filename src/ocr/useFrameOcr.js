@@ -0,0 +1,72 @@
+import { useCallback, useRef, useState } from 'react';
+import { recognize } from './engine';
+
+/**
+ * useFrameOcr - Tracks the state of a single OCR run for the capture demo
+ * @returns {object} { status, progress, text, result, error, run, fail, reset }
+ *   result is the full recognition result, including the layout tree and the
+ *   languages it was read with; error is a message to translate (see src/i18n/translate.js)
+ *   status is one of 'idle' | 'loading' | 'recognizing' | 'done' | 'error'
+ */
+export const useFrameOcr = () => {
+  const [status, setStatus] = useState('idle');
+  const [progress, setProgress] = useState(0);
+  const [text, setText] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const runIdRef = useRef(0);
+
+  /**
+   * Recognizes a frame
+   * @param {HTMLCanvasElement} image
+   * @param {string[] | 'auto'} languages - As for recognize in ./engine
+   */
+  const run = useCallback(async (image, languages) => {
+    const runId = ++runIdRef.current;
+    const isCurrent = () => runId === runIdRef.current;
+
+    setStatus('loading');
+    setProgress(0);
+    setError(null);
+
+    try {
+      const page = await recognize(image, {
+        languages,
+        withLayout: true,
+        onProgress: ({ phase, progress: value }) => {
+          if (!isCurrent()) return;
+          setStatus(phase);
+          setProgress(value);
+        },
+      });
+      if (!isCurrent()) return;
+      setText(page.text.trim());
+      setResult(page);
+      setStatus('done');
+    } catch (err) {
+      if (!isCurrent()) return;
+      setError({
+        key: 'demo.errors.recognitionFailed',
+        params: { details: err instanceof Error ? err.message : String(err) },
+      });
+      setStatus('error');
+    }
+  }, []);
+
+  const fail = useCallback((message) => {
+    runIdRef.current += 1;
+    setError(message);
+    setStatus('error');
+  }, []);
+
+  const reset = useCallback(() => {
+    runIdRef.current += 1;
+    setStatus('idle');
+    setProgress(0);
+    setText('');
+    setResult(null);
+    setError(null);
+  }, []);
+
+  return { status, progress, text, result, error, run, fail, reset };
+};
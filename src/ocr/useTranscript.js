@@ -0,0 +1,143 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { captureFrame, recognize } from './engine';
+import { frameDifference, frameSignature, seekTo } from './sampling';
+import { appendSample, editSegment, finishSegments } from './transcript';
+
+// Scene mode inspects a frame every second but only OCRs the ones that changed
+const SCENE_STEP = 1;
+const SCENE_THRESHOLD = 0.06;
+
+// Stay clear of the very last frame, which is often black
+const END_MARGIN = 0.05;
+
+/**
+ * useTranscript - Samples a whole video and builds timestamped text segments
+ * @param {React.RefObject<HTMLVideoElement>} videoRef - Player to scan
+ * @returns {object} { status, progress, position, segments, error, start, cancel, updateSegment, clear }
+ *   status is one of 'idle' | 'loading' | 'scanning' | 'cancelling' | 'done' | 'cancelled' | 'error';
+ *   error is a message to translate (see src/i18n/translate.js)
+ */
+export const useTranscript = (videoRef) => {
+  const [status, setStatus] = useState('idle');
+  const [progress, setProgress] = useState(0);
+  const [position, setPosition] = useState(0);
+  const [segments, setSegments] = useState([]);
+  const [error, setError] = useState(null);
+  const jobRef = useRef(null);
+  // The scan's working segments, open one included; edits made while it
+  // runs go here too, or the next sample would bring the OCR text back
+  const samplesRef = useRef([]);
+
+  // Never leave a scan running against a player that is gone
+  useEffect(() => () => {
+    if (jobRef.current) jobRef.current.cancelled = true;
+  }, []);
+
+  /**
+   * Starts a scan of the whole video
+   * @param {object} options
+   * @param {'interval' | 'scene'} options.mode - Fixed interval or scene-change sampling
+   * @param {number} options.interval - Seconds between samples in interval mode
+   * @param {object | null} options.region - Normalized crop applied to every sample
+   * @param {string[] | 'auto'} options.languages - As for recognize in ./engine
+   */
+  const start = useCallback(async ({ mode, interval, region, languages: requested }) => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    const { duration } = video;
+    if (!Number.isFinite(duration) || duration <= 0) {
+      setError({ key: 'demo.errors.unknownLength' });
+      setStatus('error');
+      return;
+    }
+
+    const job = { cancelled: false };
+    jobRef.current = job;
+    video.pause();
+
+    const step = mode === 'scene' ? SCENE_STEP : interval;
+    const lastTime = Math.max(0, duration - END_MARGIN);
+    samplesRef.current = [];
+    let lastSignature = null;
+    let time = 0;
+    // Auto-detect settles on the script of the first frame with text in it
+    let languages = requested;
+
+    setSegments([]);
+    setError(null);
+    setProgress(0);
+    setStatus('loading');
+
+    try {
+      for (; time <= lastTime && !job.cancelled; time += step) {
+        await seekTo(video, time);
+        if (job.cancelled) break;
+
+        setPosition(time);
+        setProgress(time / duration);
+        const frame = captureFrame(video, region);
+
+        if (mode === 'scene') {
+          const signature = frameSignature(frame);
+          if (lastSignature && frameDifference(signature, lastSignature) < SCENE_THRESHOLD) {
+            continue;
+          }
+          lastSignature = signature;
+        }
+
+        const result = await recognize(frame, {
+          languages,
+          onProgress: ({ phase }) => {
+            if (!job.cancelled) setStatus(phase === 'loading' ? 'loading' : 'scanning');
+          },
+        });
+        if (jobRef.current !== job) return;
+        if (result.text.trim()) languages = result.languages;
+
+        samplesRef.current = appendSample(samplesRef.current, { time, text: result.text });
+        setSegments(finishSegments(samplesRef.current, time));
+      }
+
+      if (jobRef.current !== job) return;
+      setSegments(finishSegments(samplesRef.current, Math.min(time, duration)));
+      setProgress(job.cancelled ? time / duration : 1);
+      setStatus(job.cancelled ? 'cancelled' : 'done');
+    } catch (err) {
+      if (jobRef.current !== job) return;
+      setSegments(finishSegments(samplesRef.current, Math.min(time, duration)));
+      setError({
+        key: 'demo.errors.recognitionFailed',
+        params: { details: err instanceof Error ? err.message : String(err) },
+      });
+      setStatus('error');
+    } finally {
+      if (jobRef.current === job) jobRef.current = null;
+    }
+  }, [videoRef]);
+
+  const cancel = useCallback(() => {
+    if (!jobRef.current) return;
+    jobRef.current.cancelled = true;
+    setStatus('cancelling');
+  }, []);
+
+  const updateSegment = useCallback((id, text) => {
+    const edit = (list) => list.map((segment) => (segment.id === id ? editSegment(segment, text) : segment));
+    samplesRef.current = edit(samplesRef.current);
+    setSegments(edit);
+  }, []);
+
+  const clear = useCallback(() => {
+    if (jobRef.current) jobRef.current.cancelled = true;
+    jobRef.current = null;
+    samplesRef.current = [];
+    setSegments([]);
+    setError(null);
+    setProgress(0);
+    setPosition(0);
+    setStatus('idle');
+  }, []);
+
+  return { status, progress, position, segments, error, start, cancel, updateSegment, clear };
+};
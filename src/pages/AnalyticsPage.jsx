@@ -0,0 +1,237 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { CTA_ACTIONS, CTA_LOCATIONS, DEMO_ACTIONS, DEMO_SOURCES } from '../analytics/events';
+import { isTrackingAllowed } from '../analytics/track';
+import { ContentPage, ContentSection } from '../components/ContentPage';
+import { Icon } from '../components/Icon';
+import { Button } from '../components/ui';
+import { EXPERIMENTS } from '../experiments/config';
+import alertCircleIcon from '../icons/alert-circle.svg?icon';
+import trashIcon from '../icons/trash.svg?icon';
+
+// Served by plugins/mock-analytics.js
+const COLLECTOR_URL = `${import.meta.env.BASE_URL}__mock/analytics`;
+const LATEST_COUNT = 20;
+
+const countBy = (events, name, key) =>
+  events
+    .filter((event) => event.name === name)
+    .reduce((counts, { props }) => counts.set(key(props), (counts.get(key(props)) ?? 0) + 1), new Map());
+
+const formatTime = (time) => new Intl.DateTimeFormat('en', { timeStyle: 'medium' }).format(new Date(time));
+
+/**
+ * CountTable - Event counts for every combination of two properties
+ * @param {object} props
+ * @param {string} props.caption
+ * @param {string[]} props.rows - Values of the first property
+ * @param {string[]} props.columns - Values of the second property
+ * @param {Map<string, number>} props.counts - Keyed by "row column"
+ */
+const CountTable = ({ caption, rows, columns, counts }) => (
+  <div className="overflow-x-auto">
+    <table className="w-full text-start text-sm">
+      <caption className="sr-only">{caption}</caption>
+      <thead>
+        <tr className="border-b border-neutral-700 text-neutral-400">
+          <td />
+          {columns.map((column) => (
+            <th key={column} scope="col" className="py-2 px-3 text-end font-medium">
+              {column}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row} className="border-b border-neutral-800">
+            <th scope="row" className="py-2 pe-3 text-start font-medium text-neutral-200">
+              {row}
+            </th>
+            {columns.map((column) => (
+              <td key={column} className="py-2 px-3 text-end tabular-nums">
+                {counts.get(`${row} ${column}`) ?? 0}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * ExperimentTable - Exposures, conversions and conversion rate for each
+ * variant of an experiment
+ * @param {object} props
+ * @param {{id: string, variants: Array<{id: string}>}} props.experiment - From src/experiments/config.js
+ * @param {Map<string, number>} props.exposures - Keyed by "experiment variant"
+ * @param {Map<string, number>} props.conversions - Keyed by "experiment variant"
+ */
+const ExperimentTable = ({ experiment, exposures, conversions }) => {
+  const rate = new Intl.NumberFormat('en', { style: 'percent', maximumFractionDigits: 1 });
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-start text-sm">
+        <caption className="pb-2 text-start font-mono text-neutral-200">{experiment.id}</caption>
+        <thead>
+          <tr className="border-b border-neutral-700 text-neutral-400">
+            <td />
+            <th scope="col" className="py-2 px-3 text-end font-medium">exposures</th>
+            <th scope="col" className="py-2 px-3 text-end font-medium">conversions</th>
+            <th scope="col" className="py-2 px-3 text-end font-medium">rate</th>
+          </tr>
+        </thead>
+        <tbody>
+          {experiment.variants.map(({ id }) => {
+            const exposed = exposures.get(`${experiment.id} ${id}`) ?? 0;
+            const converted = conversions.get(`${experiment.id} ${id}`) ?? 0;
+            return (
+              <tr key={id} className="border-b border-neutral-800">
+                <th scope="row" className="py-2 pe-3 text-start font-medium text-neutral-200">
+                  {id}
+                </th>
+                <td className="py-2 px-3 text-end tabular-nums">{exposed}</td>
+                <td className="py-2 px-3 text-end tabular-nums">{converted}</td>
+                <td className="py-2 px-3 text-end tabular-nums">{exposed > 0 ? rate.format(converted / exposed) : '–'}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+/**
+ * AnalyticsPage - Development dashboard for the events the mock collector
+ * has received. Only routed in development (see src/router/routes.js).
+ */
+export const AnalyticsPage = () => {
+  const [events, setEvents] = useState([]);
+  const [error, setError] = useState(null);
+  const [trackingAllowed, setTrackingAllowed] = useState(true);
+
+  const load = useCallback(async () => {
+    try {
+      const response = await fetch(COLLECTOR_URL);
+      if (!response.ok) throw new Error(`The collector answered ${response.status}.`);
+      setEvents((await response.json()).events);
+      setError(null);
+    } catch (err) {
+      setError(`Couldn’t read the mock collector. ${err.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    setTrackingAllowed(isTrackingAllowed());
+    load();
+  }, [load]);
+
+  const handleClear = async () => {
+    await fetch(COLLECTOR_URL, { method: 'DELETE' }).catch(() => {});
+    load();
+  };
+
+  const ctaClicks = countBy(events, 'cta-click', ({ location, action }) => `${location} ${action}`);
+  const demoUse = countBy(events, 'demo-use', ({ action, source }) => `${action} ${source}`);
+  const sectionViews = [...countBy(events, 'section-view', ({ section }) => section)];
+  const mostViews = Math.max(1, ...sectionViews.map(([, count]) => count));
+  const byVariant = ({ experiment, variant }) => `${experiment} ${variant}`;
+  const exposures = countBy(events, 'experiment-exposure', byVariant);
+  const conversions = countBy(events, 'experiment-conversion', byVariant);
+  const latest = events.slice(-LATEST_COUNT).reverse();
+
+  return (
+    <ContentPage
+      title="Analytics"
+      intro="Events the local mock collector has received since the dev server started. They arrive in batches, a few seconds after they happen or when a tab is hidden."
+    >
+      <div className="flex flex-wrap items-center gap-3">
+        <Button type="button" size="sm" onClick={load}>
+          Refresh
+        </Button>
+        <Button type="button" variant="ghost" size="sm" onClick={handleClear} disabled={events.length === 0}>
+          <Icon icon={trashIcon} className="me-2 h-4 w-4" />
+          Clear
+        </Button>
+        <p role="status" className="text-sm text-neutral-400">
+          {events.length} events
+        </p>
+      </div>
+
+      {(error || !trackingAllowed) && (
+        <p className="flex items-start gap-2 rounded-lg border border-neutral-700 bg-neutral-900 p-4 text-sm">
+          <Icon icon={alertCircleIcon} className="mt-0.5 h-4 w-4 flex-shrink-0 text-warning" />
+          {error ?? 'This browser sends Do Not Track or Global Privacy Control, so it sends no events.'}
+        </p>
+      )}
+
+      <ContentSection id="cta-clicks" title="Install button clicks">
+        <CountTable
+          caption="Clicks by button location and action"
+          rows={CTA_LOCATIONS}
+          columns={CTA_ACTIONS}
+          counts={ctaClicks}
+        />
+      </ContentSection>
+
+      <ContentSection id="section-views" title="Home page section views">
+        {sectionViews.length === 0 ? (
+          <p className="text-sm text-neutral-400">No section views yet.</p>
+        ) : (
+          <ul className="space-y-2 text-sm">
+            {sectionViews.map(([section, count]) => (
+              <li key={section} className="grid grid-cols-[8rem_1fr_3rem] items-center gap-3">
+                <span className="truncate text-neutral-200">{section}</span>
+                <span className="h-2 rounded-full bg-neutral-800">
+                  <span
+                    className="block h-full rounded-full bg-accent-600"
+                    style={{ width: `${(count / mostViews) * 100}%` }}
+                  />
+                </span>
+                <span className="text-end tabular-nums">{count}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </ContentSection>
+
+      <ContentSection id="demo-use" title="Capture demo usage">
+        <CountTable caption="Demo actions by source" rows={DEMO_ACTIONS} columns={DEMO_SOURCES} counts={demoUse} />
+      </ContentSection>
+
+      <ContentSection id="experiments" title="Experiments">
+        <div className="space-y-8">
+          {EXPERIMENTS.map((experiment) => (
+            <ExperimentTable
+              key={experiment.id}
+              experiment={experiment}
+              exposures={exposures}
+              conversions={conversions}
+            />
+          ))}
+        </div>
+      </ContentSection>
+
+      <ContentSection id="latest" title="Latest events">
+        {latest.length === 0 ? (
+          <p className="text-sm text-neutral-400">Nothing received yet. Use the site in another tab, then refresh.</p>
+        ) : (
+          <ol className="divide-y divide-neutral-800 font-mono text-xs">
+            {latest.map((event, index) => (
+              <li key={`${event.time}-${index}`} className="flex flex-wrap gap-x-3 py-2">
+                <time dateTime={new Date(event.time).toISOString()} className="text-neutral-500">
+                  {formatTime(event.time)}
+                </time>
+                <span className="text-neutral-100">{event.name}</span>
+                <span>{Object.values(event.props).join(' · ')}</span>
+                <span className="text-neutral-500">{event.path}</span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </ContentSection>
+    </ContentPage>
+  );
+};
@@ -0,0 +1,361 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { CAPTURE_EXPORT_FORMATS, exportCaptures } from '../captures/exporters';
+import { CaptureError } from '../captures/schema';
+import { collectFacets, filterCaptures, groupByDay } from '../captures/search';
+import { useCaptures } from '../captures/useCaptures';
+import { CaptureCard } from '../components/CaptureCard';
+import { ContentPage, ContentSection } from '../components/ContentPage';
+import { downloadBlob } from '../components/downloadBlob';
+import { Icon } from '../components/Icon';
+import { Link } from '../components/Link';
+import { Button } from '../components/ui';
+import { useTranslation } from '../i18n/useTranslation';
+import alertCircleIcon from '../icons/alert-circle.svg?icon';
+import downloadIcon from '../icons/download.svg?icon';
+import mergeIcon from '../icons/merge.svg?icon';
+import searchIcon from '../icons/search.svg?icon';
+import trashIcon from '../icons/trash.svg?icon';
+import uploadIcon from '../icons/upload.svg?icon';
+
+const INPUT_STYLE =
+  'w-full rounded-lg border border-neutral-700 bg-neutral-900 px-3 py-2 text-sm text-foreground placeholder-neutral-500 focus:outline-none focus:ring-2 focus:ring-focus';
+
+const EMPTY_FILTERS = { query: '', site: '', tag: '', from: '', to: '' };
+
+const formatDay = (day, locale) =>
+  new Intl.DateTimeFormat(locale, { dateStyle: 'full' }).format(new Date(`${day}T00:00:00`));
+
+export const CapturesPage = () => {
+  const { locale, t } = useTranslation();
+  const { status, captures, error, importFile, setTags, merge, remove, clear } = useCaptures();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [format, setFormat] = useState('md');
+  const [notice, setNotice] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const facets = useMemo(() => collectFacets(captures), [captures]);
+  const visible = useMemo(() => filterCaptures(captures, filters), [captures, filters]);
+  const days = useMemo(() => groupByDay(visible), [visible]);
+  // Ids can go stale after a merge or delete, so selection is resolved against the store
+  const selected = captures.filter((capture) => selectedIds.has(capture.id));
+  const isFiltered = Object.values(filters).some(Boolean);
+
+  const report = (kind, message) => setNotice({ kind, message });
+
+  /**
+   * Runs a mutation, turning IndexedDB or parse failures into an error notice
+   */
+  const run = async (action, success) => {
+    try {
+      const result = await action();
+      if (success) report('success', success(result));
+    } catch (err) {
+      report('error', err instanceof CaptureError ? t(err.messageKey, err.params) : t('captures.errors.unknown'));
+    }
+  };
+
+  const handleImport = (file) => {
+    if (!file) return;
+    run(
+      () => importFile(file),
+      ({ added, replaced, skipped }) =>
+        [
+          t('captures.notices.imported', { count: added, file: file.name }),
+          replaced > 0 && t('captures.notices.updated', { count: replaced }),
+          skipped > 0 && t('captures.notices.skipped', { count: skipped }),
+        ]
+          .filter(Boolean)
+          .join(' ')
+    );
+  };
+
+  const handleFileChange = (e) => {
+    handleImport(e.target.files?.[0]);
+    e.target.value = '';
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleImport(e.dataTransfer.files[0]);
+  };
+
+  const updateFilter = (field, value) => setFilters((current) => ({ ...current, [field]: value }));
+
+  const toggle = (id, isSelected) => {
+    setSelectedIds((current) => {
+      const next = new Set(current);
+      if (isSelected) next.add(id);
+      else next.delete(id);
+      return next;
+    });
+  };
+
+  const clearSelection = () => setSelectedIds(new Set());
+
+  const handleMerge = () =>
+    run(async () => {
+      await merge(selected);
+      clearSelection();
+    }, () => t('captures.notices.merged', { count: selected.length }));
+
+  const handleDelete = (targets) => {
+    if (!window.confirm(t('captures.confirm.delete', { count: targets.length }))) return;
+    run(async () => {
+      await remove(targets.map((capture) => capture.id));
+      setSelectedIds((current) => new Set([...current].filter((id) => !targets.some((capture) => capture.id === id))));
+    }, () => t('captures.notices.deleted', { count: targets.length }));
+  };
+
+  const handleClear = () => {
+    if (!window.confirm(t('captures.confirm.clear'))) return;
+    run(async () => {
+      await clear();
+      clearSelection();
+    }, () => t('captures.notices.cleared'));
+  };
+
+  const handleExport = () => {
+    const targets = selected.length > 0 ? selected : visible;
+    const blob = exportCaptures(targets, format);
+    downloadBlob(blob, `captures.${CAPTURE_EXPORT_FORMATS[format].extension}`);
+  };
+
+  return (
+    <ContentPage title={t('captures.title')} intro={t('captures.intro')} translated>
+      <ContentSection id="import" title={t('captures.import.title')}>
+        <div
+          data-file-intake="local"
+          onDragOver={(e) => {
+            e.preventDefault();
+            setIsDragging(true);
+          }}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={handleDrop}
+          className={`flex flex-col items-center gap-3 rounded-xl border-2 border-dashed p-6 text-center transition-colors ${
+            isDragging ? 'border-accent-500 bg-accent-950/20' : 'border-neutral-700 bg-neutral-900/50'
+          }`}
+        >
+          <p className="text-sm text-neutral-400">
+            {t('captures.import.drop', { menu: <em>{t('captures.import.menu')}</em> })}
+          </p>
+          <input
+            ref={fileInputRef}
+            id="capture-import"
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            aria-label={t('captures.import.choose')}
+            tabIndex={-1}
+            className="sr-only"
+          />
+          <Button
+            type="button"
+            variant="secondary"
+            size="sm"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={status !== 'ready'}
+          >
+            <Icon icon={uploadIcon} className="me-2 h-4 w-4" />
+            {t('captures.import.choose')}
+          </Button>
+          <p className="text-xs text-neutral-500">
+            {t('captures.import.reimportHint')}
+          </p>
+        </div>
+
+        {(error || notice) && (
+          <p
+            role={error || notice.kind === 'error' ? 'alert' : 'status'}
+            className={`flex items-start gap-2 rounded-lg border p-3 text-sm ${
+              error || notice.kind === 'error'
+                ? 'border-accent-900 bg-accent-950/40 text-accent-200'
+                : 'border-success-900 bg-success-950/30 text-success-200'
+            }`}
+          >
+            <Icon icon={alertCircleIcon} className="mt-0.5 h-4 w-4 flex-shrink-0" />
+            {error ? t(error.key, error.params) : notice.message}
+          </p>
+        )}
+      </ContentSection>
+
+      <ContentSection id="timeline" title={t('captures.timeline.title')}>
+        {status === 'loading' && <p className="text-sm text-neutral-400">{t('captures.timeline.loading')}</p>}
+
+        {status === 'ready' && captures.length === 0 && (
+          <p className="text-sm text-neutral-400">
+            {t('captures.timeline.empty', {
+              guide: (
+                <Link to="/docs#captures" className="text-accent-400 underline hover:text-accent-300">
+                  {t('captures.timeline.guide')}
+                </Link>
+              ),
+            })}
+          </p>
+        )}
+
+        {captures.length > 0 && (
+          <>
+            <div role="search" className="grid gap-3 sm:grid-cols-2">
+              <label className="relative sm:col-span-2">
+                <span className="sr-only">{t('captures.timeline.search')}</span>
+                <Icon icon={searchIcon} className="pointer-events-none absolute start-3 top-2.5 h-4 w-4 text-neutral-500" />
+                <input
+                  type="search"
+                  value={filters.query}
+                  onChange={(e) => updateFilter('query', e.target.value)}
+                  placeholder={t('captures.timeline.searchPlaceholder')}
+                  className={`${INPUT_STYLE} ps-9`}
+                />
+              </label>
+              <label className="text-xs text-neutral-400">
+                {t('captures.timeline.site')}
+                <select
+                  value={filters.site}
+                  onChange={(e) => updateFilter('site', e.target.value)}
+                  className={`${INPUT_STYLE} mt-1`}
+                >
+                  <option value="">{t('captures.timeline.allSites')}</option>
+                  {facets.sites.map((site) => (
+                    <option key={site} value={site}>{site}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-xs text-neutral-400">
+                {t('captures.timeline.tag')}
+                <select
+                  value={filters.tag}
+                  onChange={(e) => updateFilter('tag', e.target.value)}
+                  className={`${INPUT_STYLE} mt-1`}
+                >
+                  <option value="">{t('captures.timeline.allTags')}</option>
+                  {facets.tags.map((tag) => (
+                    <option key={tag} value={tag}>{tag}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-xs text-neutral-400">
+                {t('captures.timeline.from')}
+                <input
+                  type="date"
+                  value={filters.from}
+                  max={filters.to || undefined}
+                  onChange={(e) => updateFilter('from', e.target.value)}
+                  className={`${INPUT_STYLE} mt-1`}
+                />
+              </label>
+              <label className="text-xs text-neutral-400">
+                {t('captures.timeline.to')}
+                <input
+                  type="date"
+                  value={filters.to}
+                  min={filters.from || undefined}
+                  onChange={(e) => updateFilter('to', e.target.value)}
+                  className={`${INPUT_STYLE} mt-1`}
+                />
+              </label>
+            </div>
+
+            <div className="sticky top-16 z-10 flex flex-wrap items-center gap-2 rounded-lg border border-neutral-800 bg-neutral-950/90 p-3 backdrop-blur-sm">
+              <span className="me-auto text-sm text-neutral-400" aria-live="polite">
+                {selected.length > 0
+                  ? t('captures.timeline.selected', { count: selected.length })
+                  : isFiltered
+                    ? t('captures.timeline.countOf', { count: visible.length, total: captures.length.toLocaleString(locale) })
+                    : t('captures.timeline.count', { count: visible.length })}
+              </span>
+              {selected.length > 0 && (
+                <>
+                  <Button variant="ghost" size="sm" onClick={clearSelection}>
+                    {t('captures.timeline.clearSelection')}
+                  </Button>
+                  <Button variant="secondary" size="sm" onClick={handleMerge} disabled={selected.length < 2}>
+                    <Icon icon={mergeIcon} className="me-2 h-4 w-4" />
+                    {t('captures.timeline.merge')}
+                  </Button>
+                  <Button variant="secondary" size="sm" onClick={() => handleDelete(selected)}>
+                    <Icon icon={trashIcon} className="me-2 h-4 w-4" />
+                    {t('captures.timeline.delete')}
+                  </Button>
+                </>
+              )}
+              <label className="flex items-center gap-2 text-sm text-neutral-400">
+                <span className="sr-only">{t('captures.timeline.exportFormat')}</span>
+                <select
+                  value={format}
+                  onChange={(e) => setFormat(e.target.value)}
+                  className="rounded-lg border border-neutral-700 bg-neutral-900 px-2 py-1.5 text-sm text-foreground focus:outline-none focus:ring-2 focus:ring-focus"
+                >
+                  {Object.keys(CAPTURE_EXPORT_FORMATS).map((value) => (
+                    <option key={value} value={value}>{t(`captures.formats.${value}`)}</option>
+                  ))}
+                </select>
+              </label>
+              <Button
+                size="sm"
+                onClick={handleExport}
+                disabled={selected.length === 0 && visible.length === 0}
+              >
+                <Icon icon={downloadIcon} className="me-2 h-4 w-4" />
+                {selected.length > 0
+                  ? t('captures.timeline.exportSelected')
+                  : isFiltered
+                    ? t('captures.timeline.exportResults')
+                    : t('captures.timeline.exportAll')}
+              </Button>
+            </div>
+
+            {days.length === 0 ? (
+              <p className="text-sm text-neutral-400">
+                {t('captures.timeline.noMatches')}{' '}
+                <button
+                  type="button"
+                  onClick={() => setFilters(EMPTY_FILTERS)}
+                  className="rounded-md bg-transparent p-0 text-accent-400 underline hover:text-accent-300"
+                >
+                  {t('captures.timeline.resetFilters')}
+                </button>
+              </p>
+            ) : (
+              <ol className="space-y-8">
+                {days.map(({ day, captures: dayCaptures }) => (
+                  <li key={day}>
+                    <h3 className="border-s-2 border-accent-600 ps-3 text-sm font-semibold text-neutral-200">
+                      <time dateTime={day}>{formatDay(day, locale)}</time>
+                    </h3>
+                    <div className="mt-3 space-y-3">
+                      {dayCaptures.map((capture) => (
+                        <CaptureCard
+                          key={capture.id}
+                          capture={capture}
+                          selected={selectedIds.has(capture.id)}
+                          onSelect={(isSelected) => toggle(capture.id, isSelected)}
+                          onTagsChange={(tags) => run(() => setTags(capture, tags))}
+                          onDelete={() => handleDelete([capture])}
+                        />
+                      ))}
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </>
+        )}
+      </ContentSection>
+
+      {captures.length > 0 && (
+        <ContentSection id="storage" title={t('captures.storage.title')}>
+          <p>
+            {t('captures.storage.body')}
+          </p>
+          <Button variant="secondary" size="sm" onClick={handleClear}>
+            <Icon icon={trashIcon} className="me-2 h-4 w-4" />
+            {t('captures.storage.deleteAll')}
+          </Button>
+        </ContentSection>
+      )}
+    </ContentPage>
+  );
+};
@@ -0,0 +1,40 @@
+import React from 'react';
+import { ContactForm } from '../components/ContactForm';
+import { ContentPage, ContentSection } from '../components/ContentPage';
+import { RELEASE } from '../download/releases';
+import { Link } from '../components/Link';
+
+export const ContactPage = () => {
+  return (
+    <ContentPage
+      title="Contact"
+      intro="Found a bug, have an idea or need a hand? Tell us below. For recognition problems, attaching the frame that was misread makes it much easier to fix."
+    >
+      <ContentSection id="report" title="Send a report">
+        <ContactForm />
+      </ContentSection>
+
+      <ContentSection id="issues" title="Prefer GitHub?">
+        <p>
+          Video Text OCR is developed in the open. You can also browse or open
+          issues on the{' '}
+          <a href={`${RELEASE.repository}/issues`} target="_blank" rel="noopener noreferrer" className="text-accent-400 underline hover:text-accent-300">
+            GitHub issue tracker
+          </a>
+          .
+        </p>
+      </ContentSection>
+
+      <ContentSection id="help" title="Getting started">
+        <p>
+          Most questions are answered in the{' '}
+          <Link to="/docs" className="text-accent-400 underline hover:text-accent-300">
+            user guide
+          </Link>
+          , which covers capturing frames, selecting regions and exporting
+          transcripts.
+        </p>
+      </ContentSection>
+    </ContentPage>
+  );
+};
@@ -0,0 +1,149 @@
+import React from 'react';
+import { ContentPage, ContentSection } from '../components/ContentPage';
+import { Link } from '../components/Link';
+
+const GUIDE = [
+  { id: 'getting-started', title: 'Getting started' },
+  { id: 'capture-frame', title: 'Capture a frame' },
+  { id: 'select-region', title: 'Select a region' },
+  { id: 'paste-drop', title: 'Paste or drop images' },
+  { id: 'transcripts', title: 'Whole-video transcripts' },
+  { id: 'code', title: 'Capturing code' },
+  { id: 'captures', title: 'Your capture history' },
+  { id: 'troubleshooting', title: 'Troubleshooting' },
+];
+
+const Kbd = ({ children }) => (
+  <kbd className="rounded border border-neutral-700 bg-neutral-800 px-1.5 py-0.5 font-mono text-xs text-neutral-200">
+    {children}
+  </kbd>
+);
+
+export const DocsPage = () => {
+  return (
+    <ContentPage
+      title="User Guide"
+      intro="Everything you can do with Video Text OCR, from a single screenshot of a paused lecture to a full transcript of a tutorial."
+    >
+      <nav aria-label="On this page" className="rounded-lg border border-neutral-800 bg-neutral-900/50 p-6">
+        <p className="text-sm font-semibold uppercase tracking-wide text-neutral-400">On this page</p>
+        <ol className="mt-4 grid gap-2 sm:grid-cols-2">
+          {GUIDE.map((entry) => (
+            <li key={entry.id}>
+              <Link to={`/docs#${entry.id}`} className="text-neutral-300 transition-colors hover:text-foreground">
+                {entry.title}
+              </Link>
+            </li>
+          ))}
+        </ol>
+      </nav>
+
+      <ContentSection id="getting-started" title="Getting started">
+        <p>
+          Install the extension from the Chrome Web Store, or try everything
+          first in the demo on the{' '}
+          <Link to="/" className="text-accent-400 underline hover:text-accent-300">home page</Link>.
+          Open any video or image from your device, or play the sample clip, a
+          short generated lecture.
+        </p>
+        <p>
+          The first capture downloads the OCR engine (a few megabytes). After
+          that it is cached and captures start straight away.
+        </p>
+      </ContentSection>
+
+      <ContentSection id="capture-frame" title="Capture a frame">
+        <p>
+          Pause the video on the frame you want and press <em>Capture Frame</em>.
+          The recognized text appears below the player; press <em>Copy</em> to
+          put it on your clipboard. Images are recognized as soon as they load.
+        </p>
+      </ContentSection>
+
+      <ContentSection id="select-region" title="Select a region">
+        <p>
+          Press <em>Select region</em> and drag over the part of the frame you
+          care about, such as a code listing or a slide title. Only that area is
+          recognized, which is faster and avoids picking up unrelated text.
+        </p>
+        <p>
+          With the keyboard, use the arrow keys to move the region,{' '}
+          <Kbd>Shift</Kbd> + arrow keys to resize it, <Kbd>Delete</Kbd> to clear
+          it and <Kbd>Esc</Kbd> or <Kbd>Enter</Kbd> to finish.
+        </p>
+      </ContentSection>
+
+      <ContentSection id="paste-drop" title="Paste or drop images">
+        <p>
+          Paste a screenshot with <Kbd>Ctrl</Kbd> + <Kbd>V</Kbd> (<Kbd>⌘</Kbd> +{' '}
+          <Kbd>V</Kbd> on a Mac) or drag an image or video onto any page of this
+          site. It opens in the demo and, for images, recognition starts
+          immediately. PNG, JPEG, WebP, GIF and BMP images up to 25 MB are
+          supported.
+        </p>
+      </ContentSection>
+
+      <ContentSection id="transcripts" title="Whole-video transcripts">
+        <p>
+          Switch the demo to <em>Whole video</em> to scan a video file from start
+          to finish with <em>Generate Transcript</em>. Choose a fixed sampling
+          interval or <em>On scene change</em>,
+          which only reads frames that look different from the previous one.
+          Repeated text is merged into a single timed segment.
+        </p>
+        <p>
+          Click a timestamp to jump to that point, edit any segment inline and
+          export the result as SRT or WebVTT subtitles, Markdown notes or plain
+          text. A selected region applies to every sampled frame.
+        </p>
+      </ContentSection>
+
+      <ContentSection id="code" title="Capturing code">
+        <p>
+          When a capture looks like source code, the result is shown with syntax
+          highlighting and the original indentation rebuilt from the position of
+          each line. Common OCR mix-ups, such as a capital O inside a number,
+          are fixed automatically and listed so you can reject any you disagree
+          with. <em>Copy as code block</em> wraps the result in a Markdown fence.
+        </p>
+      </ContentSection>
+
+      <ContentSection id="captures" title="Your capture history">
+        <p>
+          The extension keeps the text you capture. Choose <em>Export
+          captures</em> in its menu to save them as a JSON file, then import
+          that file on{' '}
+          <Link to="/captures" className="text-accent-400 underline hover:text-accent-300">My Captures</Link>{' '}
+          to see them on a timeline grouped by day.
+        </p>
+        <p>
+          Search matches the text, page titles, addresses and tags; put a phrase
+          in quotes to match it exactly. Filter by site, tag or date, add tags to
+          organize captures, and select several to merge them into one or to
+          export them as Markdown, plain text, CSV or an Anki flashcard deck.
+          Without a selection, Export uses everything the filters show.
+        </p>
+        <p>
+          Imported captures are stored only in this browser. Importing the same
+          file again updates existing captures rather than duplicating them.
+        </p>
+      </ContentSection>
+
+      <ContentSection id="troubleshooting" title="Troubleshooting">
+        <ul className="list-disc space-y-2 ps-6">
+          <li>
+            Blurry or tiny text reads better when you select a region around it;
+            small regions are enlarged before recognition.
+          </li>
+          <li>
+            Transcripts need a video file. The sample clip is generated live and
+            can't be scanned from start to finish.
+          </li>
+          <li>
+            Still stuck? <Link to="/contact" className="text-accent-400 underline hover:text-accent-300">Get in touch</Link>.
+          </li>
+        </ul>
+      </ContentSection>
+    </ContentPage>
+  );
+};
@@ -0,0 +1,30 @@
+import React from 'react';
+import { useSectionViews } from '../analytics/useSectionViews';
+import { useContent } from '../content/useContent';
+import { CTA } from '../sections/CTA';
+import { Faq } from '../sections/Faq';
+import { Features } from '../sections/Features';
+import { Hero } from '../sections/Hero';
+import { HowItWorks } from '../sections/HowItWorks';
+
+// Components for the section types in src/content/schema.js
+const SECTIONS = {
+  hero: Hero,
+  features: Features,
+  steps: HowItWorks,
+  faq: Faq,
+  cta: CTA,
+};
+
+/**
+ * HomePage - The sections listed in src/content/home, in order
+ */
+export const HomePage = () => {
+  const { sections } = useContent('home');
+  useSectionViews(sections.map((section) => section.id).filter(Boolean));
+
+  return sections.map(({ type, ...section }, index) => {
+    const Section = SECTIONS[type];
+    return <Section key={section.id ?? `${type}-${index}`} {...section} />;
+  });
+};
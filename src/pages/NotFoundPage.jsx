@@ -0,0 +1,35 @@
+import React from 'react';
+import { Link } from '../components/Link';
+import { useTranslation } from '../i18n/useTranslation';
+
+export const NotFoundPage = () => {
+  const { t } = useTranslation();
+
+  return (
+    <section className="py-24 sm:py-32">
+      <div className="container mx-auto max-w-xl px-4 text-center sm:px-6 lg:px-8">
+        <p className="text-sm font-semibold uppercase tracking-wide text-accent-400">404</p>
+        <h1 className="mt-4 text-4xl font-extrabold tracking-tight text-foreground sm:text-5xl">
+          {t('notFound.title')}
+        </h1>
+        <p className="mt-6 text-lg text-neutral-300">
+          {t('notFound.description')}
+        </p>
+        <div className="mt-10 flex flex-col items-center justify-center gap-4 sm:flex-row">
+          <Link
+            to="/"
+            className="inline-flex h-11 items-center justify-center rounded-md bg-accent-600 px-6 font-semibold text-on-accent transition-colors hover:bg-accent-700"
+          >
+            {t('notFound.home')}
+          </Link>
+          <Link
+            to="/docs"
+            className="inline-flex h-11 items-center justify-center rounded-md px-6 font-semibold text-neutral-300 transition-colors hover:text-foreground"
+          >
+            {t('notFound.docs')}
+          </Link>
+        </div>
+      </div>
+    </section>
+  );
+};
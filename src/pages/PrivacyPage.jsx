@@ -0,0 +1,112 @@
+import React from 'react';
+import { ContentPage, ContentSection } from '../components/ContentPage';
+import { RELEASE } from '../download/releases';
+
+export const PrivacyPage = () => {
+  return (
+    <ContentPage
+      title="Privacy Policy"
+      intro="Video Text OCR is built so that the videos and images you capture never leave your device. This page explains what that means in practice."
+    >
+      <ContentSection id="local-processing" title="Everything is processed locally">
+        <p>
+          Text recognition runs inside your browser using a WebAssembly build of
+          the Tesseract OCR engine. Frames, regions, pasted images and the text
+          extracted from them are kept in memory on your device and are never
+          uploaded to us or to anyone else.
+        </p>
+        <p>
+          The same applies to the demo on this website: files you pick, paste or
+          drop are opened with a local object URL and discarded when you load
+          another file or leave the page.
+        </p>
+      </ContentSection>
+
+      <ContentSection id="captures" title="Your capture history">
+        <p>
+          Captures you import on the My Captures page are read from the file
+          in your browser and stored in its IndexedDB storage on your device,
+          together with any tags you add. They are never uploaded. You can
+          delete them from that page at any time, and clearing this site's
+          data in your browser removes them too.
+        </p>
+      </ContentSection>
+
+      <ContentSection id="downloads" title="What your browser downloads">
+        <p>
+          The first capture downloads the OCR engine from this website, and
+          each text language is downloaded the first time you read with it.
+          Language data is kept in your browser's IndexedDB storage so later
+          captures work without downloading it again.
+        </p>
+        <p>
+          To work offline, the site keeps its pages, its typeface and the OCR
+          engine in your browser's cache storage. Everything is served from
+          this website; nothing is loaded from other sites. Files you open with
+          the installed app or share to it are read on your device and are not
+          uploaded.
+        </p>
+      </ContentSection>
+
+      <ContentSection id="data" title="What we collect">
+        <p>
+          There are no accounts and no cookies on this site, and the extension
+          does not send usage data anywhere.
+        </p>
+        <p>
+          The website counts a few anonymous events so we can tell what is
+          useful: which install button was clicked (in the header, the menu or
+          a page section), which home page sections were scrolled into view,
+          and which demo features were used, such as opening a file or copying
+          text. Each event holds only its name, those details, the page address
+          without any query or fragment, and the time. No identifier is
+          attached, nothing is stored on your device to recognize you, and no
+          browser details are collected to tell visitors apart. Events are
+          kept in memory and sent in small batches to this website.
+        </p>
+        <p>
+          We sometimes try out different wording, such as two versions of the
+          home page headline. To show you the same version on every visit, the
+          site keeps a number from 0 to 99 in your browser's local storage.
+          Many visitors share each number, so it cannot identify you. Events
+          then also say which version you were shown and whether you went on
+          to click an install button.
+        </p>
+        <p>
+          If your browser sends a Do Not Track or Global Privacy Control
+          signal, no events are recorded or sent at all, you always see the
+          usual wording, and nothing is stored for it.
+        </p>
+        <p>
+          Apart from those counts, the only thing that leaves your device is a
+          report you choose to send from the contact page: the category,
+          browser, extension version, description, the optional email address
+          and frame image you add, and the address of the page you sent it
+          from. Reports are used only to
+          answer you and fix problems. The form keeps the times of your last
+          few reports in your browser's local storage to limit repeated
+          submissions.
+        </p>
+      </ContentSection>
+
+      <ContentSection id="clipboard" title="Clipboard access">
+        <p>
+          Copying a result writes it to your clipboard only when you press a
+          Copy button. Pasting an image is handled only when you paste it
+          yourself; the site never reads your clipboard on its own.
+        </p>
+      </ContentSection>
+
+      <ContentSection id="changes" title="Changes and questions">
+        <p>
+          If this policy changes, the new version will be published on this
+          page and in the{' '}
+          <a href={RELEASE.repository} target="_blank" rel="noopener noreferrer" className="text-accent-400 underline hover:text-accent-300">
+            project repository
+          </a>
+          . Questions are welcome through the contact page.
+        </p>
+      </ContentSection>
+    </ContentPage>
+  );
+};
@@ -0,0 +1,18 @@
+// --- App Install Settings ---
+// Names shared by plugins/pwa.js, which writes the manifest and service
+// worker at build time, and the page scripts that talk to them. Paths are
+// relative to the site's base URL.
+
+export const MANIFEST_FILE = 'manifest.webmanifest';
+export const SERVICE_WORKER_FILE = 'sw.js';
+
+/**
+ * Where the share sheet posts files shared to the installed app
+ */
+export const SHARE_TARGET_PATH = 'share-target';
+
+/**
+ * Cache the service worker parks a shared file in until the page takes it
+ */
+export const SHARED_FILES_CACHE = 'shared-files';
+export const SHARED_FILE_PATH = 'shared-file';
@@ -0,0 +1,48 @@
+import { localizePath, splitLocalePath } from '../i18n/locales';
+import { handOffFile } from '../ocr/handoff';
+import { getLocation, navigate } from '../router/history';
+import { SHARED_FILE_PATH, SHARED_FILES_CACHE } from './config';
+
+// --- Launched Files ---
+// The installed app opens images and videos from the operating system (the
+// manifest's file handlers) and from other apps' share sheets (its share
+// target). Either way the file goes to the capture demo, like a dropped one.
+
+const openInCaptureDemo = (file) => {
+  handOffFile(file);
+  // The window may already be open on another page
+  const { locale, path } = splitLocalePath(getLocation().path);
+  if (path !== '/') navigate(localizePath('/', locale));
+};
+
+// The service worker parks a shared file in a cache before redirecting here
+const takeSharedFile = async () => {
+  if (!('caches' in window)) return null;
+  const cache = await caches.open(SHARED_FILES_CACHE);
+  const response = await cache.match(`${import.meta.env.BASE_URL}${SHARED_FILE_PATH}`);
+  if (!response) return null;
+
+  await caches.delete(SHARED_FILES_CACHE);
+  const blob = await response.blob();
+  const name = decodeURIComponent(response.headers.get('X-File-Name') ?? 'shared');
+  return new File([blob], name, { type: blob.type });
+};
+
+/**
+ * receiveLaunchedFiles - Opens files the app was launched with, or that were
+ * shared to it, in the capture demo
+ */
+export const receiveLaunchedFiles = async () => {
+  window.launchQueue?.setConsumer(async ({ files }) => {
+    // The demo reads one file at a time; the first one wins
+    const [handle] = files;
+    if (handle) openInCaptureDemo(await handle.getFile());
+  });
+
+  try {
+    const file = await takeSharedFile();
+    if (file) openInCaptureDemo(file);
+  } catch {
+    // Cache storage can be unavailable, e.g. in some private windows
+  }
+};
@@ -0,0 +1,121 @@
+// --- Service Worker ---
+// Keeps the site and the capture demo working offline. plugins/pwa.js fills
+// in the precache settings at build time: every file of the build bar the OCR
+// files only some captures need, each with a content revision so an update
+// only downloads what changed. A new version waits until the page accepts it
+// (see src/pwa/serviceWorker.js).
+
+const { entries, start, fallback, ocr, shareTarget, sharedFilesCache, sharedFile } = __PRECACHE__;
+
+const PRECACHE = 'precache';
+// OCR files fetched on first use, e.g. the script detection engine
+const RUNTIME = 'ocr-runtime';
+
+// Pages are requested with and without a trailing slash
+const normalize = (pathname) => pathname.replace(/\/+$/, '') || '/';
+
+const cacheKey = ({ url, revision }) => new URL(`${url}?revision=${revision}`, self.location.origin).href;
+
+const keys = new Map(entries.map((entry) => [normalize(entry.url), cacheKey(entry)]));
+
+const precacheEntry = async (cache, entry) => {
+  const key = cacheKey(entry);
+  if (await cache.match(key)) return;
+
+  const response = await fetch(entry.url, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`Precaching ${entry.url} failed with ${response.status}`);
+  // Responses that followed a redirect can't answer navigations; store a plain copy
+  const body = response.redirected ? new Response(await response.blob(), { headers: response.headers }) : response;
+  await cache.put(key, body);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE).then((cache) => Promise.all(entries.map((entry) => precacheEntry(cache, entry))))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    (async () => {
+      const current = new Set(keys.values());
+      const cache = await caches.open(PRECACHE);
+      const stale = (await cache.keys()).filter((request) => !current.has(request.url));
+      await Promise.all(stale.map((request) => cache.delete(request)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skip-waiting') self.skipWaiting();
+});
+
+// Fresh pages while online; the precached copy, or the 404 page, offline
+const respondToNavigation = async (request, url) => {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cache = await caches.open(PRECACHE);
+    const page = keys.get(normalize(url.pathname)) ?? keys.get(fallback);
+    const cached = page && (await cache.match(page));
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const respondFromPrecache = async (request, key) => {
+  const cached = await caches.match(key);
+  return cached ?? fetch(request);
+};
+
+const respondFromRuntimeCache = async (request) => {
+  const cache = await caches.open(RUNTIME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+};
+
+// The share sheet posts the file here; it waits in a cache for the page,
+// which opens it in the capture demo (see src/pwa/launch.js)
+const receiveShare = async (request) => {
+  const data = await request.formData();
+  const file = [...data.values()].find((value) => value instanceof File);
+  if (file) {
+    const cache = await caches.open(sharedFilesCache);
+    await cache.put(
+      sharedFile,
+      new Response(file, {
+        headers: { 'Content-Type': file.type, 'X-File-Name': encodeURIComponent(file.name) },
+      })
+    );
+  }
+  return Response.redirect(new URL(start, self.location.origin).href, 303);
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.method === 'POST' && normalize(url.pathname) === normalize(shareTarget)) {
+    event.respondWith(receiveShare(request));
+    return;
+  }
+  if (request.method !== 'GET') return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(respondToNavigation(request, url));
+    return;
+  }
+
+  const key = keys.get(normalize(url.pathname));
+  if (key) {
+    event.respondWith(respondFromPrecache(request, key));
+  } else if (url.pathname.startsWith(ocr) && !url.pathname.endsWith('.traineddata.gz')) {
+    // Tesseract keeps language data in IndexedDB itself
+    event.respondWith(respondFromRuntimeCache(request));
+  }
+});
@@ -0,0 +1,81 @@
+import { SERVICE_WORKER_FILE } from './config';
+
+// --- Service Worker Registration ---
+// Registers the worker from plugins/pwa.js and keeps a small external store
+// of whether a new version has been downloaded and is waiting. The page
+// decides when to switch, so a capture in progress is never cut off.
+
+// Tabs left open for days still hear about new versions
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+const listeners = new Set();
+let waitingWorker = null;
+let accepted = false;
+
+const setWaitingWorker = (worker) => {
+  waitingWorker = worker;
+  listeners.forEach((listener) => listener());
+};
+
+const watchInstall = (worker) => {
+  worker.addEventListener('statechange', () => {
+    // Without a controller this is the first install, not an update
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) setWaitingWorker(worker);
+  });
+};
+
+/**
+ * registerServiceWorker - Installs the service worker and starts watching for
+ * updates. Builds only; in development it would fight with hot reloading.
+ */
+export const registerServiceWorker = async () => {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    // The new version took over because the visitor accepted it
+    if (accepted) window.location.reload();
+  });
+
+  try {
+    const registration = await navigator.serviceWorker.register(
+      `${import.meta.env.BASE_URL}${SERVICE_WORKER_FILE}`
+    );
+    if (registration.waiting && navigator.serviceWorker.controller) setWaitingWorker(registration.waiting);
+    registration.addEventListener('updatefound', () => watchInstall(registration.installing));
+    setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+  } catch {
+    // Not fatal: the site works as before, just not offline
+  }
+};
+
+/**
+ * isUpdateWaiting - Whether a new version is ready to take over
+ * @returns {boolean}
+ */
+export const isUpdateWaiting = () => waitingWorker !== null;
+
+/**
+ * subscribeToUpdates - Registers a listener for isUpdateWaiting changes
+ * @param {() => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export const subscribeToUpdates = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * applyUpdate - Switches to the waiting version; the page reloads once it
+ * has taken over
+ */
+export const applyUpdate = () => {
+  if (!waitingWorker) return;
+  accepted = true;
+  waitingWorker.postMessage({ type: 'skip-waiting' });
+};
+
+/**
+ * dismissUpdate - Hides the prompt; the new version starts the next time
+ * every tab of the site has been closed
+ */
+export const dismissUpdate = () => setWaitingWorker(null);
@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+import { isUpdateWaiting, subscribeToUpdates } from './serviceWorker';
+
+// Prerendered pages never show the prompt; only the browser can know
+const getServerSnapshot = () => false;
+
+/**
+ * useUpdateWaiting - Whether a new version of the site is ready to load
+ * @returns {boolean}
+ */
+export const useUpdateWaiting = () => useSyncExternalStore(subscribeToUpdates, isUpdateWaiting, getServerSnapshot);
@@ -0,0 +1,143 @@
+// --- History ---
+// A deliberately small wrapper around the History API: path/hash parsing,
+// navigation, change notifications and per-entry scroll positions.
+
+const BASE = import.meta.env.BASE_URL.replace(/\/$/, '');
+const SCROLL_KEY = 'router:scroll';
+
+const listeners = new Set();
+let entryCounter = 0;
+
+const createKey = () => `${Date.now().toString(36)}-${entryCounter++}`;
+
+// Prerendering imports the router in Node, where there is no window
+const isBrowser = typeof window !== 'undefined';
+
+const parseLocation = ({ pathname, hash, search }, key, action) => ({
+  path: pathname.startsWith(BASE) ? pathname.slice(BASE.length) || '/' : pathname,
+  hash: decodeURIComponent(hash.slice(1)),
+  search,
+  key,
+  action,
+});
+
+const readLocation = (action) => parseLocation(window.location, window.history.state?.key, action);
+
+// Entries opened from outside the app have no key yet; give them one so their
+// scroll position can be saved and restored on reload or back/forward
+if (isBrowser && !window.history.state?.key) {
+  window.history.replaceState({ ...window.history.state, key: createKey() }, '');
+}
+
+let current = isBrowser
+  ? readLocation('load')
+  : parseLocation({ pathname: BASE || '/', hash: '', search: '' }, undefined, 'load');
+
+const notify = (action) => {
+  current = readLocation(action);
+  listeners.forEach((listener) => listener());
+};
+
+const readScrollPositions = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SCROLL_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * saveScrollPosition - Remembers the scroll offset of the current history entry
+ */
+export const saveScrollPosition = () => {
+  const positions = readScrollPositions();
+  positions[current.key] = window.scrollY;
+  try {
+    sessionStorage.setItem(SCROLL_KEY, JSON.stringify(positions));
+  } catch {
+    // Storage can be unavailable (private mode); restoration just won't happen
+  }
+};
+
+/**
+ * getSavedScrollPosition - Scroll offset stored for a history entry, if any
+ * @param {string} key - Location key
+ * @returns {number | undefined}
+ */
+export const getSavedScrollPosition = (key) => readScrollPositions()[key];
+
+/**
+ * href - Builds an absolute href for an app path, respecting Vite's base URL
+ * @param {string} to - App path such as "/docs" or "/#features"
+ */
+export const href = (to) => `${BASE}${to}`;
+
+/**
+ * navigate - Moves to an app path without reloading the page
+ * @param {string} to - App path, optionally with a #hash
+ * @param {object} options
+ * @param {boolean} options.replace - Replace the current entry instead of pushing
+ */
+export const navigate = (to, { replace = false } = {}) => {
+  saveScrollPosition();
+  const state = { key: createKey() };
+  if (replace) {
+    window.history.replaceState(state, '', href(to));
+  } else {
+    window.history.pushState(state, '', href(to));
+  }
+  notify(replace ? 'replace' : 'push');
+};
+
+/**
+ * replaceHash - Mirrors the section in view into the URL (scroll-spy) without
+ * adding a history entry. The location's action is 'sync', which tells the
+ * app not to scroll to the hash.
+ * @param {string} hash - Section id, or '' to drop the hash
+ */
+export const replaceHash = (hash) => {
+  if (hash === current.hash) return;
+  const { pathname, search } = window.location;
+  window.history.replaceState(window.history.state, '', `${pathname}${search}${hash ? `#${hash}` : ''}`);
+  notify('sync');
+};
+
+/**
+ * getLocation - Current location snapshot (stable between changes)
+ * @returns {{path: string, hash: string, search: string, key: string, action: string}}
+ */
+export const getLocation = () => current;
+
+/**
+ * setServerLocation - Points the router at a URL while prerendering
+ * @param {string} url - Path including the base URL, e.g. "/es/docs"
+ */
+export const setServerLocation = (url) => {
+  current = parseLocation(new URL(url, 'http://localhost'), undefined, 'load');
+};
+
+/**
+ * subscribe - Registers a listener for location changes
+ * @param {() => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  if (listeners.size === 0) {
+    window.addEventListener('popstate', handlePopState);
+  }
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) window.removeEventListener('popstate', handlePopState);
+  };
+};
+
+function handlePopState() {
+  saveScrollPosition();
+  notify('pop');
+}
+
+// We restore scroll ourselves once the new route has rendered
+if (isBrowser && 'scrollRestoration' in window.history) {
+  window.history.scrollRestoration = 'manual';
+}
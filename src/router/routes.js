@@ -0,0 +1,37 @@
+import { AnalyticsPage } from '../pages/AnalyticsPage';
+import { CapturesPage } from '../pages/CapturesPage';
+import { ContactPage } from '../pages/ContactPage';
+import { DocsPage } from '../pages/DocsPage';
+import { HomePage } from '../pages/HomePage';
+import { NotFoundPage } from '../pages/NotFoundPage';
+import { PrivacyPage } from '../pages/PrivacyPage';
+
+// Paths are locale-less; the locale prefix is stripped before matching
+export const ROUTES = [
+  { path: '/', titleKey: 'meta.titles.home', descriptionKey: 'meta.descriptions.home', component: HomePage },
+  { path: '/docs', titleKey: 'meta.titles.docs', descriptionKey: 'meta.descriptions.docs', component: DocsPage },
+  { path: '/privacy', titleKey: 'meta.titles.privacy', descriptionKey: 'meta.descriptions.privacy', component: PrivacyPage },
+  { path: '/contact', titleKey: 'meta.titles.contact', descriptionKey: 'meta.descriptions.contact', component: ContactPage },
+  { path: '/captures', titleKey: 'meta.titles.captures', descriptionKey: 'meta.descriptions.captures', component: CapturesPage },
+  // Reads the mock collector, which only the dev server runs; never built or prerendered
+  ...(import.meta.env.DEV
+    ? [{ path: '/analytics', titleKey: 'meta.titles.analytics', descriptionKey: 'meta.descriptions.analytics', component: AnalyticsPage }]
+    : []),
+];
+
+export const NOT_FOUND_ROUTE = {
+  path: null,
+  titleKey: 'meta.titles.notFound',
+  descriptionKey: 'meta.descriptions.notFound',
+  component: NotFoundPage,
+};
+
+/**
+ * matchRoute - Finds the route for a path, ignoring a trailing slash
+ * @param {string} path - App path without base URL, locale prefix, query or hash
+ * @returns {{path: string | null, titleKey: string, descriptionKey: string, component: Function}}
+ */
+export const matchRoute = (path) => {
+  const normalized = path.length > 1 ? path.replace(/\/+$/, '') : path;
+  return ROUTES.find((route) => route.path === normalized) ?? NOT_FOUND_ROUTE;
+};
@@ -0,0 +1,10 @@
+import { useSyncExternalStore } from 'react';
+import { getLocation, subscribe } from './history';
+
+/**
+ * useLocation - Re-renders on client-side navigation and back/forward.
+ * Prerendered pages are only hydrated when their URL matches the address
+ * bar, so the same snapshot serves the server render and hydration.
+ * @returns {{path: string, hash: string, search: string, key: string, action: string}}
+ */
+export const useLocation = () => useSyncExternalStore(subscribe, getLocation, getLocation);
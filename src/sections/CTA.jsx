@@ -0,0 +1,49 @@
+import React from 'react';
+import { DownloadButton } from '../components/DownloadButton';
+import { Reveal } from '../components/Reveal';
+import { useVariant } from '../experiments/useVariant';
+import { variantCopy } from '../experiments/variants';
+import { format } from '../i18n/translate';
+
+/**
+ * CTA - Closing call to install the extension. Its install label is under
+ * test; see src/experiments/config.js.
+ * @param {object} props - A "cta" section from src/content
+ */
+export const CTA = (section) => {
+  const { title, description } = section;
+  const ctaLabel = useVariant('cta-label');
+
+  return (
+    <Reveal as="section" preset="scale" className="py-20 sm:py-28">
+      <div className="container mx-auto max-w-4xl px-4 sm:px-6 lg:px-8">
+        <div className="relative overflow-hidden rounded-2xl bg-neutral-900 py-16 px-6 text-center shadow-xl shadow-neutral-950/50 md:py-24 md:px-12">
+          {/* Glow */}
+          <div
+            aria-hidden="true"
+            className="absolute inset-x-0 top-0 z-0 h-1/2 bg-gradient-to-b from-accent-600/30 opacity-50"
+          />
+          <div className="relative z-10">
+            <h2 className="text-3xl font-extrabold text-foreground sm:text-4xl">
+              {title}
+            </h2>
+            <p className="mt-4 text-lg text-neutral-300">
+              {description}
+            </p>
+            <div className="mt-10">
+              <DownloadButton
+                location="cta"
+                label={(values) =>
+                  ctaLabel.render((variant) => format(variantCopy(section, 'cta-label', variant).download, values))
+                }
+                size="lg"
+                showDetails
+                className="w-full sm:w-auto"
+              />
+            </div>
+          </div>
+        </div>
+      </div>
+    </Reveal>
+  );
+};
@@ -0,0 +1,193 @@
+import React, { useEffect, useId, useState } from 'react';
+import { Icon } from '../components/Icon';
+import { Link } from '../components/Link';
+import { Reveal } from '../components/Reveal';
+import { Card } from '../components/ui';
+import { format } from '../i18n/translate';
+import chevronDownIcon from '../icons/chevron-down.svg?icon';
+import linkIcon from '../icons/link.svg?icon';
+import searchIcon from '../icons/search.svg?icon';
+import { useLocation } from '../router/useLocation';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words of the query; a question matches when it contains every one of them
+const searchTerms = (query) => query.trim().split(/\s+/).filter(Boolean);
+
+const matchesAll = (item, terms) =>
+  terms.every((term) => new RegExp(escapeRegExp(term), 'iu').test(`${item.question} ${item.answer}`));
+
+// Longest terms first, so "video" wins over "vid" where both match
+const highlightPattern = (terms) =>
+  terms.length
+    ? new RegExp(`(${[...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`, 'giu')
+    : null;
+
+/**
+ * Highlight - Text with the parts matching a search marked
+ * @param {object} props
+ * @param {string} props.text
+ * @param {RegExp | null} props.pattern - From highlightPattern, with one capturing group
+ */
+const Highlight = ({ text, pattern }) => {
+  if (!pattern) return text;
+  // Splitting on a capturing group puts the matches at the odd indices
+  return text.split(pattern).map((part, index) =>
+    index % 2 ? (
+      <mark key={index} className="rounded-sm bg-warning/30 text-foreground">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+};
+
+/**
+ * Faq - Searchable accordion of questions. Each question has its own
+ * #id, so /#drm-video opens it and scrolls to it.
+ * @param {object} props - A "faq" section from src/content
+ */
+export const Faq = ({
+  id,
+  title,
+  subtitle,
+  searchLabel,
+  searchPlaceholder,
+  results,
+  noResults,
+  linkLabel,
+  items,
+}) => {
+  const location = useLocation();
+  const searchId = useId();
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(() => new Set());
+
+  const terms = searchTerms(query);
+  const searching = terms.length > 0;
+  const pattern = highlightPattern(terms);
+  const matching = items.filter((item) => matchesAll(item, terms));
+
+  // A deep link opens its question, and clears a search that would hide it
+  useEffect(() => {
+    if (!items.some((item) => item.id === location.hash)) return;
+    setOpen((previous) => new Set(previous).add(location.hash));
+    setQuery((previous) =>
+      matchesAll(items.find((item) => item.id === location.hash), searchTerms(previous)) ? previous : ''
+    );
+  }, [items, location.hash]);
+
+  const handleSearch = (e) => {
+    const next = searchTerms(e.target.value);
+    setQuery(e.target.value);
+    // Searching opens the answers so the highlighted matches can be seen
+    setOpen(new Set(next.length ? items.filter((item) => matchesAll(item, next)).map((item) => item.id) : []));
+  };
+
+  const toggle = (itemId) =>
+    setOpen((previous) => {
+      const next = new Set(previous);
+      if (!next.delete(itemId)) next.add(itemId);
+      return next;
+    });
+
+  let status = '';
+  if (searching) {
+    status = matching.length
+      ? format(results, { count: matching.length, total: items.length })
+      : format(noResults, { query: query.trim() });
+  }
+
+  return (
+    <section id={id} className="py-20 sm:py-28">
+      <div className="container mx-auto max-w-3xl px-4 sm:px-6 lg:px-8">
+        <Reveal className="mx-auto max-w-2xl text-center">
+          <h2 className="text-3xl font-extrabold text-foreground sm:text-4xl">
+            {title}
+          </h2>
+          {subtitle && (
+            <p className="mt-4 text-lg text-neutral-300">
+              {subtitle}
+            </p>
+          )}
+        </Reveal>
+
+        <Reveal delay={100} className="mt-12">
+          <label htmlFor={searchId} className="sr-only">
+            {searchLabel}
+          </label>
+          <div className="relative">
+            <Icon
+              icon={searchIcon}
+              className="pointer-events-none absolute start-3 top-1/2 h-5 w-5 -translate-y-1/2 text-neutral-500"
+            />
+            <input
+              id={searchId}
+              type="search"
+              value={query}
+              onChange={handleSearch}
+              placeholder={searchPlaceholder}
+              autoComplete="off"
+              className="w-full rounded-lg border border-neutral-700 bg-neutral-900 py-3 ps-10 pe-3 text-base text-foreground placeholder-neutral-500 focus:outline-none focus:ring-2 focus:ring-focus"
+            />
+          </div>
+          <p role="status" className="mt-3 min-h-5 text-sm text-neutral-400">
+            {status}
+          </p>
+        </Reveal>
+
+        <Reveal stagger={80} className="mt-6 space-y-4">
+          {items.map((item) => {
+            const questionId = `${item.id}-question`;
+            const answerId = `${item.id}-answer`;
+            const expanded = open.has(item.id);
+
+            return (
+              <Card key={item.id} id={item.id} hidden={!matching.includes(item)}>
+                <div className="flex items-start gap-3">
+                  <h3 className="flex-1">
+                    <button
+                      type="button"
+                      id={questionId}
+                      aria-expanded={expanded}
+                      aria-controls={answerId}
+                      onClick={() => toggle(item.id)}
+                      className="flex w-full items-center justify-between gap-4 text-start text-lg font-semibold text-foreground"
+                    >
+                      <span>
+                        <Highlight text={item.question} pattern={pattern} />
+                      </span>
+                      <Icon
+                        icon={chevronDownIcon}
+                        className={`h-5 w-5 shrink-0 text-neutral-400 transition-transform ${expanded ? 'rotate-180' : ''}`}
+                      />
+                    </button>
+                  </h3>
+                  <Link
+                    to={`/#${item.id}`}
+                    aria-describedby={questionId}
+                    className="mt-0.5 rounded-md p-1 text-neutral-500 transition-colors hover:text-foreground"
+                  >
+                    <Icon icon={linkIcon} title={linkLabel} className="h-4 w-4" />
+                  </Link>
+                </div>
+                <div
+                  id={answerId}
+                  role="region"
+                  aria-labelledby={questionId}
+                  hidden={!expanded}
+                  className="mt-3 text-base text-neutral-400"
+                >
+                  <p>
+                    <Highlight text={item.answer} pattern={pattern} />
+                  </p>
+                </div>
+              </Card>
+            );
+          })}
+        </Reveal>
+      </div>
+    </section>
+  );
+};
@@ -0,0 +1,42 @@
+import React from 'react';
+import { Icon } from '../components/Icon';
+import { Reveal } from '../components/Reveal';
+import { Card } from '../components/ui';
+
+/**
+ * Features - Heading and a grid of feature cards
+ * @param {object} props - A "features" section from src/content
+ */
+export const Features = ({ id, title, subtitle, items }) => {
+  return (
+    <section id={id} className="py-20 sm:py-28">
+      <div className="container mx-auto max-w-7xl px-4 sm:px-6 lg:px-8">
+        <Reveal className="mx-auto max-w-2xl text-center">
+          <h2 className="text-3xl font-extrabold text-foreground sm:text-4xl whitespace-nowrap">
+            {title}
+          </h2>
+          {subtitle && (
+            <p className="mt-4 text-lg text-neutral-300">
+              {subtitle}
+            </p>
+          )}
+        </Reveal>
+        <Reveal stagger={120} className="mt-16 grid grid-cols-1 gap-8 md:grid-cols-2 lg:grid-cols-4">
+          {items.map((feature) => (
+            <Card key={feature.title} className="flex flex-col items-center text-center">
+              <div className="flex h-16 w-16 items-center justify-center rounded-full bg-neutral-800">
+                <Icon icon={feature.icon} className="h-8 w-8 text-accent-500" />
+              </div>
+              <h3 className="mt-6 text-xl font-semibold text-foreground">
+                {feature.title}
+              </h3>
+              <p className="mt-2 text-base text-neutral-400">
+                {feature.description}
+              </p>
+            </Card>
+          ))}
+        </Reveal>
+      </div>
+    </section>
+  );
+};
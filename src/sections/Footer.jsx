@@ -0,0 +1,59 @@
+import React from 'react';
+import { Link } from '../components/Link';
+import { RELEASE } from '../download/releases';
+import { useTranslation } from '../i18n/useTranslation';
+
+export const Footer = () => {
+  const { t } = useTranslation();
+
+  return (
+    <footer className="border-t border-neutral-800 bg-neutral-950">
+      <div className="container mx-auto flex max-w-7xl flex-col items-center justify-between gap-4 py-8 px-4 sm:flex-row sm:px-6 lg:px-8">
+        <div className="text-center sm:text-start">
+          <p className="text-sm text-neutral-400">
+            {t('footer.copyright', { year: new Date().getFullYear() })}
+          </p>
+          <p className="text-xs text-neutral-500 mt-1">
+            {t('footer.builtBy', {
+              author: <a href="https://github.com/Anusara14" target="_blank" rel="noopener noreferrer" className="text-neutral-400 hover:text-foreground transition-colors">Anusara14</a>,
+            })}
+          </p>
+        </div>
+        <nav aria-label={t('footer.nav')} className="flex flex-wrap justify-center gap-6">
+          <a
+            href={RELEASE.repository}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-sm text-neutral-400 transition-colors hover:text-foreground"
+          >
+            {t('footer.github')}
+          </a>
+          <Link
+            to="/docs"
+            className="text-sm text-neutral-400 transition-colors hover:text-foreground"
+          >
+            {t('footer.docs')}
+          </Link>
+          <Link
+            to="/captures"
+            className="text-sm text-neutral-400 transition-colors hover:text-foreground"
+          >
+            {t('footer.captures')}
+          </Link>
+          <Link
+            to="/privacy"
+            className="text-sm text-neutral-400 transition-colors hover:text-foreground"
+          >
+            {t('footer.privacy')}
+          </Link>
+          <Link
+            to="/contact"
+            className="text-sm text-neutral-400 transition-colors hover:text-foreground"
+          >
+            {t('footer.contact')}
+          </Link>
+        </nav>
+      </div>
+    </footer>
+  );
+};
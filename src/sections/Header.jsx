@@ -0,0 +1,114 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { DownloadButton } from '../components/DownloadButton';
+import { Icon } from '../components/Icon';
+import { Link } from '../components/Link';
+import { LocaleSwitcher } from '../components/LocaleSwitcher';
+import { MobileMenu } from '../components/MobileMenu';
+import { ThemeSwitcher } from '../components/ThemeSwitcher';
+import { useScrollSpy } from '../hooks/useScrollSpy';
+import { splitLocalePath } from '../i18n/locales';
+import { useTranslation } from '../i18n/useTranslation';
+import menuIcon from '../icons/menu.svg?icon';
+import { getLocation, replaceHash } from '../router/history';
+import { useLocation } from '../router/useLocation';
+
+// Section links point into the home page; the others are pages of their own
+const NAV_ITEMS = [
+  { to: '/#features', labelKey: 'nav.features', section: 'features' },
+  { to: '/#how-it-works', labelKey: 'nav.howItWorks', section: 'how-it-works' },
+  { to: '/docs', labelKey: 'nav.docs' },
+  { to: '/captures', labelKey: 'nav.captures' },
+];
+
+const HOME_SECTIONS = NAV_ITEMS.filter((item) => item.section).map((item) => item.section);
+const NO_SECTIONS = [];
+const MENU_ID = 'mobile-menu';
+
+/**
+ * Header - Sticky site header. Highlights the page, or on the home page the
+ * section, being read and keeps the URL hash in step with it.
+ */
+export const Header = () => {
+  const { t } = useTranslation();
+  const location = useLocation();
+  const { path } = splitLocalePath(location.path);
+  const isHome = path === '/';
+  const activeSection = useScrollSpy(isHome ? HOME_SECTIONS : NO_SECTIONS);
+  const [menuOpen, setMenuOpen] = useState(false);
+  const closeMenu = useCallback(() => setMenuOpen(false), []);
+
+  // Leaving the nav sections drops their hash, but not a deep link elsewhere
+  // on the page, such as an FAQ question
+  useEffect(() => {
+    if (activeSection === undefined) return;
+    if (activeSection === null && !HOME_SECTIONS.includes(getLocation().hash)) return;
+    replaceHash(activeSection ?? '');
+  }, [activeSection]);
+
+  // The drawer only exists below the md breakpoint
+  useEffect(() => {
+    if (!menuOpen) return undefined;
+    const desktop = window.matchMedia('(min-width: 768px)');
+    const handleChange = (e) => {
+      if (e.matches) closeMenu();
+    };
+    desktop.addEventListener('change', handleChange);
+    return () => desktop.removeEventListener('change', handleChange);
+  }, [menuOpen, closeMenu]);
+
+  const currentFor = (item) => {
+    if (item.section) return isHome && activeSection === item.section ? 'location' : undefined;
+    return path === item.to ? 'page' : undefined;
+  };
+
+  const renderLinks = (className) =>
+    NAV_ITEMS.map((item) => (
+      <Link
+        key={item.to}
+        to={item.to}
+        aria-current={currentFor(item)}
+        onClick={closeMenu}
+        className={`${className} font-medium transition-colors hover:text-foreground aria-[current]:text-foreground`}
+      >
+        {t(item.labelKey)}
+      </Link>
+    ));
+
+  return (
+    <header className="sticky top-0 z-50 w-full border-b border-neutral-800 bg-neutral-950/80 backdrop-blur-sm">
+      <div className="container mx-auto flex h-16 max-w-7xl items-center justify-between px-4 sm:px-6 lg:px-8">
+        <Link to="/" className="flex items-center gap-2">
+          <span className="text-xl font-bold text-foreground">{t('meta.siteName')}</span>
+        </Link>
+        <nav aria-label={t('nav.primary')} className="hidden items-center gap-6 md:flex">
+          {renderLinks('text-sm text-neutral-300')}
+        </nav>
+        <div className="flex items-center gap-3">
+          <ThemeSwitcher className="hidden md:flex" />
+          <LocaleSwitcher className="hidden md:flex" />
+          <DownloadButton location="header" labelKey="nav.download" size="sm" className="hidden md:inline-flex" />
+          <button
+            type="button"
+            aria-expanded={menuOpen}
+            aria-controls={MENU_ID}
+            onClick={() => setMenuOpen(true)}
+            className="rounded-md p-2 text-neutral-300 hover:bg-neutral-800 hover:text-foreground focus:outline-none focus-visible:ring-2 focus-visible:ring-focus md:hidden"
+          >
+            <Icon icon={menuIcon} className="h-6 w-6" />
+            <span className="sr-only">{t('nav.openMenu')}</span>
+          </button>
+        </div>
+      </div>
+      <MobileMenu id={MENU_ID} open={menuOpen} onClose={closeMenu}>
+        <nav aria-label={t('nav.primary')} className="flex flex-col gap-1">
+          {renderLinks('rounded-md px-3 py-2 text-base text-neutral-300 hover:bg-neutral-800 aria-[current]:bg-neutral-800')}
+        </nav>
+        <div className="flex flex-wrap gap-3">
+          <ThemeSwitcher />
+          <LocaleSwitcher />
+        </div>
+        <DownloadButton location="mobile-menu" labelKey="nav.download" className="w-full" />
+      </MobileMenu>
+    </header>
+  );
+};
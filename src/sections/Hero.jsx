@@ -0,0 +1,74 @@
+import React from 'react';
+import { CaptureDemo } from '../components/CaptureDemo';
+import { DownloadButton } from '../components/DownloadButton';
+import { Link } from '../components/Link';
+import { Button, Card } from '../components/ui';
+import { useVariant } from '../experiments/useVariant';
+import { variantCopy } from '../experiments/variants';
+import { format } from '../i18n/translate';
+
+/**
+ * Hero - Headline plus the working capture demo. The headline and the
+ * install label are under test; see src/experiments/config.js.
+ * @param {object} props - A "hero" section from src/content
+ */
+export const Hero = (section) => {
+  const { description, learnMore, learnMoreHref } = section;
+  const headline = useVariant('hero-headline');
+  const ctaLabel = useVariant('cta-label');
+
+  return (
+    <section className="relative w-full overflow-hidden pt-24 pb-20 md:pt-32 md:pb-28 lg:pt-40 lg:pb-36">
+      <div className="container mx-auto max-w-7xl px-4 sm:px-6 lg:px-8">
+        <div className="grid grid-cols-1 gap-12 lg:grid-cols-2 lg:items-center lg:gap-20">
+          <div className="text-center lg:text-start">
+            <h1 className="text-4xl font-black tracking-tight text-foreground sm:text-5xl md:text-7xl">
+              {headline.render((variant) => {
+                const { titleLead, titleAccent } = variantCopy(section, 'hero-headline', variant);
+                return (
+                  <>
+                    {titleLead}
+                    <br />
+                    <span className="text-accent-500">{titleAccent}</span>
+                  </>
+                );
+              })}
+            </h1>
+            <p className="mt-6 text-lg text-neutral-300 md:text-xl">
+              {description}
+            </p>
+            <div className="mt-10 flex flex-col items-center gap-4 sm:flex-row sm:items-start sm:justify-center lg:justify-start">
+              <DownloadButton
+                location="hero"
+                label={(values) =>
+                  ctaLabel.render((variant) => format(variantCopy(section, 'cta-label', variant).download, values))
+                }
+                size="lg"
+                showDetails
+                className="w-full sm:w-auto"
+                detailsAlign="w-full items-center sm:w-auto lg:items-start"
+              />
+              <Button
+                as={Link}
+                to={learnMoreHref}
+                variant="secondary"
+                size="lg"
+                className="w-full sm:w-auto"
+              >
+                {learnMore}
+              </Button>
+            </div>
+          </div>
+          <div className="flex items-center justify-center">
+            {/* Working demo of the extension UI */}
+            <div className="w-full max-w-sm scale-110">
+              <Card className="border-neutral-700 bg-neutral-900/80 shadow-2xl shadow-accent-900/20">
+                <CaptureDemo />
+              </Card>
+            </div>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+};
@@ -0,0 +1,205 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Icon } from '../components/Icon';
+import { Reveal } from '../components/Reveal';
+import { WalkthroughFrame } from '../components/WalkthroughFrame';
+import { Button } from '../components/ui';
+import { useExtension } from '../extension/useExtension';
+import { useScrollSpy } from '../hooks/useScrollSpy';
+import { format } from '../i18n/translate';
+import { useTranslation } from '../i18n/useTranslation';
+import checkIcon from '../icons/check.svg?icon';
+import pauseIcon from '../icons/pause.svg?icon';
+import playIcon from '../icons/play.svg?icon';
+import { observeIntersection } from '../motion/observerPool';
+import { useScrollProgress } from '../motion/useScrollProgress';
+
+// How long each step plays before the walkthrough moves on
+const STEP_DURATION = 6000;
+
+/**
+ * StepConnector - The line from one step's number down to the next one's,
+ * drawn as it scrolls up the viewport
+ */
+const StepConnector = () => {
+  const ref = useScrollProgress({ start: 0.8, end: 0.4 });
+
+  return (
+    <div
+      ref={ref}
+      aria-hidden="true"
+      className="absolute start-[calc(2rem-1px)] top-[4.5rem] -bottom-8 w-0.5 motion-reduce:hidden"
+    >
+      <svg className="h-full w-full" preserveAspectRatio="none" viewBox="0 0 2 100" fill="none">
+        <path
+          className="scroll-draw"
+          pathLength="1"
+          d="M1 0V100"
+          style={{ stroke: 'rgb(var(--accent-600))' }}
+          strokeLinecap="round"
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+    </div>
+  );
+};
+
+/**
+ * HowItWorks - Numbered steps acted out in a simulated browser. The
+ * walkthrough advances on its own while the section is on screen, follows
+ * the reader's scrolling through the steps and jumps to a step when its
+ * number is clicked; the numbers are joined by connectors that draw
+ * themselves while scrolling. With reduced motion every step shows a still
+ * instead.
+ * @param {object} props - A "steps" section from src/content
+ */
+export const HowItWorks = ({
+  id,
+  title,
+  subtitle,
+  completed,
+  pause,
+  play,
+  showStep,
+  extensionsLabel,
+  pinLabel,
+  captureLabel,
+  resultLabel,
+  slideText,
+  items,
+}) => {
+  const { locale } = useTranslation();
+  const extension = useExtension();
+  const sectionRef = useRef(null);
+  const [active, setActive] = useState(0);
+  const [playing, setPlaying] = useState(true);
+  const [inView, setInView] = useState(false);
+  const [hovered, setHovered] = useState(false);
+
+  const labels = { extensionsLabel, pinLabel, captureLabel, resultLabel, slideText };
+  const stepIds = items.map((step, index) => `${id}-step-${index + 1}`);
+  const isComplete = (step) => step.completedBy === 'extension-installed' && extension.state === 'installed';
+
+  // Scrolling a step into the reading band shows it
+  const spied = useScrollSpy(stepIds);
+  const spiedIndex = stepIds.indexOf(spied);
+  useEffect(() => {
+    if (spiedIndex !== -1) setActive(spiedIndex);
+  }, [spiedIndex]);
+
+  // Off screen it waits, so nobody scrolls in halfway through the last step
+  useEffect(() => observeIntersection(sectionRef.current, (entry) => setInView(entry.isIntersecting)), []);
+
+  // Pauses the progress bar and the scene's animations together (see index.css)
+  const playState = { '--walkthrough-state': playing && inView && !hovered ? 'running' : 'paused' };
+
+  // The progress bar finishing is what moves the walkthrough on
+  const handleProgressEnd = (e) => {
+    if (e.target === e.currentTarget) setActive((index) => (index + 1) % items.length);
+  };
+
+  return (
+    <section ref={sectionRef} id={id} className="overflow-hidden py-20 sm:py-28">
+      <div className="container mx-auto max-w-7xl px-4 sm:px-6 lg:px-8">
+        <Reveal className="mx-auto max-w-2xl text-center">
+          <h2 className="text-3xl font-extrabold text-foreground sm:text-4xl">
+            {title}
+          </h2>
+          {subtitle && (
+            <p className="mt-4 text-lg text-neutral-300">
+              {subtitle}
+            </p>
+          )}
+        </Reveal>
+        <Reveal
+          delay={100}
+          className="mt-16 grid grid-cols-1 gap-12 lg:grid-cols-2 lg:items-start motion-reduce:lg:grid-cols-1"
+        >
+          <ol className="space-y-10 motion-reduce:grid motion-reduce:gap-12 motion-reduce:space-y-0 motion-reduce:lg:grid-cols-3">
+            {items.map((step, index) => {
+              const isActive = index === active;
+              const number = (index + 1).toLocaleString(locale);
+
+              return (
+                <li
+                  key={step.title}
+                  id={stepIds[index]}
+                  className="relative flex gap-5 motion-reduce:flex-col motion-reduce:items-center motion-reduce:text-center"
+                >
+                  {index < items.length - 1 && <StepConnector />}
+                  <button
+                    type="button"
+                    aria-label={format(showStep, { number, title: step.title })}
+                    aria-current={isActive ? 'step' : undefined}
+                    onClick={() => setActive(index)}
+                    className={`flex h-16 w-16 flex-shrink-0 items-center justify-center rounded-full border-2 p-0 shadow-lg transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-focus focus-visible:ring-offset-2 focus-visible:ring-offset-background ${
+                      isComplete(step)
+                        ? 'border-success-500 bg-neutral-900 shadow-success-500/20'
+                        : `shadow-accent-500/20 ${isActive ? 'border-accent-600 bg-accent-600 text-on-accent' : 'border-accent-600 bg-neutral-900 text-accent-500 hover:bg-neutral-800'}`
+                    }`}
+                  >
+                    {isComplete(step) ? (
+                      <Icon icon={checkIcon} className="h-7 w-7 text-success-400" />
+                    ) : (
+                      <span className="text-xl font-bold">{number}</span>
+                    )}
+                  </button>
+                  <div className="flex-1 motion-reduce:w-full">
+                    <h3 className={`text-xl font-semibold ${isActive ? 'text-foreground' : 'text-neutral-300'}`}>
+                      {step.title}
+                    </h3>
+                    {isComplete(step) && (
+                      <p className="mt-1 text-sm font-medium text-success-400">
+                        {completed}
+                      </p>
+                    )}
+                    <p className="mt-2 text-base text-neutral-400">
+                      {step.description}
+                    </p>
+                    <div className="mt-4 h-1 overflow-hidden rounded-full bg-neutral-800 motion-reduce:hidden">
+                      {isActive && (
+                        <span
+                          key={active}
+                          className="walkthrough-fill block h-full rounded-full bg-accent-600"
+                          style={{ '--duration': `${STEP_DURATION}ms`, ...playState }}
+                          onAnimationEnd={handleProgressEnd}
+                        />
+                      )}
+                    </div>
+                    {/* The still that replaces the walkthrough with reduced motion */}
+                    <WalkthroughFrame
+                      scene={step.scene}
+                      duration={STEP_DURATION}
+                      labels={labels}
+                      className="mt-6 hidden motion-reduce:block"
+                    />
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+          <div
+            className="motion-reduce:hidden lg:sticky lg:top-24"
+            style={playState}
+            onMouseEnter={() => setHovered(true)}
+            onMouseLeave={() => setHovered(false)}
+          >
+            {/* Remounting restarts the scene's animations */}
+            <WalkthroughFrame
+              key={active}
+              scene={items[active].scene}
+              duration={STEP_DURATION}
+              labels={labels}
+            />
+            <div className="mt-4 flex justify-end">
+              <Button type="button" variant="ghost" size="sm" onClick={() => setPlaying(!playing)}>
+                <Icon icon={playing ? pauseIcon : playIcon} className="me-2 h-4 w-4" />
+                {playing ? pause : play}
+              </Button>
+            </div>
+          </div>
+        </Reveal>
+      </div>
+    </section>
+  );
+};
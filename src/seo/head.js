@@ -0,0 +1,162 @@
+import content from 'virtual:content';
+import { RELEASE, supportedBrowsers } from '../download/releases';
+import { DEFAULT_LOCALE, LOCALES, getLocaleDirection, localizePath } from '../i18n/locales';
+import { translate } from '../i18n/translate';
+import { href } from '../router/history';
+
+// --- Page Head ---
+// Everything a page puts in <head> besides the static shell: description,
+// canonical and hreflang links, social cards and structured data. The
+// prerender writes these tags into each HTML file; on the client, App swaps
+// them on navigation so the address bar and the head stay in step.
+
+/**
+ * Public origin of the deployed site, e.g. "https://example.com". Canonical
+ * links, social cards and the sitemap need absolute URLs; without it they
+ * fall back to root-relative ones and no sitemap is written.
+ */
+export const SITE_URL = (import.meta.env.VITE_SITE_URL ?? '').replace(/\/+$/, '');
+
+/**
+ * Social share image, generated at build time by plugins/prerender.js
+ */
+export const SHARE_IMAGE = { fileName: 'og-image.png', width: 1200, height: 630 };
+
+// Marks the tags owned by the current page so they can be replaced wholesale
+const HEAD_ATTRIBUTE = 'data-page-head';
+
+/**
+ * absoluteUrl - Public URL of an app path (base URL included)
+ * @param {string} path - App path such as "/es/docs"
+ */
+export const absoluteUrl = (path) => `${SITE_URL}${href(path)}`;
+
+const meta = (attribute, key, content) => ({ tag: 'meta', attrs: { [attribute]: key, content } });
+const link = (attrs) => ({ tag: 'link', attrs });
+
+const softwareApplication = (locale, description) => ({
+  '@context': 'https://schema.org',
+  '@type': 'SoftwareApplication',
+  name: translate(locale, 'meta.siteName'),
+  description,
+  applicationCategory: 'BrowserApplication',
+  operatingSystem: supportedBrowsers().join(', '),
+  softwareVersion: RELEASE.version,
+  datePublished: RELEASE.releaseDate,
+  downloadUrl: RELEASE.repository,
+  releaseNotes: RELEASE.releaseNotes,
+  url: absoluteUrl(localizePath('/', locale)),
+  image: absoluteUrl(`/${SHARE_IMAGE.fileName}`),
+  inLanguage: locale,
+  offers: { '@type': 'Offer', price: '0', priceCurrency: 'USD' },
+});
+
+// Built from the same content as the FAQ section, so the answers search
+// engines show are the ones on the page
+const faqPage = (locale) => {
+  const { sections } = content.home[locale] ?? content.home[DEFAULT_LOCALE];
+  const questions = sections.filter((section) => section.type === 'faq').flatMap((section) => section.items);
+  if (questions.length === 0) return null;
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    inLanguage: locale,
+    mainEntity: questions.map(({ question, answer }) => ({
+      '@type': 'Question',
+      name: question,
+      acceptedAnswer: { '@type': 'Answer', text: answer },
+    })),
+  };
+};
+
+/**
+ * getPageHead - Head contents for a route in a locale
+ * @param {{path: string | null, titleKey: string, descriptionKey: string}} route - From matchRoute
+ * @param {string} locale
+ * @returns {{title: string, lang: string, dir: 'ltr' | 'rtl', tags: Array<{tag: string, attrs: object, content?: string}>}}
+ */
+export const getPageHead = (route, locale) => {
+  const title = translate(locale, route.titleKey);
+  const description = translate(locale, route.descriptionKey);
+  const image = absoluteUrl(`/${SHARE_IMAGE.fileName}`);
+
+  const tags = [
+    meta('name', 'description', description),
+    meta('property', 'og:type', 'website'),
+    meta('property', 'og:site_name', translate(locale, 'meta.siteName')),
+    meta('property', 'og:title', title),
+    meta('property', 'og:description', description),
+    meta('property', 'og:image', image),
+    meta('property', 'og:image:width', String(SHARE_IMAGE.width)),
+    meta('property', 'og:image:height', String(SHARE_IMAGE.height)),
+    meta('property', 'og:image:alt', translate(locale, 'meta.shareImageAlt')),
+    meta('name', 'twitter:card', 'summary_large_image'),
+    meta('name', 'twitter:title', title),
+    meta('name', 'twitter:description', description),
+    meta('name', 'twitter:image', image),
+  ];
+
+  if (route.path === null) {
+    // The 404 page is served for any unknown URL; keep it out of search results
+    tags.push(meta('name', 'robots', 'noindex'));
+  } else {
+    const url = absoluteUrl(localizePath(route.path, locale));
+    tags.push(
+      meta('property', 'og:url', url),
+      link({ rel: 'canonical', href: url }),
+      ...LOCALES.map(({ code }) =>
+        link({ rel: 'alternate', hreflang: code, href: absoluteUrl(localizePath(route.path, code)) })
+      ),
+      link({ rel: 'alternate', hreflang: 'x-default', href: absoluteUrl(localizePath(route.path, DEFAULT_LOCALE)) })
+    );
+  }
+
+  if (route.path === '/') {
+    const structuredData = [softwareApplication(locale, description), faqPage(locale)].filter(Boolean);
+    tags.push(
+      ...structuredData.map((data) => ({
+        tag: 'script',
+        attrs: { type: 'application/ld+json' },
+        content: JSON.stringify(data),
+      }))
+    );
+  }
+
+  return { title, lang: locale, dir: getLocaleDirection(locale), tags };
+};
+
+const escapeAttribute = (value) =>
+  value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * renderHeadTags - Serializes head tags to HTML for the prerender
+ * @param {Array<{tag: string, attrs: object, content?: string}>} tags - From getPageHead
+ * @returns {string}
+ */
+export const renderHeadTags = (tags) =>
+  tags
+    .map(({ tag, attrs, content }) => {
+      const attributes = Object.entries(attrs)
+        .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+        .join('');
+      const open = `<${tag} ${HEAD_ATTRIBUTE}${attributes}>`;
+      // JSON-LD is the only content; "<" is escaped so it can't close the script
+      return content === undefined ? open : `${open}${content.replace(/</g, '\\u003c')}</${tag}>`;
+    })
+    .join('\n    ');
+
+/**
+ * applyPageHead - Replaces the page's head tags and title in the document
+ * @param {{title: string, tags: Array<{tag: string, attrs: object, content?: string}>}} head - From getPageHead
+ */
+export const applyPageHead = ({ title, tags }) => {
+  document.title = title;
+  document.head.querySelectorAll(`[${HEAD_ATTRIBUTE}]`).forEach((element) => element.remove());
+  for (const { tag, attrs, content } of tags) {
+    const element = document.createElement(tag);
+    element.setAttribute(HEAD_ATTRIBUTE, '');
+    Object.entries(attrs).forEach(([name, value]) => element.setAttribute(name, value));
+    if (content !== undefined) element.textContent = content;
+    document.head.append(element);
+  }
+};
@@ -0,0 +1,48 @@
+import { LOCALES, localizePath } from '../i18n/locales';
+import { ROUTES } from '../router/routes';
+import { SITE_URL, absoluteUrl } from './head';
+
+// --- Sitemap and robots.txt ---
+// Built from the route table, so a new page is listed as soon as it has a route.
+
+/**
+ * buildSitemap - sitemap.xml listing every route in every locale, with
+ * hreflang alternates; null when VITE_SITE_URL isn't set, since sitemaps
+ * only accept absolute URLs
+ * @returns {string | null}
+ */
+export const buildSitemap = () => {
+  if (!SITE_URL) return null;
+
+  const alternates = (path) =>
+    LOCALES.map(
+      ({ code }) =>
+        `    <xhtml:link rel="alternate" hreflang="${code}" href="${absoluteUrl(localizePath(path, code))}"/>`
+    ).join('\n');
+
+  const urls = ROUTES.flatMap((route) =>
+    LOCALES.map(({ code }) =>
+      [
+        '  <url>',
+        `    <loc>${absoluteUrl(localizePath(route.path, code))}</loc>`,
+        alternates(route.path),
+        '  </url>',
+      ].join('\n')
+    )
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * buildRobots - robots.txt allowing everything and pointing at the sitemap
+ * @returns {string}
+ */
+export const buildRobots = () =>
+  ['User-agent: *', 'Allow: /', ...(SITE_URL ? ['', `Sitemap: ${absoluteUrl('/sitemap.xml')}`] : []), ''].join('\n');
@@ -0,0 +1,89 @@
+// --- Theme ---
+// The visitor's theme preference as a small external store. 'system' follows
+// the OS (color scheme and contrast); anything else is a stored choice. The
+// resolved theme is written to <html data-theme>, which tokens.css keys off.
+// index.html resolves it once before the first paint; keep the two in step.
+
+export const THEMES = ['system', 'light', 'dark', 'contrast'];
+
+const PREFERENCE_KEY = 'theme';
+const listeners = new Set();
+let preference = null;
+let started = false;
+
+const isTheme = (value) => THEMES.includes(value);
+
+const readPreference = () => {
+  try {
+    const stored = localStorage.getItem(PREFERENCE_KEY);
+    return isTheme(stored) ? stored : 'system';
+  } catch {
+    return 'system';
+  }
+};
+
+/**
+ * resolveTheme - The theme to show for a preference
+ * @param {string} value - One of THEMES
+ * @returns {'light' | 'dark' | 'contrast'}
+ */
+export const resolveTheme = (value) => {
+  if (value !== 'system') return value;
+  if (window.matchMedia('(prefers-contrast: more)').matches) return 'contrast';
+  return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+};
+
+const applyTheme = () => {
+  document.documentElement.dataset.theme = resolveTheme(getThemePreference());
+};
+
+/**
+ * getThemePreference - Current snapshot: the stored choice, or 'system'
+ * @returns {string} One of THEMES
+ */
+export const getThemePreference = () => {
+  if (preference === null) preference = readPreference();
+  return preference;
+};
+
+/**
+ * getServerThemePreference - What prerendered pages (and hydration) assume;
+ * only the visitor's browser knows the stored choice
+ */
+export const getServerThemePreference = () => 'system';
+
+/**
+ * setThemePreference - Switches theme and remembers the choice
+ * @param {string} value - One of THEMES; 'system' forgets the stored choice
+ */
+export const setThemePreference = (value) => {
+  if (!isTheme(value)) return;
+  preference = value;
+  try {
+    if (value === 'system') localStorage.removeItem(PREFERENCE_KEY);
+    else localStorage.setItem(PREFERENCE_KEY, value);
+  } catch {
+    // Without storage the choice lasts until the page is closed
+  }
+  applyTheme();
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * subscribeToTheme - Registers a listener; the first one starts following
+ * OS changes for visitors on 'system'
+ * @param {() => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export const subscribeToTheme = (listener) => {
+  listeners.add(listener);
+  if (!started) {
+    started = true;
+    ['(prefers-contrast: more)', '(prefers-color-scheme: light)'].forEach((query) =>
+      window.matchMedia(query).addEventListener('change', () => {
+        if (getThemePreference() === 'system') applyTheme();
+      })
+    );
+  }
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react';
+import { getServerThemePreference, getThemePreference, subscribeToTheme } from './theme';
+
+/**
+ * useTheme - The visitor's theme preference
+ * @returns {string} 'system', 'light', 'dark' or 'contrast'
+ */
+export const useTheme = () => useSyncExternalStore(subscribeToTheme, getThemePreference, getServerThemePreference);
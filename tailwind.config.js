@@ -1,3 +1,9 @@
+const STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950]
+
+// Colors come from the theme's CSS variables (src/theme/tokens.css)
+const color = (variable) => `rgb(var(--${variable}) / <alpha-value>)`
+const scale = (name) => Object.fromEntries(STEPS.map((step) => [step, color(`${name}-${step}`)]))
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
@@ -6,8 +12,29 @@ export default {
   ],
   theme: {
     extend: {
+      colors: {
+        neutral: scale('neutral'),
+        accent: scale('accent'),
+        success: scale('success'),
+        background: color('color-background'),
+        foreground: color('color-foreground'),
+        'on-accent': color('color-on-accent'),
+        focus: color('color-focus'),
+        warning: color('color-warning'),
+        info: color('color-info'),
+      },
+      borderRadius: {
+        md: 'var(--radius-md)',
+        lg: 'var(--radius-lg)',
+        xl: 'var(--radius-xl)',
+        '2xl': 'var(--radius-2xl)',
+      },
+      boxShadow: {
+        card: 'var(--shadow-card)',
+        overlay: 'var(--shadow-overlay)',
+      },
       fontFamily: {
-        sans: ['Inter', 'system-ui', '-apple-system', 'sans-serif'],
+        sans: ['Inter Variable', 'system-ui', '-apple-system', 'sans-serif'],
       },
     },
   },
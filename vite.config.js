@@ -1,7 +1,32 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import content from './plugins/content.js'
+import experiments from './plugins/experiments.js'
+import i18nCheck from './plugins/i18n-check.js'
+import mockAnalytics from './plugins/mock-analytics.js'
+import mockContact from './plugins/mock-contact.js'
+import ocrAssets from './plugins/ocr-assets.js'
+import prerender from './plugins/prerender.js'
+import pwa from './plugins/pwa.js'
+import svgIcons from './plugins/svg-icons.js'
+import { OCR_LANGUAGES } from './src/ocr/languages.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    svgIcons(),
+    content({ dir: 'src/content', sourceLocale: 'en' }),
+    i18nCheck({ catalogs: 'src/i18n/messages', sourceLocale: 'en' }),
+    experiments(),
+    ocrAssets({ languages: OCR_LANGUAGES.map(({ code }) => code), detection: true }),
+    mockContact(),
+    mockAnalytics(),
+    prerender(),
+    pwa({ ocrLanguages: ['eng'] }),
+  ],
+  test: {
+    environment: 'jsdom',
+    include: ['src/**/*.test.{js,jsx}'],
+  },
 })